@@ -0,0 +1,17 @@
+-- 001_admin_accounts.sql - 관리자/감독자 계정
+
+CREATE TABLE IF NOT EXISTS admin_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID REFERENCES companies(id),  -- platform_admin은 NULL
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('supervisor', 'company_admin', 'platform_admin')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    CHECK (role = 'platform_admin' OR company_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_accounts_company ON admin_accounts(company_id);
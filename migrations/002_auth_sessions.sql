@@ -0,0 +1,19 @@
+-- 002_auth_sessions.sql - 리프레시 토큰 세션
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('worker', 'admin')),
+    subject_id UUID NOT NULL,
+    company_id UUID REFERENCES companies(id),
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    claims JSONB NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_subject ON auth_sessions(subject_type, subject_id) WHERE revoked_at IS NULL;
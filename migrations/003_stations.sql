@@ -0,0 +1,21 @@
+-- 003_stations.sql - 포장 스테이션(단말) 등록
+
+CREATE TABLE IF NOT EXISTS stations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id),
+    name TEXT NOT NULL,
+    location TEXT,
+    pairing_code_hash TEXT UNIQUE,
+    pairing_code_expires_at TIMESTAMPTZ,
+    credential_hash TEXT UNIQUE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    paired_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stations_company ON stations(company_id);
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS station_id UUID REFERENCES stations(id);
+CREATE INDEX IF NOT EXISTS idx_recordings_station ON recordings(station_id);
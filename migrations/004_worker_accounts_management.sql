@@ -0,0 +1,8 @@
+-- 004_worker_accounts_management.sql - 작업자 계정 관리
+
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT now();
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_worker_accounts_username ON worker_accounts(username);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_worker_accounts_company_code ON worker_accounts(company_id, worker_code) WHERE worker_code IS NOT NULL;
@@ -0,0 +1,23 @@
+-- 005_login_lockout.sql - 로그인 실패 추적 및 계정 잠금
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('worker', 'admin')),
+    username TEXT NOT NULL,
+    success BOOLEAN NOT NULL,
+    reason TEXT,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(subject_type, username, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+    subject_type TEXT NOT NULL CHECK (subject_type IN ('worker', 'admin')),
+    username TEXT NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMPTZ,
+    locked_until TIMESTAMPTZ,
+    PRIMARY KEY (subject_type, username)
+);
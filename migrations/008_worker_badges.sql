@@ -0,0 +1,8 @@
+-- 008_worker_badges.sql - 배지 스캔 + PIN 로그인
+
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS badge_code_hash TEXT;
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS badge_issued_at TIMESTAMPTZ;
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS pin_hash TEXT;
+ALTER TABLE worker_accounts ADD COLUMN IF NOT EXISTS pin_set_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_worker_accounts_badge ON worker_accounts(badge_code_hash) WHERE badge_code_hash IS NOT NULL;
@@ -0,0 +1,24 @@
+-- 009_upload_sessions.sql - 재개 가능한 Multipart 업로드 세션
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id),
+    worker_id UUID REFERENCES worker_accounts(id),
+    recording_id UUID REFERENCES recordings(id),
+    key TEXT NOT NULL,
+    upload_id TEXT NOT NULL UNIQUE,
+    file_name TEXT,
+    file_size BIGINT,
+    part_size BIGINT,
+    total_parts INTEGER,
+    -- S3 ListParts로 확인된 파트 [{ PartNumber, ETag, Size }]
+    parts JSONB NOT NULL DEFAULT '[]',
+    status TEXT NOT NULL DEFAULT 'in_progress',  -- in_progress | completed | aborted
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_company ON upload_sessions(company_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_recording ON upload_sessions(recording_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status ON upload_sessions(status, created_at);
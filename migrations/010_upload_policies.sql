@@ -0,0 +1,17 @@
+-- 010_upload_policies.sql - 영상 형식(MP4/MKV) + 회사별 업로드 정책
+
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS format TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS content_type TEXT;
+
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS content_type TEXT;
+
+-- NULL 항목은 서버 기본값 사용 (UPLOAD_* 환경변수)
+CREATE TABLE IF NOT EXISTS upload_policies (
+    company_id UUID PRIMARY KEY REFERENCES companies(id),
+    max_file_size_bytes BIGINT,
+    single_upload_max_bytes BIGINT,
+    allowed_formats TEXT[],
+    max_duration_seconds INTEGER,
+    updated_by UUID REFERENCES admin_accounts(id),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,11 @@
+-- 011_storage_drivers.sql - 스토리지 드라이버 (s3 | minio | local)
+
+-- NULL이면 서버 기본값 (STORAGE_DRIVER)
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS storage_driver TEXT
+    CHECK (storage_driver IN ('s3', 'minio', 'local'));
+
+-- NULL이면 기존 AWS S3 녹화 (키는 cloud_url에서 추출)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS storage_driver TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS storage_driver TEXT;
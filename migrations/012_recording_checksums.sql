@@ -0,0 +1,10 @@
+-- 012_recording_checksums.sql - 영상 무결성 SHA-256 체크섬
+
+-- checksum_verified_at: 스토리지 또는 /verify가 객체 내용과 해시 일치를 확인한 시각
+-- (S3 Multipart 업로드는 파트 단위로만 검증되므로 /verify 전까지 NULL)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS checksum_sha256 TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS checksum_verified_at TIMESTAMPTZ;
+
+-- checksum_algorithm = 'SHA256'이면 모든 파트에 SHA-256 필요
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS checksum_algorithm TEXT;
+ALTER TABLE upload_sessions ADD COLUMN IF NOT EXISTS checksum_sha256 TEXT;
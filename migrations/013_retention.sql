@@ -0,0 +1,28 @@
+-- 013_retention.sql - 회사별 보존 기간, 저장 등급 전환, 법적 보존(legal hold)
+
+-- NULL 항목은 서버 기본값 사용 (RETENTION_* 환경변수)
+CREATE TABLE IF NOT EXISTS retention_policies (
+    company_id UUID PRIMARY KEY REFERENCES companies(id),
+    retention_days INTEGER CHECK (retention_days > 0),
+    archive_after_days INTEGER CHECK (archive_after_days > 0),
+    archive_storage_class TEXT,
+    updated_by UUID REFERENCES admin_accounts(id),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- storage_class: NULL이면 기본 등급 (S3 STANDARD)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS storage_class TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+-- legal_hold가 true인 녹화는 삭제/보존 기간 만료 대상에서 제외
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS legal_hold_reason TEXT;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS legal_hold_set_by UUID REFERENCES admin_accounts(id);
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS legal_hold_set_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_recordings_company_created ON recordings(company_id, created_at);
+
+-- 보존 기간이 지나 녹화를 삭제해도 업로드 세션 기록은 남김
+ALTER TABLE upload_sessions DROP CONSTRAINT IF EXISTS upload_sessions_recording_id_fkey;
+ALTER TABLE upload_sessions ADD CONSTRAINT upload_sessions_recording_id_fkey
+    FOREIGN KEY (recording_id) REFERENCES recordings(id) ON DELETE SET NULL;
@@ -0,0 +1,78 @@
+-- 014_storage_usage.sql - 회사별 스토리지 사용량 집계 + 용량 한도(quota)
+
+-- 녹화가 사용량에 반영한 바이트 (NULL이면 집계 대상 아님 - 업로드 전이거나 외부 저장소)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS stored_bytes BIGINT;
+
+-- 회사별 현재 사용량
+CREATE TABLE IF NOT EXISTS storage_usage (
+    company_id UUID PRIMARY KEY REFERENCES companies(id),
+    bytes_stored BIGINT NOT NULL DEFAULT 0,
+    recording_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- 일별 사용량 (UTC 날짜, 그날 마지막 사용량 + 증감)
+CREATE TABLE IF NOT EXISTS storage_usage_daily (
+    company_id UUID NOT NULL REFERENCES companies(id),
+    usage_date DATE NOT NULL,
+    bytes_stored BIGINT NOT NULL DEFAULT 0,
+    recording_count INTEGER NOT NULL DEFAULT 0,
+    bytes_added BIGINT NOT NULL DEFAULT 0,
+    bytes_removed BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (company_id, usage_date)
+);
+
+-- NULL 항목은 서버 기본값 사용 (STORAGE_QUOTA_* 환경변수)
+ALTER TABLE upload_policies ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT
+    CHECK (storage_quota_bytes > 0);
+ALTER TABLE upload_policies ADD COLUMN IF NOT EXISTS storage_quota_mode TEXT
+    CHECK (storage_quota_mode IN ('reject', 'warn'));
+
+-- 사용량 증감 (동시 업로드 완료에도 정확하도록 한 트랜잭션에서 현재/일별 사용량 갱신)
+CREATE OR REPLACE FUNCTION adjust_storage_usage(p_company_id UUID, p_bytes BIGINT, p_recordings INTEGER)
+RETURNS storage_usage
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_usage storage_usage;
+BEGIN
+    INSERT INTO storage_usage (company_id, bytes_stored, recording_count, updated_at)
+    VALUES (p_company_id, GREATEST(p_bytes, 0), GREATEST(p_recordings, 0), now())
+    ON CONFLICT (company_id) DO UPDATE SET
+        bytes_stored = GREATEST(storage_usage.bytes_stored + p_bytes, 0),
+        recording_count = GREATEST(storage_usage.recording_count + p_recordings, 0),
+        updated_at = now()
+    RETURNING * INTO v_usage;
+
+    INSERT INTO storage_usage_daily (company_id, usage_date, bytes_stored, recording_count, bytes_added, bytes_removed, updated_at)
+    VALUES (p_company_id, (now() AT TIME ZONE 'UTC')::date, v_usage.bytes_stored, v_usage.recording_count,
+            GREATEST(p_bytes, 0), GREATEST(-p_bytes, 0), now())
+    ON CONFLICT (company_id, usage_date) DO UPDATE SET
+        bytes_stored = EXCLUDED.bytes_stored,
+        recording_count = EXCLUDED.recording_count,
+        bytes_added = storage_usage_daily.bytes_added + EXCLUDED.bytes_added,
+        bytes_removed = storage_usage_daily.bytes_removed + EXCLUDED.bytes_removed,
+        updated_at = now();
+
+    RETURN v_usage;
+END;
+$$;
+
+-- 기존 녹화 반영 (외부 저장소 cloudinary 녹화는 제외)
+UPDATE recordings SET stored_bytes = COALESCE(file_size_bytes, 0)
+WHERE stored_bytes IS NULL
+  AND cloud_url IS NOT NULL
+  AND COALESCE(cloud_provider, 's3') <> 'cloudinary';
+
+INSERT INTO storage_usage (company_id, bytes_stored, recording_count)
+SELECT company_id, SUM(stored_bytes), COUNT(*)
+FROM recordings
+WHERE stored_bytes IS NOT NULL
+GROUP BY company_id
+ON CONFLICT (company_id) DO NOTHING;
+
+INSERT INTO storage_usage_daily (company_id, usage_date, bytes_stored, recording_count)
+SELECT company_id, (now() AT TIME ZONE 'UTC')::date, bytes_stored, recording_count
+FROM storage_usage
+ON CONFLICT (company_id, usage_date) DO NOTHING;
@@ -0,0 +1,22 @@
+-- 015_idempotency_keys.sql - 오프라인 재전송 요청의 중복 처리 방지 (Idempotency-Key 헤더)
+
+-- 같은 회사/행위자/키로 다시 온 요청에는 저장된 첫 응답을 그대로 반환
+-- 만료된 행은 같은 키가 다시 사용될 때 교체됨
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id),
+    actor_id UUID NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_method TEXT NOT NULL,
+    request_path TEXT NOT NULL,
+    -- 메서드 + 경로 + 본문 SHA-256 (같은 키를 다른 요청에 재사용하면 거부)
+    request_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'in_progress',  -- in_progress | completed
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    UNIQUE (company_id, actor_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
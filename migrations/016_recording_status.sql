@@ -0,0 +1,21 @@
+-- 016_recording_status.sql - 녹화 상태 전이 (processing, failed 추가) + 상태별 시각, 실패 사유
+
+ALTER TABLE recordings DROP CONSTRAINT IF EXISTS recordings_status_check;
+ALTER TABLE recordings ADD CONSTRAINT recordings_status_check
+    CHECK (status IN ('recording', 'uploading', 'processing', 'completed', 'failed', 'deleted'));
+
+-- 마지막 상태 변경 시각 + 상태별로 마지막으로 그 상태가 된 시각 (같은 상태를 다시 적용할 때는 유지)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS uploading_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS processing_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ;
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- status가 failed일 때의 실패 사유
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- 기존 녹화는 마지막 수정 시각을 상태 변경 시각으로 사용
+UPDATE recordings SET status_changed_at = COALESCE(updated_at, created_at) WHERE status_changed_at IS NULL;
+UPDATE recordings SET completed_at = COALESCE(updated_at, created_at) WHERE status = 'completed' AND completed_at IS NULL;
+UPDATE recordings SET deleted_at = COALESCE(updated_at, created_at) WHERE status = 'deleted' AND deleted_at IS NULL;
@@ -0,0 +1,21 @@
+-- 017_recording_events.sql - 녹화 내 스캔 이벤트 타임라인 (상품 스캔, 송장 출력, 박스 봉인, 메모)
+
+CREATE TABLE IF NOT EXISTS recording_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id),
+    recording_id UUID NOT NULL REFERENCES recordings(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN ('item_scanned', 'label_printed', 'box_sealed', 'note')),
+    -- 스캔한 바코드 (상품 SKU, 송장 번호 등)
+    code TEXT,
+    note TEXT,
+    -- 녹화 start_time 기준 위치 (초) - 영상에서 해당 시점으로 바로 이동
+    offset_seconds NUMERIC(10, 3) NOT NULL CHECK (offset_seconds >= 0),
+    occurred_at TIMESTAMPTZ NOT NULL,
+    created_by_type TEXT,
+    created_by_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recording_events_recording ON recording_events(recording_id, offset_seconds);
+CREATE INDEX IF NOT EXISTS idx_recording_events_company_code ON recording_events(company_id, code);
+CREATE INDEX IF NOT EXISTS idx_recording_events_company_occurred ON recording_events(company_id, occurred_at DESC);
@@ -0,0 +1,16 @@
+-- 018_recording_trash.sql - 삭제된 녹화 휴지통 (복원 / 유예 기간 후 영구 삭제)
+
+-- 삭제 직전 상태 (복원 시 이 상태로 되돌림)
+ALTER TABLE recordings ADD COLUMN IF NOT EXISTS deleted_from_status TEXT;
+
+-- 이미 삭제된 녹화는 영상이 있으면 completed, 없으면 failed로 복원
+UPDATE recordings
+SET deleted_from_status = CASE WHEN cloud_url IS NOT NULL THEN 'completed' ELSE 'failed' END,
+    failure_reason = CASE WHEN cloud_url IS NOT NULL THEN failure_reason ELSE COALESCE(failure_reason, 'Deleted before upload completed') END
+WHERE status = 'deleted' AND deleted_from_status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_recordings_trash ON recordings(company_id, deleted_at) WHERE status = 'deleted';
+
+-- 삭제 후 영구 삭제까지의 유예 기간 (NULL이면 TRASH_RETENTION_DAYS)
+ALTER TABLE retention_policies ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER
+    CHECK (trash_retention_days > 0);
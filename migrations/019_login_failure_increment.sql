@@ -0,0 +1,31 @@
+-- 019_login_failure_increment.sql - 로그인 실패 횟수를 한 번에 증가 (동시 요청으로 지연/잠금을 우회하지 못하도록)
+
+-- 실패 1회 기록 - 잠금 기간이 지났으면 1부터 다시 세고, p_max_attempts에 도달하면 p_lockout_seconds 동안 잠금
+CREATE OR REPLACE FUNCTION record_login_failure(p_subject_type TEXT, p_username TEXT, p_max_attempts INTEGER, p_lockout_seconds INTEGER)
+RETURNS login_throttle
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_throttle login_throttle;
+BEGIN
+    INSERT INTO login_throttle (subject_type, username, failed_count, last_failed_at, locked_until)
+    VALUES (p_subject_type, p_username, 1, now(), NULL)
+    ON CONFLICT (subject_type, username) DO UPDATE SET
+        failed_count = CASE
+            WHEN login_throttle.locked_until IS NOT NULL AND login_throttle.locked_until <= now() THEN 1
+            ELSE login_throttle.failed_count + 1
+        END,
+        last_failed_at = now(),
+        locked_until = NULL
+    RETURNING * INTO v_throttle;
+
+    IF v_throttle.failed_count >= p_max_attempts THEN
+        UPDATE login_throttle
+        SET locked_until = now() + make_interval(secs => p_lockout_seconds)
+        WHERE subject_type = p_subject_type AND username = p_username
+        RETURNING * INTO v_throttle;
+    END IF;
+
+    RETURN v_throttle;
+END;
+$$;
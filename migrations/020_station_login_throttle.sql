@@ -0,0 +1,9 @@
+-- 020_station_login_throttle.sql - 배지 로그인 실패를 스테이션 단위로도 추적 (없는 배지 코드 무차별 대입 방지)
+
+ALTER TABLE login_attempts DROP CONSTRAINT IF EXISTS login_attempts_subject_type_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_subject_type_check
+    CHECK (subject_type IN ('worker', 'admin', 'station'));
+
+ALTER TABLE login_throttle DROP CONSTRAINT IF EXISTS login_throttle_subject_type_check;
+ALTER TABLE login_throttle ADD CONSTRAINT login_throttle_subject_type_check
+    CHECK (subject_type IN ('worker', 'admin', 'station'));
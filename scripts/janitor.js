@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// scripts/janitor.js - 미완료 업로드 / 고아 객체 정리 CLI
+//
+// 사용법:
+//   npm run janitor                          # dry-run 보고서
+//   npm run janitor -- --apply               # 실제 취소/삭제
+//   npm run janitor -- --older-than-hours=48 # 대상 기준 시간 (기본 JANITOR_OLDER_THAN_HOURS 또는 24)
+//   npm run janitor -- --driver=local        # 정리할 스토리지 드라이버 (기본 STORAGE_DRIVER)
+//   npm run janitor -- --json                # 보고서를 JSON으로 출력
+require('dotenv').config();
+
+function parseArgs(argv) {
+    const options = { dryRun: true, json: false };
+
+    for (const arg of argv) {
+        if (arg === '--apply') {
+            options.dryRun = false;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--driver=')) {
+            options.driver = arg.split('=')[1];
+        } else if (arg.startsWith('--older-than-hours=')) {
+            options.olderThanHours = Number(arg.split('=')[1]);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.olderThanHours !== undefined && !(options.olderThanHours > 0)) {
+        throw new Error('--older-than-hours must be a positive number');
+    }
+
+    return options;
+}
+
+function printReport(report) {
+    console.log(`Storage: ${report.driver}`);
+    console.log(`Mode: ${report.dryRun ? 'dry run (nothing deleted, use --apply)' : 'apply'}`);
+    console.log(`Cutoff: ${report.cutoff}`);
+
+    console.log(`\nStale multipart uploads: ${report.staleUploads.length}`);
+    for (const upload of report.staleUploads) {
+        console.log(`  ${upload.initiated}  ${upload.key}  (${upload.uploadId})`);
+    }
+
+    console.log(`\nOrphaned objects: ${report.orphanedObjects.length}`);
+    for (const object of report.orphanedObjects) {
+        console.log(`  ${object.lastModified}  ${object.key}  (${object.size} bytes)`);
+    }
+
+    console.log(`\nRecordings pointing to missing objects: ${report.missingObjects.length}`);
+    for (const missing of report.missingObjects) {
+        console.log(`  ${missing.recording_id}  [${missing.status}]  ${missing.key}`);
+    }
+
+    if (!report.dryRun) {
+        console.log(`\nAborted uploads: ${report.abortedUploads}`);
+        console.log(`Deleted objects: ${report.deletedObjects}`);
+    }
+}
+
+async function main() {
+    const { json, ...options } = parseArgs(process.argv.slice(2));
+
+    // 옵션 검증 후 로드 (DB/S3 설정 오류보다 사용법 오류를 먼저 표시)
+    const { runJanitor } = require('../src/jobs/janitor');
+    const report = await runJanitor(options);
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
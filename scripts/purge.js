@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// scripts/purge.js - 휴지통 유예 기간이 지난 삭제된 녹화 영구 삭제 CLI
+//
+// 사용법:
+//   npm run purge                        # dry-run 보고서
+//   npm run purge -- --apply             # 실제 삭제
+//   npm run purge -- --company=<id>      # 특정 회사만
+//   npm run purge -- --json              # 보고서를 JSON으로 출력
+require('dotenv').config();
+
+function parseArgs(argv) {
+    const options = { dryRun: true, json: false };
+
+    for (const arg of argv) {
+        if (arg === '--apply') {
+            options.dryRun = false;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--company=')) {
+            options.companyId = arg.split('=')[1];
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.companyId === '') {
+        throw new Error('--company requires a company id');
+    }
+
+    return options;
+}
+
+function printReport(report) {
+    console.log(`Mode: ${report.dryRun ? 'dry run (nothing changed, use --apply)' : 'apply'}`);
+    console.log(`Companies checked: ${report.companies}`);
+
+    console.log(`\nDeleted recordings past grace period: ${report.purged.length}`);
+    for (const recording of report.purged) {
+        console.log(`  ${recording.deleted_at}  ${recording.recording_id}  ${recording.barcode}`);
+    }
+
+    console.log(`\nOn legal hold (kept): ${report.held.length}`);
+    for (const recording of report.held) {
+        console.log(`  ${recording.deleted_at}  ${recording.recording_id}  ${recording.barcode}  (${recording.reason || 'no reason'})`);
+    }
+
+    if (!report.dryRun) {
+        console.log(`\nPurged recordings: ${report.purgedRecordings}`);
+
+        console.log(`Failed: ${report.failed.length}`);
+        for (const recording of report.failed) {
+            console.log(`  ${recording.recording_id}  ${recording.error}`);
+        }
+    }
+}
+
+async function main() {
+    const { json, ...options } = parseArgs(process.argv.slice(2));
+
+    // 옵션 검증 후 로드 (DB/S3 설정 오류보다 사용법 오류를 먼저 표시)
+    const { runPurge } = require('../src/jobs/purge');
+    const report = await runPurge(options);
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
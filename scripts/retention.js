@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// scripts/retention.js - 보존 기간 만료 녹화 삭제 / 저장 등급 전환 CLI
+//
+// 사용법:
+//   npm run retention                        # dry-run 보고서
+//   npm run retention -- --apply             # 실제 삭제/전환
+//   npm run retention -- --company=<id>      # 특정 회사만
+//   npm run retention -- --json              # 보고서를 JSON으로 출력
+require('dotenv').config();
+
+function parseArgs(argv) {
+    const options = { dryRun: true, json: false };
+
+    for (const arg of argv) {
+        if (arg === '--apply') {
+            options.dryRun = false;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg.startsWith('--company=')) {
+            options.companyId = arg.split('=')[1];
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.companyId === '') {
+        throw new Error('--company requires a company id');
+    }
+
+    return options;
+}
+
+function printReport(report) {
+    console.log(`Mode: ${report.dryRun ? 'dry run (nothing changed, use --apply)' : 'apply'}`);
+    console.log(`Companies with retention policy: ${report.companies}`);
+
+    console.log(`\nExpired recordings: ${report.expired.length}`);
+    for (const recording of report.expired) {
+        console.log(`  ${recording.created_at}  ${recording.recording_id}  ${recording.barcode}`);
+    }
+
+    console.log(`\nOn legal hold (kept): ${report.held.length}`);
+    for (const recording of report.held) {
+        console.log(`  ${recording.created_at}  ${recording.recording_id}  ${recording.barcode}  (${recording.reason || 'no reason'})`);
+    }
+
+    console.log(`\nTo archive: ${report.archived.length}`);
+    for (const recording of report.archived) {
+        console.log(`  ${recording.created_at}  ${recording.recording_id}  → ${recording.storage_class}`);
+    }
+
+    if (!report.dryRun) {
+        console.log(`\nDeleted recordings: ${report.deletedRecordings}`);
+        console.log(`Archived objects: ${report.archivedObjects}`);
+    }
+}
+
+async function main() {
+    const { json, ...options } = parseArgs(process.argv.slice(2));
+
+    // 옵션 검증 후 로드 (DB/S3 설정 오류보다 사용법 오류를 먼저 표시)
+    const { runRetention } = require('../src/jobs/retention');
+    const report = await runRetention(options);
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -14,9 +14,22 @@ const uploadRoutes = require('./src/routes/upload');
 const recordingRoutes = require('./src/routes/recording');
 const videoRoutes = require('./src/routes/video');
 const cloudinaryRoutes = require('./src/routes/cloudinary');
+const deviceRoutes = require('./src/routes/device');
+const workerRoutes = require('./src/routes/worker');
+const apiKeyRoutes = require('./src/routes/apikey');
+const auditRoutes = require('./src/routes/audit');
+const uploadPolicyRoutes = require('./src/routes/uploadPolicy');
+const storageRoutes = require('./src/routes/storage');
+const retentionPolicyRoutes = require('./src/routes/retentionPolicy');
+const usageRoutes = require('./src/routes/usage');
+const exportRoutes = require('./src/routes/export');
 
 // 로거 설정
 const logger = require('./src/utils/logger');
+const { scheduleJanitor } = require('./src/jobs/janitor');
+const { scheduleRetention } = require('./src/jobs/retention');
+const { schedulePurge } = require('./src/jobs/purge');
+const { scheduleIdempotencyCleanup } = require('./src/jobs/idempotency');
 
 // Express 앱 생성
 const app = express();
@@ -49,6 +62,18 @@ const uploadLimiter = rateLimit({
 });
 app.use('/api/upload/', uploadLimiter);
 
+// 로그인 실패 Rate limiting (IP 단위 크리덴셜 스터핑 방지, 성공한 요청은 제외)
+const loginFailureLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 50,
+    skipSuccessfulRequests: true,
+    message: 'Too many failed login attempts from this IP'
+});
+app.use('/api/auth/worker/login', loginFailureLimiter);
+app.use('/api/auth/worker/login-simple', loginFailureLimiter);
+app.use('/api/auth/worker/badge-login', loginFailureLimiter);
+app.use('/api/auth/admin/login', loginFailureLimiter);
+
 // 미들웨어
 app.use(compression());
 app.use(express.json({ limit: '50mb' }));
@@ -58,6 +83,9 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 // 정적 파일 서빙 (public 폴더)
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+// 로컬 스토리지 서명 URL (STORAGE_DRIVER=local, 서명 토큰으로 인증 - API rate limit 제외)
+app.use('/storage/local', storageRoutes);
+
 // 헬스 체크
 app.get('/health', (req, res) => {
     res.json({ 
@@ -73,6 +101,14 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/recording', recordingRoutes);
 app.use('/api/video', videoRoutes);
 app.use('/api/cloudinary', cloudinaryRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/workers', workerRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/upload-policy', uploadPolicyRoutes);
+app.use('/api/retention-policy', retentionPolicyRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/exports', exportRoutes);
 
 // 404 핸들러
 app.use((req, res) => {
@@ -98,6 +134,18 @@ const server = app.listen(PORT, () => {
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// 미완료 업로드 / 고아 객체 정리 (JANITOR_ENABLED=true)
+scheduleJanitor();
+
+// 보존 기간 만료 녹화 삭제 / 저장 등급 전환 (RETENTION_ENABLED=true)
+scheduleRetention();
+
+// 휴지통 유예 기간이 지난 삭제된 녹화 영구 삭제 (PURGE_ENABLED=true)
+schedulePurge();
+
+// 보관 기간이 지난 Idempotency-Key 삭제 (IDEMPOTENCY_CLEANUP_ENABLED=false로 끔)
+scheduleIdempotencyCleanup();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM signal received: closing HTTP server');
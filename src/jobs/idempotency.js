@@ -0,0 +1,47 @@
+// idempotency.js - 보관 기간이 지난 Idempotency-Key 정리 작업
+//
+// 만료된 키는 같은 키가 다시 쓰일 때만 교체되므로, 다시 쓰이지 않는 키가 쌓이지 않도록 주기적으로 삭제
+const { idempotencyKeys } = require('../repositories');
+const { isPrimaryInstance } = require('../utils/instance');
+const logger = require('../utils/logger');
+
+/**
+ * 만료된 Idempotency-Key 삭제 - 삭제된 행 수 반환
+ */
+async function runIdempotencyCleanup() {
+    const removed = await idempotencyKeys.removeExpired(new Date().toISOString());
+
+    if (removed > 0) {
+        logger.info(`Idempotency cleanup: removed ${removed} expired keys`);
+    }
+
+    return removed;
+}
+
+/**
+ * 서버 내 주기 실행 (IDEMPOTENCY_CLEANUP_INTERVAL_HOURS, 기본 1시간)
+ * 만료된 행만 지우므로 기본으로 켜져 있음 (IDEMPOTENCY_CLEANUP_ENABLED=false로 끔)
+ */
+function scheduleIdempotencyCleanup() {
+    if (process.env.IDEMPOTENCY_CLEANUP_ENABLED === 'false') return null;
+
+    if (!isPrimaryInstance()) return null;
+
+    const intervalHours = parseFloat(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_HOURS) || 1;
+
+    const timer = setInterval(() => {
+        runIdempotencyCleanup().catch(error => logger.error('Idempotency cleanup failed:', error));
+    }, intervalHours * 60 * 60 * 1000);
+
+    // 타이머가 프로세스 종료를 막지 않도록
+    timer.unref();
+
+    logger.info(`Idempotency cleanup scheduled every ${intervalHours}h`);
+
+    return timer;
+}
+
+module.exports = {
+    runIdempotencyCleanup,
+    scheduleIdempotencyCleanup
+};
@@ -0,0 +1,180 @@
+// janitor.js - 미완료 Multipart 업로드 / 고아 객체 정리 작업
+//
+// 1. 오래된 미완료 Multipart 업로드 → 취소 (저장 공간 차지)
+// 2. 어떤 녹화도 가리키지 않는 recordings/ 객체 → 삭제
+// 3. cloud_url이 존재하지 않는 객체를 가리키는 녹화 → 보고만 함
+//
+// 기본은 dry-run (보고서만 생성, 아무것도 삭제하지 않음)
+// 스토리지 드라이버별로 실행 (--driver, 기본 STORAGE_DRIVER)
+const { recordings, uploadSessions } = require('../repositories');
+const { DEFAULT_STORAGE_DRIVER, LEGACY_STORAGE_DRIVER, getStorage, recordingStorageKey } = require('../storage');
+const { isPrimaryInstance } = require('../utils/instance');
+const logger = require('../utils/logger');
+
+const RECORDINGS_PREFIX = 'recordings/';
+const DEFAULT_OLDER_THAN_HOURS = parseInt(process.env.JANITOR_OLDER_THAN_HOURS) || 24;
+const RECORDING_SCAN_PAGE_SIZE = 1000;
+
+/**
+ * 이 스토리지의 객체를 가리키는 녹화 전체 조회 (삭제된 녹화 포함 - 복구 가능해야 함)
+ * 조회 중 녹화가 추가/삭제되어도 행을 건너뛰지 않도록 (created_at, id) keyset 페이지로 조회
+ * Map<key, recording>
+ */
+async function collectReferencedKeys(storage) {
+    const referenced = new Map();
+    let after = null;
+
+    for (;;) {
+        const { rows, hasMore } = await recordings.search({}, { include_deleted: true }, {
+            sort: 'created_at',
+            ascending: true,
+            after,
+            limit: RECORDING_SCAN_PAGE_SIZE
+        });
+
+        for (const recording of rows) {
+            if ((recording.storage_driver || LEGACY_STORAGE_DRIVER) !== storage.name) continue;
+
+            const key = recording.cloud_url && recordingStorageKey(recording, storage);
+            if (key) referenced.set(key, recording);
+        }
+
+        if (!hasMore || rows.length === 0) break;
+
+        const last = rows[rows.length - 1];
+        after = { value: last.created_at, id: last.id };
+    }
+
+    return referenced;
+}
+
+/**
+ * 정리 작업 실행
+ *
+ * dryRun: true면 보고서만 생성 (기본값)
+ * olderThanHours: 이 시간보다 오래된 업로드/객체만 대상 (진행 중인 업로드 보호)
+ * driver: 정리할 스토리지 드라이버 (기본 STORAGE_DRIVER)
+ */
+async function runJanitor({ dryRun = true, olderThanHours = DEFAULT_OLDER_THAN_HOURS, driver = DEFAULT_STORAGE_DRIVER } = {}) {
+    const storage = getStorage(driver);
+    const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+
+    const report = {
+        driver: storage.name,
+        dryRun,
+        cutoff: cutoff.toISOString(),
+        staleUploads: [],
+        orphanedObjects: [],
+        missingObjects: [],
+        abortedUploads: 0,
+        deletedObjects: 0
+    };
+
+    // 1. 오래된 미완료 Multipart 업로드
+    for (const upload of await storage.listMultipartUploads(RECORDINGS_PREFIX)) {
+        if (upload.initiated >= cutoff) continue;
+
+        report.staleUploads.push({
+            key: upload.key,
+            uploadId: upload.uploadId,
+            initiated: upload.initiated.toISOString()
+        });
+    }
+
+    // 2, 3. 객체 ↔ 녹화 대조
+    const referenced = await collectReferencedKeys(storage);
+    const objects = await storage.listObjects(RECORDINGS_PREFIX);
+    const existingKeys = new Set(objects.map(object => object.key));
+
+    for (const object of objects) {
+        if (referenced.has(object.key) || object.lastModified >= cutoff) continue;
+
+        report.orphanedObjects.push({
+            key: object.key,
+            size: object.size,
+            lastModified: object.lastModified.toISOString()
+        });
+    }
+
+    for (const [key, recording] of referenced) {
+        if (existingKeys.has(key)) continue;
+
+        report.missingObjects.push({
+            recording_id: recording.id,
+            company_id: recording.company_id,
+            status: recording.status,
+            key
+        });
+    }
+
+    if (dryRun) {
+        logger.info(`Janitor dry run (${storage.name}): ${report.staleUploads.length} stale uploads, ${report.orphanedObjects.length} orphaned objects, ${report.missingObjects.length} recordings with missing objects`);
+        return report;
+    }
+
+    for (const upload of report.staleUploads) {
+        try {
+            await storage.abortMultipartUpload(upload.key, upload.uploadId);
+
+            await uploadSessions.update({ upload_id: upload.uploadId, status: 'in_progress' }, {
+                status: 'aborted',
+                updated_at: new Date().toISOString()
+            });
+
+            report.abortedUploads++;
+        } catch (error) {
+            logger.error(`Janitor failed to abort upload ${upload.uploadId}:`, error);
+        }
+    }
+
+    if (report.orphanedObjects.length > 0) {
+        try {
+            const { deleted, errors } = await storage.deleteObjects(report.orphanedObjects.map(object => object.key));
+
+            for (const failure of errors) {
+                logger.error(`Janitor failed to delete ${failure.key}: ${failure.message}`);
+            }
+
+            report.deletedObjects = deleted;
+        } catch (error) {
+            logger.error('Janitor failed to delete orphaned objects:', error);
+        }
+    }
+
+    for (const missing of report.missingObjects) {
+        logger.warn(`Recording ${missing.recording_id} points to missing object ${missing.key}`);
+    }
+
+    logger.info(`Janitor finished (${storage.name}): aborted ${report.abortedUploads} uploads, deleted ${report.deletedObjects} objects, ${report.missingObjects.length} recordings with missing objects`);
+
+    return report;
+}
+
+/**
+ * 서버 내 주기 실행 (JANITOR_ENABLED=true)
+ * JANITOR_DRY_RUN=false일 때만 실제로 삭제
+ */
+function scheduleJanitor() {
+    if (process.env.JANITOR_ENABLED !== 'true') return null;
+
+    if (!isPrimaryInstance()) return null;
+
+    const intervalHours = parseInt(process.env.JANITOR_INTERVAL_HOURS) || 24;
+    const dryRun = process.env.JANITOR_DRY_RUN !== 'false';
+
+    const timer = setInterval(() => {
+        runJanitor({ dryRun }).catch(error => logger.error('Janitor run failed:', error));
+    }, intervalHours * 60 * 60 * 1000);
+
+    // 타이머가 프로세스 종료를 막지 않도록
+    timer.unref();
+
+    logger.info(`Janitor scheduled every ${intervalHours}h (${dryRun ? 'dry run' : 'apply'})`);
+
+    return timer;
+}
+
+module.exports = {
+    runJanitor,
+    scheduleJanitor
+};
@@ -0,0 +1,173 @@
+// purge.js - 휴지통(삭제된 녹화) 영구 삭제 작업
+//
+// 삭제 후 회사 정책의 유예 기간(trash_retention_days)이 지난 녹화 →
+// 영상(스토리지 객체 또는 Cloudinary 에셋)을 지운 뒤 행 삭제, 무엇을 지웠는지 감사 로그에 기록
+// legal hold 녹화는 제외하고 보고
+//
+// 기본은 dry-run (보고서만 생성, 아무것도 삭제하지 않음)
+const { companies, recordings } = require('../repositories');
+const { deleteRecordingObject } = require('../storage');
+const { getRetentionPolicy } = require('../utils/retentionPolicy');
+const { AUDIT_ACTIONS, SYSTEM_ACTOR, recordAudit } = require('../utils/audit');
+const { adjustStorageUsage } = require('../utils/storageUsage');
+const { isPrimaryInstance } = require('../utils/instance');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDING_SCAN_PAGE_SIZE = 1000;
+
+/**
+ * before 이전에 삭제된 녹화 전체 조회 (삭제 전에 모두 수집 - 처리 중 페이지가 밀리지 않도록)
+ */
+async function collectDeletedRecordings(match, before) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += RECORDING_SCAN_PAGE_SIZE) {
+        const page = await recordings.listDeletedBefore(match, before, { offset, limit: RECORDING_SCAN_PAGE_SIZE });
+        rows.push(...page);
+
+        if (page.length < RECORDING_SCAN_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+function summarize(recording) {
+    return {
+        recording_id: recording.id,
+        company_id: recording.company_id,
+        barcode: recording.barcode,
+        deleted_at: recording.deleted_at
+    };
+}
+
+/**
+ * 녹화 하나 영구 삭제 (영상 삭제에 실패하면 행도 남겨 다음 실행에서 다시 시도)
+ */
+async function purgeRecording(recording, policy, cutoff) {
+    // 수집 이후 복원/다시 삭제/legal hold 설정됐을 수 있으므로 삭제 직전에 다시 확인
+    const current = await recordings.findOne({ id: recording.id, status: 'deleted' });
+    if (!current || current.legal_hold || !(current.deleted_at < cutoff)) return false;
+
+    const object = await deleteRecordingObject(current);
+
+    // 다시 확인한 뒤에 복원되거나 legal hold가 걸렸다면 행은 남김
+    const [removed] = await recordings.remove({ id: current.id, status: 'deleted', legal_hold: false });
+
+    if (!removed) {
+        logger.warn(`Purge kept recording ${current.id}: it was restored or put on legal hold during deletion`);
+        return false;
+    }
+
+    if (current.stored_bytes !== null && current.stored_bytes !== undefined) {
+        await adjustStorageUsage(current.company_id, { bytes: -Number(current.stored_bytes), recordings: -1 });
+    }
+
+    if (object && object.skipped) {
+        logger.warn(`Purged recording ${current.id} without deleting ${object.key} (outside company storage)`);
+    }
+
+    await recordAudit(null, {
+        action: AUDIT_ACTIONS.RECORDING_PURGE,
+        resourceType: 'recording',
+        resourceId: current.id,
+        companyId: current.company_id,
+        actor: SYSTEM_ACTOR,
+        metadata: {
+            barcode: current.barcode,
+            worker_id: current.worker_id,
+            created_at: current.created_at,
+            deleted_at: current.deleted_at,
+            deleted_from_status: current.deleted_from_status,
+            provider: object && object.provider,
+            key: object && object.key,
+            object_skipped: Boolean(object && object.skipped),
+            stored_bytes: current.stored_bytes === undefined ? null : current.stored_bytes,
+            trash_retention_days: policy.trash_retention_days
+        }
+    });
+
+    return true;
+}
+
+/**
+ * 휴지통 영구 삭제 실행
+ *
+ * dryRun: true면 보고서만 생성 (기본값)
+ * companyId: 특정 회사만 처리 (생략 시 전체 회사)
+ */
+async function runPurge({ dryRun = true, companyId } = {}) {
+    const report = {
+        dryRun,
+        companies: 0,
+        purged: [],
+        held: [],
+        failed: [],
+        purgedRecordings: 0
+    };
+
+    const targets = companyId ? [{ id: companyId }] : await companies.list({});
+
+    for (const company of targets) {
+        const policy = await getRetentionPolicy(company.id);
+        const cutoff = new Date(Date.now() - policy.trash_retention_days * DAY_MS).toISOString();
+
+        report.companies++;
+
+        for (const recording of await collectDeletedRecordings({ company_id: company.id }, cutoff)) {
+            if (recording.legal_hold) {
+                report.held.push({ ...summarize(recording), reason: recording.legal_hold_reason });
+                continue;
+            }
+
+            report.purged.push(summarize(recording));
+            if (dryRun) continue;
+
+            try {
+                if (await purgeRecording(recording, policy, cutoff)) {
+                    report.purgedRecordings++;
+                }
+            } catch (error) {
+                logger.error(`Purge failed for recording ${recording.id}:`, error);
+                report.failed.push({ ...summarize(recording), error: error.message });
+            }
+        }
+    }
+
+    if (dryRun) {
+        logger.info(`Purge dry run: ${report.purged.length} deleted recordings to purge, ${report.held.length} on legal hold`);
+    } else {
+        logger.info(`Purge finished: purged ${report.purgedRecordings} recordings, ${report.failed.length} failed, ${report.held.length} on legal hold`);
+    }
+
+    return report;
+}
+
+/**
+ * 서버 내 주기 실행 (PURGE_ENABLED=true)
+ * PURGE_DRY_RUN=false일 때만 실제로 삭제
+ */
+function schedulePurge() {
+    if (process.env.PURGE_ENABLED !== 'true') return null;
+
+    if (!isPrimaryInstance()) return null;
+
+    const intervalHours = parseInt(process.env.PURGE_INTERVAL_HOURS) || 24;
+    const dryRun = process.env.PURGE_DRY_RUN !== 'false';
+
+    const timer = setInterval(() => {
+        runPurge({ dryRun }).catch(error => logger.error('Purge run failed:', error));
+    }, intervalHours * 60 * 60 * 1000);
+
+    // 타이머가 프로세스 종료를 막지 않도록
+    timer.unref();
+
+    logger.info(`Purge scheduled every ${intervalHours}h (${dryRun ? 'dry run' : 'apply'})`);
+
+    return timer;
+}
+
+module.exports = {
+    runPurge,
+    schedulePurge
+};
@@ -0,0 +1,200 @@
+// retention.js - 회사별 보존 기간 작업
+//
+// 1. 보존 기간(retention_days)이 지난 녹화 → 객체와 행 삭제 (legal hold 녹화는 제외하고 보고)
+// 2. archive_after_days가 지난 녹화 → 저장 등급 전환 (AWS S3만, 예: STANDARD_IA)
+//
+// 기본은 dry-run (보고서만 생성, 아무것도 변경하지 않음)
+const { companies, recordings } = require('../repositories');
+const { getRecordStorage, recordingStorageKey, deleteRecordingObject } = require('../storage');
+const { getRetentionPolicy } = require('../utils/retentionPolicy');
+const { AUDIT_ACTIONS, SYSTEM_ACTOR, recordAudit } = require('../utils/audit');
+const { adjustStorageUsage } = require('../utils/storageUsage');
+const { isPrimaryInstance } = require('../utils/instance');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDING_SCAN_PAGE_SIZE = 1000;
+
+/**
+ * before 이전에 생성된 녹화 전체 조회 (변경 전에 모두 수집 - 처리 중 페이지가 밀리지 않도록)
+ */
+async function collectRecordings(match, before) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += RECORDING_SCAN_PAGE_SIZE) {
+        const page = await recordings.listCreatedBefore(match, before, { offset, limit: RECORDING_SCAN_PAGE_SIZE });
+        rows.push(...page);
+
+        if (page.length < RECORDING_SCAN_PAGE_SIZE) break;
+    }
+
+    return rows;
+}
+
+function summarize(recording) {
+    return {
+        recording_id: recording.id,
+        company_id: recording.company_id,
+        barcode: recording.barcode,
+        created_at: recording.created_at
+    };
+}
+
+/**
+ * 보존 기간이 지난 녹화 삭제 (객체 삭제에 실패하면 행도 남김)
+ */
+async function expireRecordings(company, policy, report, dryRun) {
+    const cutoff = new Date(Date.now() - policy.retention_days * DAY_MS).toISOString();
+
+    for (const recording of await collectRecordings({ company_id: company.id }, cutoff)) {
+        if (recording.legal_hold) {
+            report.held.push({ ...summarize(recording), reason: recording.legal_hold_reason });
+            continue;
+        }
+
+        report.expired.push(summarize(recording));
+        if (dryRun) continue;
+
+        try {
+            // 수집 이후 legal hold가 걸렸을 수 있으므로 삭제 직전에 다시 확인
+            const current = await recordings.findOne({ id: recording.id });
+            if (!current || current.legal_hold) continue;
+
+            const object = await deleteRecordingObject(current);
+
+            // 다시 확인한 뒤에 legal hold가 걸렸다면 행은 남김
+            const [removed] = await recordings.remove({ id: current.id, legal_hold: false });
+
+            if (!removed) {
+                logger.warn(`Retention kept recording ${current.id}: legal hold was set during deletion`);
+                continue;
+            }
+
+            if (current.stored_bytes !== null && current.stored_bytes !== undefined) {
+                await adjustStorageUsage(current.company_id, { bytes: -Number(current.stored_bytes), recordings: -1 });
+            }
+
+            await recordAudit(null, {
+                action: AUDIT_ACTIONS.RECORDING_EXPIRE,
+                resourceType: 'recording',
+                resourceId: current.id,
+                companyId: current.company_id,
+                actor: SYSTEM_ACTOR,
+                metadata: {
+                    barcode: current.barcode,
+                    provider: object && object.provider,
+                    key: object && object.key,
+                    object_skipped: Boolean(object && object.skipped),
+                    retention_days: policy.retention_days
+                }
+            });
+
+            report.deletedRecordings++;
+        } catch (error) {
+            logger.error(`Retention failed to delete recording ${recording.id}:`, error);
+        }
+    }
+}
+
+/**
+ * 저장 등급 전환 대상 녹화 처리 (이미 전환된 녹화는 storage_class로 제외)
+ */
+async function archiveRecordings(company, policy, report, dryRun) {
+    const cutoff = new Date(Date.now() - policy.archive_after_days * DAY_MS).toISOString();
+
+    for (const recording of await collectRecordings({ company_id: company.id, storage_class: null }, cutoff)) {
+        const storage = getRecordStorage(recording);
+        const key = recording.cloud_url && recordingStorageKey(recording, storage);
+
+        if (!key || !storage.supportsStorageClasses) continue;
+
+        report.archived.push({ ...summarize(recording), storage_class: policy.archive_storage_class });
+        if (dryRun) continue;
+
+        try {
+            await storage.setStorageClass(key, policy.archive_storage_class);
+
+            await recordings.update({ id: recording.id }, {
+                storage_class: policy.archive_storage_class,
+                archived_at: new Date().toISOString()
+            });
+
+            report.archivedObjects++;
+        } catch (error) {
+            logger.error(`Retention failed to archive recording ${recording.id}:`, error);
+        }
+    }
+}
+
+/**
+ * 보존 기간 작업 실행
+ *
+ * dryRun: true면 보고서만 생성 (기본값)
+ * companyId: 특정 회사만 처리 (생략 시 전체 회사)
+ */
+async function runRetention({ dryRun = true, companyId } = {}) {
+    const report = {
+        dryRun,
+        companies: 0,
+        expired: [],
+        held: [],
+        archived: [],
+        deletedRecordings: 0,
+        archivedObjects: 0
+    };
+
+    const targets = companyId ? [{ id: companyId }] : await companies.list({});
+
+    for (const company of targets) {
+        const policy = await getRetentionPolicy(company.id);
+        if (!policy.retention_days && !policy.archive_after_days) continue;
+
+        report.companies++;
+
+        // 삭제될 녹화를 굳이 전환하지 않도록 만료부터 처리
+        if (policy.retention_days) {
+            await expireRecordings(company, policy, report, dryRun);
+        }
+
+        if (policy.archive_after_days) {
+            await archiveRecordings(company, policy, report, dryRun);
+        }
+    }
+
+    if (dryRun) {
+        logger.info(`Retention dry run: ${report.expired.length} recordings to delete, ${report.archived.length} to archive, ${report.held.length} on legal hold`);
+    } else {
+        logger.info(`Retention finished: deleted ${report.deletedRecordings} recordings, archived ${report.archivedObjects} objects, ${report.held.length} on legal hold`);
+    }
+
+    return report;
+}
+
+/**
+ * 서버 내 주기 실행 (RETENTION_ENABLED=true)
+ * RETENTION_DRY_RUN=false일 때만 실제로 삭제/전환
+ */
+function scheduleRetention() {
+    if (process.env.RETENTION_ENABLED !== 'true') return null;
+
+    if (!isPrimaryInstance()) return null;
+
+    const intervalHours = parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24;
+    const dryRun = process.env.RETENTION_DRY_RUN !== 'false';
+
+    const timer = setInterval(() => {
+        runRetention({ dryRun }).catch(error => logger.error('Retention run failed:', error));
+    }, intervalHours * 60 * 60 * 1000);
+
+    // 타이머가 프로세스 종료를 막지 않도록
+    timer.unref();
+
+    logger.info(`Retention scheduled every ${intervalHours}h (${dryRun ? 'dry run' : 'apply'})`);
+
+    return timer;
+}
+
+module.exports = {
+    runRetention,
+    scheduleRetention
+};
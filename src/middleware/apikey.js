@@ -0,0 +1,97 @@
+// apikey.js - 외부 연동(WMS, 쇼핑몰) API 키 인증 미들웨어
+const { apiKeys } = require('../repositories');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/secrets');
+const { ROLES, authenticateToken } = require('./auth');
+
+// API 키 권한
+const API_KEY_PERMISSIONS = {
+    READ_RECORDINGS: 'recordings:read',
+    VIDEO_URL: 'video:url',
+    EXPORTS: 'exports:read'
+};
+
+// last_used_at 갱신 최소 간격
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API 키 인증 미들웨어 (X-API-Key 헤더)
+ * 키의 회사 범위로 req.user를 설정하며 role은 integration
+ */
+function authenticateApiKey(permission) {
+    return async (req, res, next) => {
+        try {
+            const apiKey = req.headers['x-api-key'];
+
+            if (!apiKey) {
+                return res.status(401).json({ 
+                    success: false, 
+                    error: 'API key required' 
+                });
+            }
+
+            const key = await apiKeys.findOne({ key_hash: hashToken(apiKey) });
+
+            if (!key || key.revoked_at || (key.expires_at && new Date(key.expires_at) <= new Date())) {
+                return res.status(401).json({ 
+                    success: false, 
+                    error: 'Invalid or revoked API key' 
+                });
+            }
+
+            if (permission && !(key.permissions || []).includes(permission)) {
+                return res.status(403).json({ 
+                    success: false, 
+                    error: `API key lacks permission: ${permission}` 
+                });
+            }
+
+            // 마지막 사용 시간 갱신 (1분 간격)
+            if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+                try {
+                    await apiKeys.update({ id: key.id }, { last_used_at: new Date().toISOString(), last_used_ip: req.ip });
+                } catch (error) {
+                    logger.warn(`Failed to update last_used_at for API key ${key.id}`);
+                }
+            }
+
+            req.user = {
+                api_key_id: key.id,
+                username: key.name,
+                company_id: key.company_id,
+                permissions: key.permissions,
+                role: ROLES.INTEGRATION,
+                type: 'api_key'
+            };
+
+            next();
+        } catch (error) {
+            logger.error('API key authentication error:', error);
+            res.status(500).json({ 
+                success: false, 
+                error: 'Failed to verify API key' 
+            });
+        }
+    };
+}
+
+/**
+ * JWT 또는 API 키 인증
+ * X-API-Key 헤더가 있으면 API 키로, 없으면 JWT로 인증
+ */
+function authenticateTokenOrApiKey(permission) {
+    const apiKeyAuth = authenticateApiKey(permission);
+
+    return (req, res, next) => {
+        if (req.headers['x-api-key']) {
+            return apiKeyAuth(req, res, next);
+        }
+        return authenticateToken(req, res, next);
+    };
+}
+
+module.exports = {
+    API_KEY_PERMISSIONS,
+    authenticateApiKey,
+    authenticateTokenOrApiKey
+};
@@ -1,20 +1,81 @@
 // auth.js - 인증 미들웨어
 const jwt = require('jsonwebtoken');
-const { createClient } = require('@supabase/supabase-js');
+const { createSession, isSessionActive } = require('../utils/session');
+const logger = require('../utils/logger');
 
-// Supabase 클라이언트
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_ANON_KEY
-);
+// 사용자 역할
+const ROLES = {
+    WORKER: 'worker',
+    SUPERVISOR: 'supervisor',
+    COMPANY_ADMIN: 'company_admin',
+    PLATFORM_ADMIN: 'platform_admin',
+    INTEGRATION: 'integration'  // API 키 (WMS, 쇼핑몰 연동)
+};
+
+// 회사 녹화 전체를 열람/관리할 수 있는 역할
+const STAFF_ROLES = [ROLES.SUPERVISOR, ROLES.COMPANY_ADMIN, ROLES.PLATFORM_ADMIN];
+
+// 회사 설정(단말, 계정 등)을 관리할 수 있는 역할
+const ADMIN_ROLES = [ROLES.COMPANY_ADMIN, ROLES.PLATFORM_ADMIN];
+
+// 액세스 토큰 유효 기간 (장기 사용은 리프레시 토큰으로)
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = 15 * 60;
+const MAX_ACCESS_TOKEN_SECONDS = 12 * 60 * 60;
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * ACCESS_TOKEN_EXPIRES_IN 해석 (예: 900, 15m, 1h) - 초 단위 숫자로 반환, 형식이 틀리거나 12시간을 넘으면 기본값
+ *
+ * 예전 .env의 JWT_EXPIRES_IN(1825d 등 장기 토큰)은 더 이상 사용하지 않음
+ */
+function resolveAccessTokenExpiresIn(value) {
+    if (process.env.JWT_EXPIRES_IN) {
+        logger.warn('JWT_EXPIRES_IN is no longer used; set ACCESS_TOKEN_EXPIRES_IN (max 12h) instead');
+    }
+
+    if (!value) return DEFAULT_ACCESS_TOKEN_EXPIRES_IN;
+
+    const match = String(value).trim().match(/^(\d+)\s*([smhd]?)$/);
+    const seconds = match ? Number(match[1]) * DURATION_UNITS[match[2] || 's'] : NaN;
+
+    if (!(seconds > 0 && seconds <= MAX_ACCESS_TOKEN_SECONDS)) {
+        logger.warn(`Invalid ACCESS_TOKEN_EXPIRES_IN "${value}" (expected e.g. 900, 15m or 1h, at most 12h), using ${DEFAULT_ACCESS_TOKEN_EXPIRES_IN}s`);
+        return DEFAULT_ACCESS_TOKEN_EXPIRES_IN;
+    }
+
+    return seconds;
+}
+
+const ACCESS_TOKEN_EXPIRES_IN = resolveAccessTokenExpiresIn(process.env.ACCESS_TOKEN_EXPIRES_IN);
 
 /**
  * JWT 토큰 생성
  */
 function generateToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET || 'default-secret-key', {
-        expiresIn: '24h'
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+}
+
+/**
+ * 로그인 토큰 발급 (액세스 토큰 + 서버 저장 리프레시 토큰)
+ * 액세스 토큰의 sid 클레임으로 세션 폐기 여부를 확인함
+ */
+async function issueTokens(claims, { subjectType, subjectId }, req) {
+    const { sessionId, refreshToken } = await createSession({
+        subjectType,
+        subjectId,
+        companyId: claims.company_id,
+        claims,
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
     });
+
+    return {
+        token: generateToken({ ...claims, sid: sessionId }),
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN
+    };
 }
 
 /**
@@ -31,13 +92,32 @@ function authenticateToken(req, res, next) {
         });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', async (err, user) => {
         if (err) {
             return res.status(403).json({ 
                 success: false, 
                 error: 'Invalid or expired token' 
             });
         }
+
+        // 폐기된 세션 확인 (sid가 없는 기존 토큰은 만료 시까지 허용)
+        if (user.sid) {
+            try {
+                if (!(await isSessionActive(user.sid))) {
+                    return res.status(401).json({ 
+                        success: false, 
+                        error: 'Session has been revoked' 
+                    });
+                }
+            } catch (error) {
+                logger.error('Session check error:', error);
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to verify session' 
+                });
+            }
+        }
+
         req.user = user;
         next();
     });
@@ -54,14 +134,53 @@ function optionalAuth(req, res, next) {
         return next();
     }
 
-    jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key', async (err, user) => {
         if (!err) {
-            req.user = user;
+            try {
+                if (!user.sid || await isSessionActive(user.sid)) {
+                    req.user = user;
+                }
+            } catch (error) {
+                logger.error('Session check error:', error);
+            }
         }
         next();
     });
 }
 
+/**
+ * 토큰의 역할 조회 (role 클레임이 없는 기존 작업자 토큰은 worker로 간주)
+ */
+function getUserRole(user) {
+    if (!user) return null;
+    if (user.role) return user.role;
+    return user.type === 'worker' ? ROLES.WORKER : null;
+}
+
+/**
+ * 역할 검증 미들웨어
+ * 사용 예: router.get('/list', authenticateToken, requireRole(...STAFF_ROLES), handler)
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ 
+                success: false, 
+                error: 'Authentication required' 
+            });
+        }
+
+        if (!roles.includes(getUserRole(req.user))) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Insufficient permissions' 
+            });
+        }
+
+        next();
+    };
+}
+
 /**
  * 회사 권한 검증
  */
@@ -76,6 +195,11 @@ async function verifyCompanyAccess(req, res, next) {
 
         const { company_id } = req.params;
         
+        // 플랫폼 관리자는 모든 회사 접근 가능
+        if (getUserRole(req.user) === ROLES.PLATFORM_ADMIN) {
+            return next();
+        }
+
         if (req.user.company_id !== company_id) {
             return res.status(403).json({ 
                 success: false, 
@@ -93,9 +217,15 @@ async function verifyCompanyAccess(req, res, next) {
 }
 
 module.exports = {
+    ROLES,
+    STAFF_ROLES,
+    ADMIN_ROLES,
+    ACCESS_TOKEN_EXPIRES_IN,
     generateToken,
+    issueTokens,
     authenticateToken,
     optionalAuth,
-    verifyCompanyAccess,
-    supabase
+    getUserRole,
+    requireRole,
+    verifyCompanyAccess
 };
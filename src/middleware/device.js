@@ -0,0 +1,115 @@
+// device.js - 포장 스테이션(단말) 인증 미들웨어
+const { stations } = require('../repositories');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/secrets');
+
+// last_seen_at 갱신 최소 간격
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * X-Device-Token 헤더로 스테이션 조회
+ * 헤더가 없으면 null, 유효하지 않으면 undefined 반환
+ */
+async function resolveDevice(req) {
+    const deviceToken = req.headers['x-device-token'];
+
+    if (!deviceToken) {
+        return null;
+    }
+
+    const station = await stations.findOne({ credential_hash: hashToken(deviceToken) });
+
+    if (!station || !station.is_active) {
+        return undefined;
+    }
+
+    // 마지막 접속 시간 갱신 (1분 간격)
+    if (!station.last_seen_at || Date.now() - new Date(station.last_seen_at).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+        try {
+            await stations.update({ id: station.id }, { last_seen_at: new Date().toISOString() });
+        } catch (error) {
+            logger.warn(`Failed to update last_seen_at for station ${station.id}`);
+        }
+    }
+
+    return {
+        id: station.id,
+        company_id: station.company_id,
+        name: station.name,
+        location: station.location
+    };
+}
+
+/**
+ * 단말 인증 필수 미들웨어
+ */
+async function authenticateDevice(req, res, next) {
+    try {
+        const station = await resolveDevice(req);
+
+        if (station === null) {
+            return res.status(401).json({ 
+                success: false, 
+                error: 'Device token required' 
+            });
+        }
+
+        if (!station) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Invalid or disabled device' 
+            });
+        }
+
+        req.device = station;
+        next();
+    } catch (error) {
+        logger.error('Device authentication error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to verify device' 
+        });
+    }
+}
+
+/**
+ * 선택적 단말 인증 (헤더가 없으면 통과, 있으면 유효해야 함)
+ * 로그인한 사용자가 있으면 같은 회사의 스테이션인지 확인
+ */
+async function optionalDevice(req, res, next) {
+    try {
+        const station = await resolveDevice(req);
+
+        if (station === null) {
+            return next();
+        }
+
+        if (!station) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Invalid or disabled device' 
+            });
+        }
+
+        if (req.user && req.user.company_id !== station.company_id) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Device does not belong to this company' 
+            });
+        }
+
+        req.device = station;
+        next();
+    } catch (error) {
+        logger.error('Device authentication error:', error);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to verify device' 
+        });
+    }
+}
+
+module.exports = {
+    authenticateDevice,
+    optionalDevice
+};
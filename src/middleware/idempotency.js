@@ -0,0 +1,163 @@
+// idempotency.js - Idempotency-Key 미들웨어 (오프라인 큐에서 재전송된 요청 중복 처리 방지)
+const crypto = require('crypto');
+const { idempotencyKeys } = require('../repositories');
+const logger = require('../utils/logger');
+
+// 첫 응답을 보관하는 기간
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// 처리 중(in_progress) 키를 잡아 둘 수 있는 시간 - 응답 저장 전에 프로세스가 죽어 남은 키는 이후 다시 선점
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 120;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * 같은 키가 같은 요청에 쓰였는지 비교하기 위한 해시 (메서드 + 경로 + 본문)
+ */
+function requestHash(req) {
+    return crypto.createHash('sha256')
+        .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+        .digest('hex');
+}
+
+/**
+ * 보관 기간이 지났거나, 처리 중인 채로 선점 시간이 지난 행인지
+ */
+function isReclaimable(existing) {
+    const now = Date.now();
+
+    if (new Date(existing.expires_at).getTime() <= now) return true;
+
+    return existing.status === 'in_progress'
+        && new Date(existing.created_at).getTime() + IDEMPOTENCY_LEASE_SECONDS * 1000 <= now;
+}
+
+/**
+ * 키 선점 - 새로 선점하면 { record }, 이미 있으면 { existing }
+ * 다시 선점할 수 있는 행(isReclaimable)은 지우고 다시 선점
+ */
+async function claimKey(req, scope, hash) {
+    try {
+        const record = await idempotencyKeys.create({
+            ...scope,
+            request_method: req.method,
+            request_path: `${req.baseUrl}${req.path}`,
+            request_hash: hash,
+            status: 'in_progress',
+            expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+        });
+
+        return { record };
+    } catch (error) {
+        if (error.code !== '23505') throw error;
+    }
+
+    const existing = await idempotencyKeys.findOne(scope);
+
+    if (existing && isReclaimable(existing)) {
+        await idempotencyKeys.remove({ id: existing.id });
+        return claimKey(req, scope, hash);
+    }
+
+    return { existing };
+}
+
+/**
+ * 처리 결과 저장 - 5xx는 저장하지 않고 키를 풀어 다시 시도할 수 있게 함
+ */
+async function saveResponse(record, status, body) {
+    try {
+        if (status >= 500) {
+            await idempotencyKeys.remove({ id: record.id });
+            return;
+        }
+
+        await idempotencyKeys.update({ id: record.id }, {
+            status: 'completed',
+            response_status: status,
+            response_body: body
+        });
+    } catch (error) {
+        logger.error(`Failed to store idempotent response for key ${record.idempotency_key}:`, error);
+    }
+}
+
+/**
+ * Idempotency-Key 미들웨어 (tenantContext 다음에 사용)
+ *
+ * 헤더가 없으면 그대로 통과
+ * 보관 기간 안에 같은 회사/사용자가 같은 키로 다시 요청하면 핸들러를 실행하지 않고 첫 응답(5xx 제외)을 반환
+ * 같은 키를 다른 요청에 쓰면 422, 첫 요청이 아직 처리 중이면 409
+ */
+async function idempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    try {
+        const scope = {
+            company_id: req.tenant.companyId,
+            actor_id: req.user.worker_id || req.user.admin_id || req.user.api_key_id,
+            idempotency_key: key
+        };
+        const hash = requestHash(req);
+
+        const { record, existing } = await claimKey(req, scope, hash);
+
+        if (existing) {
+            if (existing.request_hash !== hash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key was already used for a different request'
+                });
+            }
+
+            if (existing.status !== 'completed') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            logger.info(`Idempotent replay of ${existing.request_method} ${existing.request_path} (key ${key})`);
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+
+        // 응답을 보내기 전에 저장 (클라이언트가 응답을 받은 뒤의 재전송은 항상 저장된 응답을 받도록)
+        const sendJson = res.json.bind(res);
+        let responded = false;
+
+        res.json = body => {
+            res.json = sendJson;
+            responded = true;
+            saveResponse(record, res.statusCode, body).finally(() => sendJson(body));
+            return res;
+        };
+
+        // JSON 응답 없이 끝난 요청은 키를 풀어 다시 시도할 수 있게 함
+        res.on('close', () => {
+            if (!responded) saveResponse(record, 500);
+        });
+
+        next();
+    } catch (error) {
+        logger.error('Idempotency key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process Idempotency-Key'
+        });
+    }
+}
+
+module.exports = {
+    idempotency
+};
@@ -0,0 +1,74 @@
+// tenant.js - 회사(테넌트) 범위 미들웨어
+const { getUserRole } = require('./auth');
+
+/**
+ * 회사 범위 S3 키 접두사
+ */
+function tenantKeyPrefix(companyId) {
+    return `recordings/${companyId}/`;
+}
+
+/**
+ * S3 키가 해당 회사 범위에 있는지 확인
+ */
+function isTenantKey(companyId, key) {
+    return typeof key === 'string'
+        && key.startsWith(tenantKeyPrefix(companyId))
+        && !key.split('/').includes('..');
+}
+
+/**
+ * 테넌트 컨텍스트 미들웨어 (인증 미들웨어 다음에 사용)
+ * req.tenant = { companyId, workerId, role }
+ *
+ * 모든 리소스 조회/수정은 req.tenant.companyId로 범위를 제한해야 함
+ */
+function tenantContext(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Authentication required' 
+        });
+    }
+
+    // 플랫폼 관리자도 로그인 시 회사를 선택해야 회사 리소스에 접근 가능
+    if (!req.user.company_id) {
+        return res.status(403).json({ 
+            success: false, 
+            error: 'Company context required' 
+        });
+    }
+
+    req.tenant = {
+        companyId: req.user.company_id,
+        workerId: req.user.worker_id || null,
+        role: getUserRole(req.user)
+    };
+
+    next();
+}
+
+/**
+ * 요청 본문의 S3 키가 회사 범위에 있는지 검증하는 미들웨어
+ */
+function requireTenantKey(field = 'key') {
+    return (req, res, next) => {
+        const key = req.body[field];
+
+        if (key && !isTenantKey(req.tenant.companyId, key)) {
+            return res.status(403).json({ 
+                success: false, 
+                error: 'Access denied to this object' 
+            });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    tenantContext,
+    tenantKeyPrefix,
+    isTenantKey,
+    requireTenantKey
+};
@@ -0,0 +1,30 @@
+// index.js - 저장소 선택 (DB_DRIVER 설정)
+//
+// supabase (기본): Supabase 프로젝트 사용
+// memory: 프로세스 메모리 사용 - Supabase 없이 개발/자동 테스트 (MEMORY_SEED_FILE로 초기 데이터 지정)
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DB_DRIVER = process.env.DB_DRIVER || 'supabase';
+
+function loadSeed() {
+    const seedFile = process.env.MEMORY_SEED_FILE;
+    if (!seedFile) return {};
+
+    return JSON.parse(fs.readFileSync(path.resolve(seedFile), 'utf8'));
+}
+
+function createRepositories() {
+    switch (DB_DRIVER) {
+        case 'supabase':
+            return require('./supabase')(require('../config/database'));
+        case 'memory':
+            logger.warn('Using in-memory database - data is lost on restart');
+            return require('./memory')(loadSeed());
+        default:
+            throw new Error(`Unknown DB_DRIVER: ${DB_DRIVER}`);
+    }
+}
+
+module.exports = createRepositories();
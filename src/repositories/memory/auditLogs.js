@@ -0,0 +1,31 @@
+// auditLogs.js - 감사 로그 저장소 (메모리)
+const crypto = require('crypto');
+const { matches, compareBy } = require('./helpers');
+
+function createAuditLogRepository(store) {
+    return {
+        async create(fields) {
+            store.rows('audit_logs').push({
+                id: crypto.randomUUID(),
+                created_at: new Date().toISOString(),
+                ...fields
+            });
+        },
+
+        async page(match, { actions, from, to, offset = 0, limit = 50 } = {}) {
+            const rows = store.rows('audit_logs')
+                .filter(row => matches(row, match))
+                .filter(row => !actions || actions.length === 0 || actions.includes(row.action))
+                .filter(row => !from || row.created_at >= new Date(from).toISOString())
+                .filter(row => !to || row.created_at <= new Date(to).toISOString())
+                .sort(compareBy('created_at', false));
+
+            return {
+                rows: rows.slice(offset, offset + limit).map(row => ({ ...row })),
+                total: rows.length
+            };
+        }
+    };
+}
+
+module.exports = createAuditLogRepository;
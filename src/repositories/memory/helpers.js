@@ -0,0 +1,152 @@
+// helpers.js - 메모리 저장소 공통 헬퍼 (개발/테스트용)
+const crypto = require('crypto');
+
+/**
+ * 테이블별 행 배열 저장소 생성
+ * seed: { table_name: [row, ...] }
+ */
+function createStore(seed = {}) {
+    const tables = new Map();
+
+    for (const [table, rows] of Object.entries(seed)) {
+        tables.set(table, rows.map(row => ({ ...row })));
+    }
+
+    return {
+        rows(table) {
+            if (!tables.has(table)) tables.set(table, []);
+            return tables.get(table);
+        }
+    };
+}
+
+/**
+ * 동등 조건 확인 (null은 IS NULL, undefined는 무시)
+ */
+function matches(row, match = {}) {
+    return Object.entries(match).every(([column, value]) => {
+        if (value === undefined) return true;
+        if (value === null) return row[column] === null || row[column] === undefined;
+        return row[column] === value;
+    });
+}
+
+/**
+ * ILIKE '%term%' 대응 (대소문자 무시 부분 일치)
+ */
+function contains(value, term) {
+    return value != null && String(value).toLowerCase().includes(String(term).toLowerCase());
+}
+
+function compareBy(column, ascending) {
+    return (a, b) => {
+        if (a[column] === b[column]) return 0;
+        const result = a[column] > b[column] ? 1 : -1;
+        return ascending ? result : -result;
+    };
+}
+
+/**
+ * Postgres unique 위반과 같은 형태의 에러
+ */
+function uniqueViolation(table, columns) {
+    const error = new Error(`duplicate key value violates unique constraint on ${table}(${columns.join(', ')})`);
+    error.code = '23505';
+    return error;
+}
+
+/**
+ * 기본 테이블 저장소 (Supabase 구현과 같은 인터페이스)
+ *
+ * relations: 조회 결과에 관계 데이터를 붙이는 함수 (row, store) => ({ ... })
+ * unique: 유니크 제약 컬럼 목록 [['username'], ['company_id', 'worker_code']]
+ */
+function createTableRepository(store, table, { orderBy, ascending = true, relations, unique = [], defaults = {} } = {}) {
+    const rows = () => store.rows(table);
+
+    const present = row => ({ ...row, ...(relations ? relations(row, store) : {}) });
+
+    function assertUnique(candidate) {
+        for (const columns of unique) {
+            if (columns.some(column => candidate[column] === null || candidate[column] === undefined)) continue;
+
+            const duplicate = rows().some(row => row !== candidate && row.id !== candidate.id
+                && columns.every(column => row[column] === candidate[column]));
+
+            if (duplicate) throw uniqueViolation(table, columns);
+        }
+    }
+
+    function sorted(list) {
+        return orderBy ? [...list].sort(compareBy(orderBy, ascending)) : list;
+    }
+
+    async function create(fields) {
+        const row = {
+            id: crypto.randomUUID(),
+            ...defaults,
+            created_at: new Date().toISOString(),
+            ...fields
+        };
+
+        assertUnique(row);
+        rows().push(row);
+
+        return present(row);
+    }
+
+    return {
+        async findOne(match) {
+            const row = rows().find(candidate => matches(candidate, match));
+            return row ? present(row) : null;
+        },
+
+        async list(match, { limit } = {}) {
+            const list = sorted(rows().filter(row => matches(row, match)));
+            return (limit ? list.slice(0, limit) : list).map(present);
+        },
+
+        create,
+
+        async update(match, fields) {
+            const updated = [];
+
+            for (const row of rows().filter(candidate => matches(candidate, match))) {
+                assertUnique({ ...row, ...fields });
+                Object.assign(row, fields);
+                updated.push(present(row));
+            }
+
+            return updated;
+        },
+
+        async upsert(fields, onConflict) {
+            const conflictMatch = Object.fromEntries(onConflict.map(column => [column, fields[column]]));
+            const existing = rows().find(row => matches(row, conflictMatch));
+
+            if (existing) {
+                Object.assign(existing, fields);
+                return present(existing);
+            }
+
+            return create(fields);
+        },
+
+        async remove(match) {
+            const removed = rows().filter(row => matches(row, match));
+            const remaining = rows().filter(row => !matches(row, match));
+
+            rows().splice(0, rows().length, ...remaining);
+
+            return removed.map(present);
+        }
+    };
+}
+
+module.exports = {
+    createStore,
+    matches,
+    contains,
+    compareBy,
+    createTableRepository
+};
@@ -0,0 +1,25 @@
+// idempotencyKeys.js - Idempotency-Key 저장소 (메모리)
+const { createTableRepository } = require('./helpers');
+
+function createIdempotencyKeyRepository(store) {
+    const table = createTableRepository(store, 'idempotency_keys', {
+        unique: [['company_id', 'actor_id', 'idempotency_key']],
+        defaults: { status: 'in_progress' }
+    });
+
+    return {
+        ...table,
+
+        async removeExpired(before) {
+            const rows = store.rows('idempotency_keys');
+            const remaining = rows.filter(row => !(row.expires_at < before));
+            const removed = rows.length - remaining.length;
+
+            rows.splice(0, rows.length, ...remaining);
+
+            return removed;
+        }
+    };
+}
+
+module.exports = createIdempotencyKeyRepository;
@@ -0,0 +1,56 @@
+// index.js - 메모리 저장소 구성 (개발/자동 테스트용, 재시작 시 초기화)
+const { createStore, createTableRepository } = require('./helpers');
+const createWorkerRepository = require('./workers');
+const createRecordingRepository = require('./recordings');
+const createRecordingEventRepository = require('./recordingEvents');
+const createAuditLogRepository = require('./auditLogs');
+const createStorageUsageRepository = require('./storageUsage');
+const createIdempotencyKeyRepository = require('./idempotencyKeys');
+const createLoginThrottleRepository = require('./loginThrottle');
+
+function companyRelation(row, store) {
+    const company = store.rows('companies').find(candidate => candidate.id === row.company_id);
+    return { companies: company ? { id: company.id, name: company.name } : null };
+}
+
+function createMemoryRepositories(seed) {
+    const store = createStore(seed);
+
+    return {
+        companies: createTableRepository(store, 'companies', { orderBy: 'name', defaults: { is_active: true } }),
+        workers: createWorkerRepository(store),
+        admins: createTableRepository(store, 'admin_accounts', {
+            relations: companyRelation,
+            unique: [['username']],
+            defaults: { is_active: true }
+        }),
+        recordings: createRecordingRepository(store),
+        recordingEvents: createRecordingEventRepository(store),
+        uploadSessions: createTableRepository(store, 'upload_sessions', {
+            orderBy: 'created_at',
+            ascending: false,
+            unique: [['upload_id']],
+            defaults: { parts: [], status: 'in_progress' }
+        }),
+        uploadPolicies: createTableRepository(store, 'upload_policies', { unique: [['company_id']] }),
+        retentionPolicies: createTableRepository(store, 'retention_policies', { unique: [['company_id']] }),
+        storageUsage: createStorageUsageRepository(store),
+        sessions: createTableRepository(store, 'auth_sessions', { unique: [['refresh_token_hash']] }),
+        stations: createTableRepository(store, 'stations', {
+            orderBy: 'name',
+            unique: [['pairing_code_hash'], ['credential_hash']],
+            defaults: { is_active: true }
+        }),
+        apiKeys: createTableRepository(store, 'api_keys', {
+            orderBy: 'created_at',
+            ascending: false,
+            unique: [['key_hash']]
+        }),
+        loginAttempts: createTableRepository(store, 'login_attempts', { orderBy: 'created_at', ascending: false }),
+        loginThrottle: createLoginThrottleRepository(store),
+        idempotencyKeys: createIdempotencyKeyRepository(store),
+        auditLogs: createAuditLogRepository(store)
+    };
+}
+
+module.exports = createMemoryRepositories;
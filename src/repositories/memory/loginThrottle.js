@@ -0,0 +1,36 @@
+// loginThrottle.js - 로그인 실패 횟수/잠금 저장소 (메모리)
+const { createTableRepository } = require('./helpers');
+
+function createLoginThrottleRepository(store) {
+    const table = createTableRepository(store, 'login_throttle', { unique: [['subject_type', 'username']] });
+
+    return {
+        ...table,
+
+        /**
+         * record_login_failure RPC와 같은 동작 (await 없이 읽고 써서 동시 요청에도 한 번씩 증가)
+         */
+        async recordFailure(subjectType, username, { maxAttempts, lockoutSeconds }) {
+            const now = new Date();
+            const rows = store.rows('login_throttle');
+            let throttle = rows.find(row => row.subject_type === subjectType && row.username === username);
+
+            if (!throttle) {
+                throttle = { subject_type: subjectType, username, failed_count: 0 };
+                rows.push(throttle);
+            }
+
+            const lockExpired = throttle.locked_until && new Date(throttle.locked_until) <= now;
+
+            throttle.failed_count = lockExpired ? 1 : throttle.failed_count + 1;
+            throttle.last_failed_at = now.toISOString();
+            throttle.locked_until = throttle.failed_count >= maxAttempts
+                ? new Date(now.getTime() + lockoutSeconds * 1000).toISOString()
+                : null;
+
+            return { ...throttle };
+        }
+    };
+}
+
+module.exports = createLoginThrottleRepository;
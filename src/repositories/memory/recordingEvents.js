@@ -0,0 +1,54 @@
+// recordingEvents.js - 녹화 스캔 이벤트 저장소 (메모리)
+const { matches, contains, compareBy, createTableRepository } = require('./helpers');
+
+function recordingRelation(row, store) {
+    const recording = store.rows('recordings').find(candidate => candidate.id === row.recording_id);
+
+    return {
+        recording: recording ? {
+            barcode: recording.barcode,
+            start_time: recording.start_time,
+            status: recording.status,
+            worker_id: recording.worker_id,
+            station_id: recording.station_id
+        } : null
+    };
+}
+
+function createRecordingEventRepository(store) {
+    const table = createTableRepository(store, 'recording_events', { orderBy: 'offset_seconds' });
+
+    return {
+        ...table,
+
+        async createMany(rows) {
+            const created = [];
+
+            for (const row of rows) {
+                created.push(await table.create(row));
+            }
+
+            return created.sort(compareBy('offset_seconds', true));
+        },
+
+        async search(match, { code, q, types, from, to, offset = 0, limit = 50 } = {}) {
+            const rows = store.rows('recording_events')
+                .filter(row => matches(row, match))
+                .map(row => ({ ...row, ...recordingRelation(row, store) }))
+                .filter(row => row.recording && row.recording.status !== 'deleted')
+                .filter(row => !code || row.code === code)
+                .filter(row => !q || contains(row.code, q) || contains(row.note, q))
+                .filter(row => !types || types.length === 0 || types.includes(row.event_type))
+                .filter(row => !from || row.occurred_at >= new Date(from).toISOString())
+                .filter(row => !to || row.occurred_at <= new Date(to).toISOString())
+                .sort(compareBy('occurred_at', false));
+
+            return {
+                rows: rows.slice(offset, offset + limit),
+                total: rows.length
+            };
+        }
+    };
+}
+
+module.exports = createRecordingEventRepository;
@@ -0,0 +1,123 @@
+// recordings.js - 녹화 저장소 (메모리)
+const { matches, contains, compareBy, createTableRepository } = require('./helpers');
+
+function recordingRelations(row, store) {
+    const worker = store.rows('worker_accounts').find(candidate => candidate.id === row.worker_id);
+    const station = store.rows('stations').find(candidate => candidate.id === row.station_id);
+    const company = store.rows('companies').find(candidate => candidate.id === row.company_id);
+
+    return {
+        worker: worker ? { worker_name: worker.worker_name, worker_code: worker.worker_code } : null,
+        station: station ? { name: station.name, location: station.location } : null,
+        company: company ? { name: company.name } : null
+    };
+}
+
+/**
+ * (정렬 컬럼, id) 순서 비교 - NULL은 정렬 방향과 관계없이 마지막
+ */
+function compareKeyset(sort, ascending) {
+    return (a, b) => {
+        const left = a[sort] === undefined ? null : a[sort];
+        const right = b[sort] === undefined ? null : b[sort];
+
+        if (left !== right) {
+            if (left === null) return 1;
+            if (right === null) return -1;
+            return (left > right ? 1 : -1) * (ascending ? 1 : -1);
+        }
+
+        if (a.id === b.id) return 0;
+        return (a.id > b.id ? 1 : -1) * (ascending ? 1 : -1);
+    };
+}
+
+function createRecordingRepository(store) {
+    // legal_hold는 NOT NULL DEFAULT false (초기 데이터에도 적용 - legal_hold: false 조건으로 삭제하므로)
+    for (const row of store.rows('recordings')) {
+        if (row.legal_hold === undefined || row.legal_hold === null) row.legal_hold = false;
+    }
+
+    const table = createTableRepository(store, 'recordings', {
+        orderBy: 'created_at',
+        ascending: false,
+        defaults: { legal_hold: false }
+    });
+
+    return {
+        ...table,
+
+        async findDetail(match) {
+            const row = store.rows('recordings').find(candidate => matches(candidate, match));
+            return row ? { ...row, ...recordingRelations(row, store) } : null;
+        },
+
+        async page(match, { barcode, offset = 0, limit = 20 } = {}) {
+            const rows = store.rows('recordings')
+                .filter(row => matches(row, match))
+                .filter(row => !barcode || contains(row.barcode, barcode))
+                .sort(compareBy('created_at', false));
+
+            return {
+                rows: rows.slice(offset, offset + limit).map(row => ({ ...row })),
+                total: rows.length
+            };
+        },
+
+        async search(match, filters, { sort = 'created_at', ascending = false, after, offset = 0, limit = 20, withTotal = false } = {}) {
+            const compare = compareKeyset(sort, ascending);
+
+            const eventRecordingIds = filters.code
+                ? new Set(store.rows('recording_events')
+                    .filter(event => event.company_id === match.company_id && event.code === filters.code)
+                    .map(event => event.recording_id))
+                : null;
+
+            const rows = store.rows('recordings')
+                .filter(row => matches(row, {
+                    ...match,
+                    status: filters.status,
+                    worker_id: filters.worker_id,
+                    station_id: filters.station_id
+                }))
+                .filter(row => filters.status || filters.include_deleted || row.status !== 'deleted')
+                .filter(row => !filters.barcode || contains(row.barcode, filters.barcode))
+                .filter(row => !filters.code || row.barcode === filters.code || eventRecordingIds.has(row.id))
+                .filter(row => !filters.from || row.created_at >= filters.from)
+                .filter(row => !filters.to || row.created_at <= filters.to)
+                .filter(row => filters.min_duration === undefined || (row.duration_seconds != null && row.duration_seconds >= filters.min_duration))
+                .filter(row => filters.max_duration === undefined || (row.duration_seconds != null && row.duration_seconds <= filters.max_duration))
+                .sort(compare);
+
+            const remaining = after
+                ? rows.filter(row => compare(row, { [sort]: after.value, id: after.id }) > 0)
+                : rows;
+
+            const page = remaining.slice(offset, offset + limit + 1);
+
+            return {
+                rows: page.slice(0, limit).map(row => ({ ...row })),
+                total: withTotal ? remaining.length : null,
+                hasMore: page.length > limit
+            };
+        },
+
+        async listCreatedBefore(match, before, { offset = 0, limit = 1000 } = {}) {
+            return store.rows('recordings')
+                .filter(row => matches(row, match) && row.created_at < before)
+                .sort(compareKeyset('created_at', true))
+                .slice(offset, offset + limit)
+                .map(row => ({ ...row }));
+        },
+
+        async listDeletedBefore(match, before, { offset = 0, limit = 1000 } = {}) {
+            return store.rows('recordings')
+                .filter(row => matches(row, { ...match, status: 'deleted' }) && row.deleted_at && row.deleted_at < before)
+                .sort(compareKeyset('deleted_at', true))
+                .slice(offset, offset + limit)
+                .map(row => ({ ...row }));
+        }
+    };
+}
+
+module.exports = createRecordingRepository;
@@ -0,0 +1,67 @@
+// storageUsage.js - 회사별 스토리지 사용량 저장소 (메모리)
+const { compareBy, createTableRepository } = require('./helpers');
+
+function createStorageUsageRepository(store) {
+    const table = createTableRepository(store, 'storage_usage', { unique: [['company_id']] });
+
+    return {
+        findOne: table.findOne,
+
+        /**
+         * adjust_storage_usage RPC와 같은 동작 (현재 사용량 + UTC 일별 사용량 갱신)
+         */
+        async adjust(companyId, { bytes = 0, recordings = 0 }) {
+            const now = new Date().toISOString();
+            const current = store.rows('storage_usage').find(row => row.company_id === companyId);
+
+            const usage = await table.upsert({
+                company_id: companyId,
+                bytes_stored: Math.max((current ? current.bytes_stored : 0) + bytes, 0),
+                recording_count: Math.max((current ? current.recording_count : 0) + recordings, 0),
+                updated_at: now
+            }, ['company_id']);
+
+            const usageDate = now.slice(0, 10);
+            const daily = store.rows('storage_usage_daily')
+                .find(row => row.company_id === companyId && row.usage_date === usageDate);
+
+            if (daily) {
+                Object.assign(daily, {
+                    bytes_stored: usage.bytes_stored,
+                    recording_count: usage.recording_count,
+                    bytes_added: daily.bytes_added + Math.max(bytes, 0),
+                    bytes_removed: daily.bytes_removed + Math.max(-bytes, 0),
+                    updated_at: now
+                });
+            } else {
+                store.rows('storage_usage_daily').push({
+                    company_id: companyId,
+                    usage_date: usageDate,
+                    bytes_stored: usage.bytes_stored,
+                    recording_count: usage.recording_count,
+                    bytes_added: Math.max(bytes, 0),
+                    bytes_removed: Math.max(-bytes, 0),
+                    updated_at: now
+                });
+            }
+
+            return usage;
+        },
+
+        async history(companyId, { from, to }) {
+            const rows = store.rows('storage_usage_daily')
+                .filter(row => row.company_id === companyId && row.usage_date <= to)
+                .sort(compareBy('usage_date', true))
+                .map(row => ({ ...row }));
+
+            const before = rows.filter(row => row.usage_date < from);
+
+            return {
+                previous: before.length > 0 ? before[before.length - 1] : null,
+                rows: rows.filter(row => row.usage_date >= from)
+            };
+        }
+    };
+}
+
+module.exports = createStorageUsageRepository;
@@ -0,0 +1,55 @@
+// workers.js - 작업자 계정 저장소 (메모리)
+const bcrypt = require('bcrypt');
+const { matches, contains, createTableRepository } = require('./helpers');
+
+function workerRelations(row, store) {
+    const company = store.rows('companies').find(candidate => candidate.id === row.company_id);
+    return { companies: company ? { id: company.id, name: company.name } : null };
+}
+
+function createWorkerRepository(store) {
+    const table = createTableRepository(store, 'worker_accounts', {
+        orderBy: 'worker_name',
+        relations: workerRelations,
+        unique: [['username'], ['company_id', 'worker_code'], ['badge_code_hash']],
+        defaults: { is_active: true, must_change_password: false }
+    });
+
+    return {
+        ...table,
+
+        async list(match, { search } = {}) {
+            const rows = await table.list(match);
+
+            if (!search) return rows;
+
+            return rows.filter(row => contains(row.username, search)
+                || contains(row.worker_name, search)
+                || contains(row.worker_code, search));
+        },
+
+        /**
+         * 회사 ID + 아이디 + 비밀번호 인증 (authenticate_worker RPC와 같은 결과 형태)
+         */
+        async authenticate(companyId, username, password) {
+            const worker = store.rows('worker_accounts')
+                .find(row => matches(row, { company_id: companyId, username, is_active: true }));
+
+            if (!worker || !(await bcrypt.compare(password, worker.password_hash))) {
+                return null;
+            }
+
+            const company = store.rows('companies').find(row => row.id === worker.company_id);
+
+            return {
+                worker_id: worker.id,
+                worker_name: worker.worker_name,
+                worker_code: worker.worker_code,
+                department: worker.department,
+                company_name: company ? company.name : null
+            };
+        }
+    };
+}
+
+module.exports = createWorkerRepository;
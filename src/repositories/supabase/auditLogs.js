@@ -0,0 +1,39 @@
+// auditLogs.js - 감사 로그 저장소 (Supabase)
+const { applyMatch, unwrap } = require('./helpers');
+
+function createAuditLogRepository(client) {
+    return {
+        async create(fields) {
+            unwrap(await client.from('audit_logs').insert(fields));
+        },
+
+        /**
+         * 페이지 조회 (최신순) - { rows, total }
+         * actions: 액션 목록, from/to: created_at 범위
+         */
+        async page(match, { actions, from, to, offset = 0, limit = 50 } = {}) {
+            let query = applyMatch(client.from('audit_logs').select('*', { count: 'exact' }), match)
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (actions && actions.length > 0) {
+                query = query.in('action', actions);
+            }
+
+            if (from) {
+                query = query.gte('created_at', from);
+            }
+
+            if (to) {
+                query = query.lte('created_at', to);
+            }
+
+            const { data, error, count } = await query;
+            if (error) throw error;
+
+            return { rows: data, total: count };
+        }
+    };
+}
+
+module.exports = createAuditLogRepository;
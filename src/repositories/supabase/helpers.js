@@ -0,0 +1,74 @@
+// helpers.js - Supabase 저장소 공통 헬퍼
+
+/**
+ * 동등 조건 적용 (null은 IS NULL, undefined는 무시)
+ */
+function applyMatch(query, match = {}) {
+    for (const [column, value] of Object.entries(match)) {
+        if (value === undefined) continue;
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+    }
+    return query;
+}
+
+/**
+ * Supabase 결과에서 데이터 추출 (에러는 throw)
+ */
+function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * 기본 테이블 저장소 (단건/목록 조회, 생성, 수정, 삭제)
+ * 모든 조건은 { column: value } 동등 조건
+ */
+function createTableRepository(client, table, { select = '*', orderBy, ascending = true } = {}) {
+    return {
+        async findOne(match) {
+            return unwrap(await applyMatch(client.from(table).select(select), match).limit(1).maybeSingle());
+        },
+
+        async list(match, { limit } = {}) {
+            let query = applyMatch(client.from(table).select(select), match);
+
+            if (orderBy) {
+                query = query.order(orderBy, { ascending });
+            }
+
+            if (limit) {
+                query = query.limit(limit);
+            }
+
+            return unwrap(await query);
+        },
+
+        async create(fields) {
+            return unwrap(await client.from(table).insert(fields).select(select).single());
+        },
+
+        /**
+         * 조건에 맞는 행 수정 - 수정된 행 배열 반환
+         */
+        async update(match, fields) {
+            return unwrap(await applyMatch(client.from(table).update(fields), match).select(select));
+        },
+
+        async upsert(fields, onConflict) {
+            return unwrap(await client.from(table).upsert(fields, { onConflict: onConflict.join(',') }).select(select).single());
+        },
+
+        /**
+         * 조건에 맞는 행 삭제 - 삭제된 행 배열 반환
+         */
+        async remove(match) {
+            return unwrap(await applyMatch(client.from(table).delete(), match).select(select));
+        }
+    };
+}
+
+module.exports = {
+    applyMatch,
+    unwrap,
+    createTableRepository
+};
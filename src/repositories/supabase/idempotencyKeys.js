@@ -0,0 +1,24 @@
+// idempotencyKeys.js - Idempotency-Key 저장소 (Supabase)
+const { unwrap, createTableRepository } = require('./helpers');
+
+function createIdempotencyKeyRepository(client) {
+    const table = createTableRepository(client, 'idempotency_keys');
+
+    return {
+        ...table,
+
+        /**
+         * 보관 기간이 before 이전에 끝난 행 삭제 - 삭제된 행 수 반환
+         */
+        async removeExpired(before) {
+            const rows = unwrap(await client.from('idempotency_keys')
+                .delete()
+                .lt('expires_at', before)
+                .select('id'));
+
+            return rows.length;
+        }
+    };
+}
+
+module.exports = createIdempotencyKeyRepository;
@@ -0,0 +1,32 @@
+// index.js - Supabase 저장소 구성
+const { createTableRepository } = require('./helpers');
+const createWorkerRepository = require('./workers');
+const createRecordingRepository = require('./recordings');
+const createRecordingEventRepository = require('./recordingEvents');
+const createAuditLogRepository = require('./auditLogs');
+const createStorageUsageRepository = require('./storageUsage');
+const createIdempotencyKeyRepository = require('./idempotencyKeys');
+const createLoginThrottleRepository = require('./loginThrottle');
+
+function createSupabaseRepositories(client) {
+    return {
+        companies: createTableRepository(client, 'companies', { orderBy: 'name' }),
+        workers: createWorkerRepository(client),
+        admins: createTableRepository(client, 'admin_accounts', { select: '*, companies (id, name)' }),
+        recordings: createRecordingRepository(client),
+        recordingEvents: createRecordingEventRepository(client),
+        uploadSessions: createTableRepository(client, 'upload_sessions', { orderBy: 'created_at', ascending: false }),
+        uploadPolicies: createTableRepository(client, 'upload_policies'),
+        retentionPolicies: createTableRepository(client, 'retention_policies'),
+        storageUsage: createStorageUsageRepository(client),
+        sessions: createTableRepository(client, 'auth_sessions'),
+        stations: createTableRepository(client, 'stations', { orderBy: 'name' }),
+        apiKeys: createTableRepository(client, 'api_keys', { orderBy: 'created_at', ascending: false }),
+        loginAttempts: createTableRepository(client, 'login_attempts', { orderBy: 'created_at', ascending: false }),
+        loginThrottle: createLoginThrottleRepository(client),
+        idempotencyKeys: createIdempotencyKeyRepository(client),
+        auditLogs: createAuditLogRepository(client)
+    };
+}
+
+module.exports = createSupabaseRepositories;
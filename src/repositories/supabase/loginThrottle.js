@@ -0,0 +1,24 @@
+// loginThrottle.js - 로그인 실패 횟수/잠금 저장소 (Supabase)
+const { unwrap, createTableRepository } = require('./helpers');
+
+function createLoginThrottleRepository(client) {
+    const table = createTableRepository(client, 'login_throttle');
+
+    return {
+        ...table,
+
+        /**
+         * 실패 1회 기록 (record_login_failure RPC - 증가와 잠금을 한 번에 처리) - 갱신된 행 반환
+         */
+        async recordFailure(subjectType, username, { maxAttempts, lockoutSeconds }) {
+            return unwrap(await client.rpc('record_login_failure', {
+                p_subject_type: subjectType,
+                p_username: username,
+                p_max_attempts: maxAttempts,
+                p_lockout_seconds: lockoutSeconds
+            }));
+        }
+    };
+}
+
+module.exports = createLoginThrottleRepository;
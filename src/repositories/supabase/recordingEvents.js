@@ -0,0 +1,60 @@
+// recordingEvents.js - 녹화 스캔 이벤트 저장소 (Supabase)
+const { applyMatch, unwrap, createTableRepository } = require('./helpers');
+
+// 검색 결과에 녹화 정보 포함 (삭제된 녹화의 이벤트는 제외)
+const SEARCH_SELECT = '*, recording:recordings!inner(barcode, start_time, status, worker_id, station_id)';
+
+function createRecordingEventRepository(client) {
+    const table = createTableRepository(client, 'recording_events', { orderBy: 'offset_seconds' });
+
+    return {
+        ...table,
+
+        /**
+         * 여러 이벤트 한 번에 생성 - 생성된 행 배열 반환
+         */
+        async createMany(rows) {
+            return unwrap(await client.from('recording_events').insert(rows).select('*').order('offset_seconds'));
+        },
+
+        /**
+         * 이벤트 검색 (최신순) - { rows, total }
+         * code: 바코드 일치, q: 바코드/메모 부분 일치, types: 이벤트 종류 목록, from/to: occurred_at 범위
+         */
+        async search(match, { code, q, types, from, to, offset = 0, limit = 50 } = {}) {
+            let query = applyMatch(client.from('recording_events').select(SEARCH_SELECT, { count: 'exact' }), match)
+                .neq('recording.status', 'deleted')
+                .order('occurred_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (code) {
+                query = query.eq('code', code);
+            }
+
+            if (q) {
+                // PostgREST 필터 구문 문자 제거
+                const term = String(q).replace(/[,()%]/g, '');
+                query = query.or(`code.ilike.%${term}%,note.ilike.%${term}%`);
+            }
+
+            if (types && types.length > 0) {
+                query = query.in('event_type', types);
+            }
+
+            if (from) {
+                query = query.gte('occurred_at', from);
+            }
+
+            if (to) {
+                query = query.lte('occurred_at', to);
+            }
+
+            const { data, error, count } = await query;
+            if (error) throw error;
+
+            return { rows: data, total: count };
+        }
+    };
+}
+
+module.exports = createRecordingEventRepository;
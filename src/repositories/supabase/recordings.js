@@ -0,0 +1,169 @@
+// recordings.js - 녹화 저장소 (Supabase)
+const { applyMatch, unwrap, createTableRepository } = require('./helpers');
+
+const DETAIL_SELECT = `
+    *,
+    worker:worker_accounts(worker_name, worker_code),
+    station:stations(name, location),
+    company:companies(name)
+`;
+
+/**
+ * PostgREST or/and 필터 값 인용 (쉼표, 괄호 등이 들어간 바코드 대응)
+ */
+function filterValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * keyset 커서 조건 - (정렬 컬럼, id) 순서에서 커서 다음 행 (NULL은 항상 마지막)
+ */
+function keysetFilter(column, ascending, after) {
+    const op = ascending ? 'gt' : 'lt';
+    const id = filterValue(after.id);
+
+    if (after.value === null) {
+        return `and(${column}.is.null,id.${op}.${id})`;
+    }
+
+    const value = filterValue(after.value);
+
+    return `${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id}),${column}.is.null`;
+}
+
+function createRecordingRepository(client) {
+    const table = createTableRepository(client, 'recordings', { orderBy: 'created_at', ascending: false });
+
+    return {
+        ...table,
+
+        /**
+         * 작업자/스테이션/회사 정보 포함 단건 조회
+         */
+        async findDetail(match) {
+            return unwrap(await applyMatch(client.from('recordings').select(DETAIL_SELECT), match).limit(1).maybeSingle());
+        },
+
+        /**
+         * 페이지 조회 (최신순) - { rows, total }
+         */
+        async page(match, { barcode, offset = 0, limit = 20 } = {}) {
+            let query = applyMatch(client.from('recordings').select('*', { count: 'exact' }), match)
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (barcode) {
+                query = query.ilike('barcode', `%${barcode}%`);
+            }
+
+            const { data, error, count } = await query;
+            if (error) throw error;
+
+            return { rows: data, total: count };
+        },
+
+        /**
+         * 조건 검색 - { rows, total, hasMore }
+         *
+         * filters: recordingSearch.parseRecordingSearch 결과
+         *          status를 정하지 않으면 삭제된 녹화는 제외 (include_deleted: true면 포함 - 정리 작업용)
+         * after: keyset 커서 { value, id } (없으면 offset 사용)
+         * withTotal: 전체 개수 포함 여부 (커서 조건도 개수에 반영되므로 커서 페이지에서는 사용하지 않음)
+         */
+        async search(match, filters, { sort = 'created_at', ascending = false, after, offset = 0, limit = 20, withTotal = false } = {}) {
+            let query = applyMatch(client.from('recordings').select('*', withTotal ? { count: 'exact' } : undefined), {
+                ...match,
+                status: filters.status,
+                worker_id: filters.worker_id,
+                station_id: filters.station_id
+            });
+
+            if (!filters.status && !filters.include_deleted) {
+                query = query.neq('status', 'deleted');
+            }
+
+            if (filters.barcode) {
+                query = query.ilike('barcode', `%${filters.barcode}%`);
+            }
+
+            if (filters.code) {
+                // 녹화 바코드(주문번호) 또는 스캔 이벤트 바코드(송장/상품)가 일치하는 녹화
+                const [byBarcode, byEvent] = await Promise.all([
+                    applyMatch(client.from('recordings').select('id'), match).eq('barcode', filters.code).limit(1000),
+                    applyMatch(client.from('recording_events').select('recording_id'), { company_id: match.company_id })
+                        .eq('code', filters.code).limit(1000)
+                ]);
+
+                const ids = [...new Set([
+                    ...unwrap(byBarcode).map(row => row.id),
+                    ...unwrap(byEvent).map(row => row.recording_id)
+                ])];
+
+                if (ids.length === 0) {
+                    return { rows: [], total: withTotal ? 0 : null, hasMore: false };
+                }
+
+                query = query.in('id', ids);
+            }
+
+            if (filters.from) {
+                query = query.gte('created_at', filters.from);
+            }
+
+            if (filters.to) {
+                query = query.lte('created_at', filters.to);
+            }
+
+            if (filters.min_duration !== undefined) {
+                query = query.gte('duration_seconds', filters.min_duration);
+            }
+
+            if (filters.max_duration !== undefined) {
+                query = query.lte('duration_seconds', filters.max_duration);
+            }
+
+            if (after) {
+                query = query.or(keysetFilter(sort, ascending, after));
+            }
+
+            // 다음 페이지 여부 확인을 위해 한 행 더 조회
+            query = query
+                .order(sort, { ascending, nullsFirst: false })
+                .order('id', { ascending })
+                .range(offset, offset + limit);
+
+            const { data, error, count } = await query;
+            if (error) throw error;
+
+            return {
+                rows: data.slice(0, limit),
+                total: withTotal ? count : null,
+                hasMore: data.length > limit
+            };
+        },
+
+        /**
+         * before 이전에 생성된 녹화 (오래된 순) - 보존 기간 작업용
+         */
+        async listCreatedBefore(match, before, { offset = 0, limit = 1000 } = {}) {
+            return unwrap(await applyMatch(client.from('recordings').select('*'), match)
+                .lt('created_at', before)
+                .order('created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + limit - 1));
+        },
+
+        /**
+         * before 이전에 삭제(soft delete)된 녹화 (먼저 삭제된 순) - 휴지통 영구 삭제 작업용
+         */
+        async listDeletedBefore(match, before, { offset = 0, limit = 1000 } = {}) {
+            return unwrap(await applyMatch(client.from('recordings').select('*'), { ...match, status: 'deleted' })
+                .lt('deleted_at', before)
+                .order('deleted_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + limit - 1));
+        }
+    };
+}
+
+module.exports = createRecordingRepository;
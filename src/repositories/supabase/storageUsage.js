@@ -0,0 +1,46 @@
+// storageUsage.js - 회사별 스토리지 사용량 저장소 (Supabase)
+const { unwrap, createTableRepository } = require('./helpers');
+
+function createStorageUsageRepository(client) {
+    const table = createTableRepository(client, 'storage_usage');
+
+    return {
+        findOne: table.findOne,
+
+        /**
+         * 사용량 증감 (adjust_storage_usage RPC) - 갱신된 현재 사용량 반환
+         */
+        async adjust(companyId, { bytes = 0, recordings = 0 }) {
+            return unwrap(await client.rpc('adjust_storage_usage', {
+                p_company_id: companyId,
+                p_bytes: bytes,
+                p_recordings: recordings
+            }));
+        },
+
+        /**
+         * 일별 사용량 (날짜순) - from 이전의 마지막 행도 함께 반환 (기간 첫날의 사용량 계산용)
+         * from/to: 'YYYY-MM-DD'
+         */
+        async history(companyId, { from, to }) {
+            const previous = unwrap(await client.from('storage_usage_daily')
+                .select('*')
+                .eq('company_id', companyId)
+                .lt('usage_date', from)
+                .order('usage_date', { ascending: false })
+                .limit(1)
+                .maybeSingle());
+
+            const rows = unwrap(await client.from('storage_usage_daily')
+                .select('*')
+                .eq('company_id', companyId)
+                .gte('usage_date', from)
+                .lte('usage_date', to)
+                .order('usage_date', { ascending: true }));
+
+            return { previous, rows };
+        }
+    };
+}
+
+module.exports = createStorageUsageRepository;
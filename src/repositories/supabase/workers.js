@@ -0,0 +1,43 @@
+// workers.js - 작업자 계정 저장소 (Supabase)
+const { applyMatch, unwrap, createTableRepository } = require('./helpers');
+
+const WORKER_SELECT = '*, companies (id, name)';
+
+function createWorkerRepository(client) {
+    const table = createTableRepository(client, 'worker_accounts', { select: WORKER_SELECT, orderBy: 'worker_name' });
+
+    return {
+        ...table,
+
+        /**
+         * 목록 조회 - search는 아이디/이름/작업자 코드 부분 일치
+         */
+        async list(match, { search } = {}) {
+            let query = applyMatch(client.from('worker_accounts').select(WORKER_SELECT), match)
+                .order('worker_name');
+
+            if (search) {
+                // PostgREST 필터 구문 문자 제거
+                const term = String(search).replace(/[,()%]/g, '');
+                query = query.or(`username.ilike.%${term}%,worker_name.ilike.%${term}%,worker_code.ilike.%${term}%`);
+            }
+
+            return unwrap(await query);
+        },
+
+        /**
+         * 회사 ID + 아이디 + 비밀번호 인증 (authenticate_worker RPC)
+         */
+        async authenticate(companyId, username, password) {
+            const data = unwrap(await client.rpc('authenticate_worker', {
+                p_company_id: companyId,
+                p_username: username,
+                p_password: password
+            }));
+
+            return data && data.length > 0 ? data[0] : null;
+        }
+    };
+}
+
+module.exports = createWorkerRepository;
@@ -0,0 +1,131 @@
+// apikey.js - API 키 관리 라우터
+const express = require('express');
+const router = express.Router();
+const { apiKeys } = require('../repositories');
+const logger = require('../utils/logger');
+const { ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { API_KEY_PERMISSIONS } = require('../middleware/apikey');
+const { hashToken, generateSecret } = require('../utils/secrets');
+const { pick } = require('../utils/serialize');
+
+// 응답에 포함할 필드 (key_hash 제외)
+const API_KEY_FIELDS = ['id', 'company_id', 'name', 'key_prefix', 'permissions', 'expires_at', 'last_used_at', 'last_used_ip', 'revoked_at', 'created_at'];
+
+const serializeApiKey = apiKey => pick(apiKey, API_KEY_FIELDS);
+
+/**
+ * API 키 목록 조회
+ * GET /api/api-keys
+ */
+router.get('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const data = await apiKeys.list({ company_id: req.tenant.companyId });
+
+        res.json({
+            success: true,
+            api_keys: data.map(serializeApiKey),
+            available_permissions: Object.values(API_KEY_PERMISSIONS)
+        });
+
+    } catch (error) {
+        logger.error('List API keys error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch API keys'
+        });
+    }
+});
+
+/**
+ * API 키 발급
+ * POST /api/api-keys
+ *
+ * 키 원문은 응답으로 한 번만 반환됨
+ */
+router.post('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { name, permissions, expires_at } = req.body;
+
+        if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Name and permissions array are required'
+            });
+        }
+
+        const validPermissions = Object.values(API_KEY_PERMISSIONS);
+        const invalid = permissions.filter(permission => !validPermissions.includes(permission));
+
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid permissions: ${invalid.join(', ')}`
+            });
+        }
+
+        const apiKey = `zpk_${generateSecret(32)}`;
+
+        const data = await apiKeys.create({
+            company_id: req.tenant.companyId,
+            name,
+            key_prefix: apiKey.slice(0, 12),
+            key_hash: hashToken(apiKey),
+            permissions: [...new Set(permissions)],
+            expires_at: expires_at || null,
+            created_by: req.user.admin_id
+        });
+
+        logger.info(`API key ${data.id} (${name}) issued by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            api_key: serializeApiKey(data),
+            key: apiKey
+        });
+
+    } catch (error) {
+        logger.error('Create API key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * API 키 폐기
+ * DELETE /api/api-keys/:id
+ */
+router.delete('/:id', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const [data] = await apiKeys.update(
+            { id: req.params.id, company_id: req.tenant.companyId, revoked_at: null },
+            { revoked_at: new Date().toISOString() }
+        );
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found or already revoked'
+            });
+        }
+
+        logger.info(`API key ${data.id} revoked by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            api_key: serializeApiKey(data),
+            message: 'API key revoked'
+        });
+
+    } catch (error) {
+        logger.error('Revoke API key error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key'
+        });
+    }
+});
+
+module.exports = router;
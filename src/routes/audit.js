@@ -0,0 +1,75 @@
+// audit.js - 감사 로그 조회 라우터
+const express = require('express');
+const router = express.Router();
+const { auditLogs } = require('../repositories');
+const logger = require('../utils/logger');
+const { ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+
+/**
+ * 감사 로그 조회 (회사 관리자)
+ * GET /api/audit
+ *
+ * 필터: action, actor_type, actor_id, resource_type, resource_id, from, to
+ */
+router.get('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            action,
+            actor_type,
+            actor_id,
+            resource_type,
+            resource_id,
+            from,
+            to
+        } = req.query;
+
+        for (const [field, value] of Object.entries({ from, to })) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be an ISO 8601 date or timestamp`
+                });
+            }
+        }
+
+        const pageSize = Math.max(1, Math.min(parseInt(limit) || 50, 500));
+        const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+        const { rows, total } = await auditLogs.page({
+            company_id: req.tenant.companyId,
+            actor_type,
+            actor_id,
+            resource_type,
+            resource_id
+        }, {
+            actions: action ? String(action).split(',') : undefined,
+            from: from ? new Date(from).toISOString() : undefined,
+            to: to ? new Date(to).toISOString() : undefined,
+            offset,
+            limit: pageSize
+        });
+
+        res.json({
+            success: true,
+            logs: rows,
+            pagination: {
+                page: parseInt(page) || 1,
+                limit: pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
+            }
+        });
+
+    } catch (error) {
+        logger.error('List audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch audit logs'
+        });
+    }
+});
+
+module.exports = router;
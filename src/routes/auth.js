@@ -2,9 +2,70 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const { generateToken, supabase } = require('../middleware/auth');
+const { ROLES, STAFF_ROLES, ACCESS_TOKEN_EXPIRES_IN, generateToken, issueTokens, authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { workers: workerRepository, admins, companies } = require('../repositories');
+const { rotateSession, revokeSession, revokeSessionByRefreshToken, revokeAllSessions, revokeOtherSessions, isSessionActive } = require('../utils/session');
+const { authenticateDevice } = require('../middleware/device');
+const { tenantContext } = require('../middleware/tenant');
+const { hashToken } = require('../utils/secrets');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockAccount } = require('../utils/lockout');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
 const logger = require('../utils/logger');
 
+/**
+ * 로그인 지연/잠금 상태 확인 - 차단된 경우 응답 후 true 반환
+ */
+async function rejectIfThrottled(subjectType, username, res) {
+    const { allowed, locked, retryAfterSeconds } = await checkLoginAllowed(subjectType, username);
+
+    if (allowed) return false;
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    res.status(locked ? 423 : 429).json({
+        success: false,
+        error: locked
+            ? 'Account temporarily locked due to too many failed attempts'
+            : 'Too many failed attempts, please wait before retrying',
+        retry_after: retryAfterSeconds
+    });
+
+    return true;
+}
+
+/**
+ * 작업자 토큰 클레임 (회사 정보 포함 조회 결과 기준)
+ */
+function workerClaims(worker) {
+    return {
+        worker_id: worker.id,
+        worker_name: worker.worker_name,
+        username: worker.username,
+        company_id: worker.company_id,
+        company_name: worker.companies?.name || null,
+        department: worker.department,
+        role: ROLES.WORKER,
+        type: 'worker'
+    };
+}
+
+/**
+ * 관리자 토큰 클레임
+ * 플랫폼 관리자는 로그인 시 선택한 회사(previous)를 유지하고, 그 외에는 소속 회사로 고정
+ */
+function adminClaims(admin, previous = {}) {
+    const keepSelectedCompany = admin.role === ROLES.PLATFORM_ADMIN && previous.company_id;
+
+    return {
+        admin_id: admin.id,
+        name: admin.name,
+        username: admin.username,
+        company_id: keepSelectedCompany ? previous.company_id : admin.company_id,
+        company_name: keepSelectedCompany ? previous.company_name : admin.companies?.name || null,
+        role: admin.role,
+        type: 'admin'
+    };
+}
+
 /**
  * 작업자 간단 로그인 (회사 선택 없음)
  */
@@ -22,29 +83,14 @@ router.post('/worker/login-simple', async (req, res) => {
 
         logger.info(`Login attempt for worker: ${username}`);
 
+        if (await rejectIfThrottled('worker', username, res)) return;
+
         // 작업자 계정 조회 (회사 정보 포함)
-        const { data: workers, error: fetchError } = await supabase
-            .from('worker_accounts')
-            .select(`
-                id,
-                username,
-                password_hash,
-                worker_name,
-                worker_code,
-                department,
-                company_id,
-                is_active,
-                companies (
-                    id,
-                    name
-                )
-            `)
-            .eq('username', username)
-            .eq('is_active', true)
-            .single();
-
-        if (fetchError || !workers) {
+        const workers = await workerRepository.findOne({ username, is_active: true });
+
+        if (!workers) {
             logger.error('Worker not found:', username);
+            await recordLoginFailure('worker', username, req, 'unknown_user');
             return res.status(401).json({
                 success: false,
                 error: 'Invalid username or password'
@@ -56,34 +102,33 @@ router.post('/worker/login-simple', async (req, res) => {
         
         if (!validPassword) {
             logger.error('Invalid password for worker:', username);
+            await recordLoginFailure('worker', username, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid username or password'
             });
         }
 
-        // JWT 토큰 생성
-        const token = generateToken({
-            worker_id: workers.id,
-            worker_name: workers.worker_name,
-            username: workers.username,
-            company_id: workers.company_id,
-            company_name: workers.companies.name,
-            department: workers.department,
-            type: 'worker'
-        });
+        // JWT 토큰 + 리프레시 토큰 발급
+        const tokens = await issueTokens(workerClaims(workers), { subjectType: 'worker', subjectId: workers.id }, req);
+
+        await recordLoginSuccess('worker', username, req);
 
         // 마지막 로그인 시간 업데이트
-        await supabase
-            .from('worker_accounts')
-            .update({ last_login_at: new Date().toISOString() })
-            .eq('id', workers.id);
+        await workerRepository.update({ id: workers.id }, { last_login_at: new Date().toISOString() });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LOGIN,
+            actor: { type: 'worker', id: workers.id, name: workers.worker_name },
+            companyId: workers.company_id,
+            metadata: { method: 'password' }
+        });
 
         logger.info(`Worker ${username} logged in successfully from company ${workers.companies.name}`);
 
         res.json({
             success: true,
-            token,
+            ...tokens,
             worker: {
                 id: workers.id,
                 name: workers.worker_name,
@@ -91,7 +136,8 @@ router.post('/worker/login-simple', async (req, res) => {
                 company_id: workers.company_id,
                 company_name: workers.companies.name,
                 department: workers.department,
-                worker_code: workers.worker_code
+                worker_code: workers.worker_code,
+                must_change_password: !!workers.must_change_password
             }
         });
 
@@ -104,6 +150,71 @@ router.post('/worker/login-simple', async (req, res) => {
     }
 });
 
+/**
+ * 작업자 비밀번호 변경
+ * POST /api/auth/worker/password
+ */
+router.post('/worker/password', authenticateToken, requireRole(ROLES.WORKER), async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+
+        if (!current_password || !new_password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Current password and new password are required'
+            });
+        }
+
+        if (new_password.length < 8) {
+            return res.status(400).json({
+                success: false,
+                error: 'New password must be at least 8 characters'
+            });
+        }
+
+        const worker = await workerRepository.findOne({ id: req.user.worker_id });
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        const validPassword = await bcrypt.compare(current_password, worker.password_hash);
+
+        if (!validPassword) {
+            return res.status(401).json({
+                success: false,
+                error: 'Current password is incorrect'
+            });
+        }
+
+        await workerRepository.update({ id: worker.id }, {
+            password_hash: await bcrypt.hash(new_password, 10),
+            must_change_password: false,
+            updated_at: new Date().toISOString()
+        });
+
+        // 다른 단말의 세션은 폐기 (현재 세션은 유지)
+        await revokeOtherSessions('worker', worker.id, req.user.sid, 'password_changed');
+
+        logger.info(`Worker ${req.user.username} changed password`);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        logger.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * 작업자 로그인 (기존 - 하위 호환성)
  */
@@ -121,14 +232,13 @@ router.post('/worker/login', async (req, res) => {
 
         logger.info(`Login attempt for worker: ${username} from company: ${company_id}`);
 
-        // RPC 함수 호출로 인증
-        const { data, error } = await supabase.rpc('authenticate_worker', {
-            p_company_id: company_id,
-            p_username: username,
-            p_password: password
-        });
+        if (await rejectIfThrottled('worker', username, res)) return;
 
-        if (error) {
+        // 회사 ID + 아이디 + 비밀번호 인증
+        let worker;
+        try {
+            worker = await workerRepository.authenticate(company_id, username, password);
+        } catch (error) {
             logger.error('Authentication RPC error:', error);
             return res.status(401).json({
                 success: false,
@@ -136,37 +246,43 @@ router.post('/worker/login', async (req, res) => {
             });
         }
 
-        if (!data || data.length === 0) {
+        if (!worker) {
+            await recordLoginFailure('worker', username, req);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid username or password'
             });
         }
 
-        const worker = data[0];
-
-        // JWT 토큰 생성
-        const token = generateToken({
+        // JWT 토큰 + 리프레시 토큰 발급
+        const tokens = await issueTokens({
             worker_id: worker.worker_id,
             worker_name: worker.worker_name,
             username: username,
             company_id: company_id,
             company_name: worker.company_name,
             department: worker.department,
+            role: ROLES.WORKER,
             type: 'worker'
-        });
+        }, { subjectType: 'worker', subjectId: worker.worker_id }, req);
+
+        await recordLoginSuccess('worker', username, req);
 
         // 마지막 로그인 시간 업데이트
-        await supabase
-            .from('worker_accounts')
-            .update({ last_login_at: new Date().toISOString() })
-            .eq('id', worker.worker_id);
+        await workerRepository.update({ id: worker.worker_id }, { last_login_at: new Date().toISOString() });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LOGIN,
+            actor: { type: 'worker', id: worker.worker_id, name: worker.worker_name },
+            companyId: company_id,
+            metadata: { method: 'password' }
+        });
 
         logger.info(`Worker ${username} logged in successfully`);
 
         res.json({
             success: true,
-            token,
+            ...tokens,
             worker: {
                 id: worker.worker_id,
                 name: worker.worker_name,
@@ -187,6 +303,102 @@ router.post('/worker/login', async (req, res) => {
     }
 });
 
+/**
+ * 작업자 배지 스캔 + PIN 로그인 (등록된 스테이션 전용)
+ * POST /api/auth/worker/badge-login
+ *
+ * X-Device-Token 헤더의 스테이션과 같은 회사의 작업자만 로그인 가능
+ */
+router.post('/worker/badge-login', authenticateDevice, async (req, res) => {
+    try {
+        const { badge_code, pin } = req.body;
+
+        // 입력 검증
+        if (!badge_code || !pin) {
+            return res.status(400).json({
+                success: false,
+                error: 'Badge code and PIN are required'
+            });
+        }
+
+        // 배지 코드는 조회 전에 스테이션 단위로 제한 (없는 코드를 계속 대입하는 경우 포함)
+        if (await rejectIfThrottled('station', req.device.id, res)) return;
+
+        // 배지 코드로 작업자 조회 (스테이션 회사 범위)
+        const worker = await workerRepository.findOne({
+            badge_code_hash: hashToken(String(badge_code).trim()),
+            company_id: req.device.company_id,
+            is_active: true
+        });
+
+        if (!worker || !worker.pin_hash) {
+            logger.error(`Unknown badge scanned at station ${req.device.id}`);
+            await recordLoginFailure('station', req.device.id, req, 'unknown_badge');
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid badge or PIN'
+            });
+        }
+
+        logger.info(`Badge login attempt for worker: ${worker.username} at station ${req.device.id}`);
+
+        if (await rejectIfThrottled('worker', worker.username, res)) return;
+
+        // PIN 검증
+        const validPin = await bcrypt.compare(String(pin), worker.pin_hash);
+
+        if (!validPin) {
+            logger.error('Invalid PIN for worker:', worker.username);
+            await recordLoginFailure('worker', worker.username, req, 'invalid_pin');
+            await recordLoginFailure('station', req.device.id, req, 'invalid_pin');
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid badge or PIN'
+            });
+        }
+
+        // JWT 토큰 + 리프레시 토큰 발급 (비밀번호 로그인과 동일한 클레임)
+        const tokens = await issueTokens(workerClaims(worker), { subjectType: 'worker', subjectId: worker.id }, req);
+
+        await recordLoginSuccess('worker', worker.username, req);
+        await unlockAccount('station', req.device.id);
+
+        // 마지막 로그인 시간 업데이트
+        await workerRepository.update({ id: worker.id }, { last_login_at: new Date().toISOString() });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LOGIN,
+            actor: { type: 'worker', id: worker.id, name: worker.worker_name },
+            companyId: worker.company_id,
+            metadata: { method: 'badge', station_id: req.device.id }
+        });
+
+        logger.info(`Worker ${worker.username} logged in by badge at station ${req.device.name}`);
+
+        res.json({
+            success: true,
+            ...tokens,
+            worker: {
+                id: worker.id,
+                name: worker.worker_name,
+                username: worker.username,
+                company_id: worker.company_id,
+                company_name: worker.companies.name,
+                department: worker.department,
+                worker_code: worker.worker_code,
+                must_change_password: !!worker.must_change_password
+            }
+        });
+
+    } catch (error) {
+        logger.error('Badge login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * 토큰 검증
  */
@@ -205,6 +417,14 @@ router.post('/verify', async (req, res) => {
         const jwt = require('jsonwebtoken');
         const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret-key');
 
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return res.json({
+                success: true,
+                valid: false,
+                error: 'Session has been revoked'
+            });
+        }
+
         res.json({
             success: true,
             valid: true,
@@ -227,22 +447,150 @@ router.post('/verify', async (req, res) => {
     }
 });
 
+/**
+ * 액세스 토큰 갱신 (리프레시 토큰 교체)
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        if (!refresh_token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'
+            });
+        }
+
+        const result = await rotateSession(refresh_token);
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        const { session, refreshToken } = result;
+
+        // 비활성화된 계정은 갱신 불가
+        const accounts = session.subject_type === 'admin' ? admins : workerRepository;
+        const account = await accounts.findOne({ id: session.subject_id });
+
+        if (!account || !account.is_active) {
+            await revokeSession(session.id, 'account_inactive');
+            return res.status(401).json({
+                success: false,
+                error: 'Account is inactive'
+            });
+        }
+
+        // 저장된 클레임이 아니라 현재 계정 정보로 발급 (역할/소속 변경 반영)
+        const claims = session.subject_type === 'admin'
+            ? adminClaims(account, session.claims)
+            : workerClaims(account);
+
+        res.json({
+            success: true,
+            token: generateToken({ ...claims, sid: session.id }),
+            refresh_token: refreshToken,
+            expires_in: ACCESS_TOKEN_EXPIRES_IN
+        });
+
+    } catch (error) {
+        logger.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * 로그아웃 (현재 세션 폐기)
+ * POST /api/auth/logout
+ *
+ * 액세스 토큰이 만료된 경우 refresh_token으로도 로그아웃 가능
+ */
+router.post('/logout', optionalAuth, async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+
+        if (req.user?.sid) {
+            await revokeSession(req.user.sid, 'logout');
+        } else if (refresh_token) {
+            await revokeSessionByRefreshToken(refresh_token, 'logout');
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'Access token or refresh token is required'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        logger.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * 작업자의 모든 세션 폐기 (단말 분실, 퇴사 등)
+ * POST /api/auth/workers/:worker_id/revoke-sessions
+ */
+router.post('/workers/:worker_id/revoke-sessions', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { worker_id } = req.params;
+
+        // 같은 회사 작업자만 (플랫폼 관리자도 선택한 회사 범위)
+        const worker = await workerRepository.findOne({
+            id: worker_id,
+            company_id: req.tenant.companyId
+        });
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        const revoked = await revokeAllSessions('worker', worker.id, 'admin_revoked');
+
+        logger.info(`All sessions revoked for worker ${worker.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            revoked_sessions: revoked,
+            message: 'All sessions revoked'
+        });
+
+    } catch (error) {
+        logger.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+});
+
 /**
  * 회사 목록 조회 (공개)
  */
 router.get('/companies', async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('companies')
-            .select('id, name')
-            .eq('is_active', true)
-            .order('name');
-
-        if (error) throw error;
+        const data = await companies.list({ is_active: true });
 
         res.json({
             success: true,
-            companies: data
+            companies: data.map(company => ({ id: company.id, name: company.name }))
         });
 
     } catch (error) {
@@ -255,13 +603,106 @@ router.get('/companies', async (req, res) => {
 });
 
 /**
- * 관리자 로그인 (나중에 구현)
+ * 관리자/감독자 로그인
+ * POST /api/auth/admin/login
+ *
+ * 플랫폼 관리자는 company_id를 지정하면 해당 회사 범위의 토큰을 받음
  */
 router.post('/admin/login', async (req, res) => {
-    res.status(501).json({
-        success: false,
-        error: 'Admin login not implemented yet'
-    });
+    try {
+        const { username, password, company_id } = req.body;
+
+        // 입력 검증
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Username and password are required'
+            });
+        }
+
+        logger.info(`Login attempt for admin: ${username}`);
+
+        if (await rejectIfThrottled('admin', username, res)) return;
+
+        // 관리자 계정 조회 (회사 정보 포함)
+        const admin = await admins.findOne({ username, is_active: true });
+
+        if (!admin) {
+            logger.error('Admin not found:', username);
+            await recordLoginFailure('admin', username, req, 'unknown_user');
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or password'
+            });
+        }
+
+        // 비밀번호 검증
+        const validPassword = await bcrypt.compare(password, admin.password_hash);
+
+        if (!validPassword) {
+            logger.error('Invalid password for admin:', username);
+            await recordLoginFailure('admin', username, req);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or password'
+            });
+        }
+
+        // 회사 범위 결정 (플랫폼 관리자만 다른 회사 선택 가능)
+        let companyId = admin.company_id;
+        let companyName = admin.companies?.name || null;
+
+        if (admin.role === ROLES.PLATFORM_ADMIN && company_id) {
+            const company = await companies.findOne({ id: company_id, is_active: true });
+
+            if (!company) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Company not found'
+                });
+            }
+
+            companyId = company.id;
+            companyName = company.name;
+        }
+
+        // JWT 토큰 + 리프레시 토큰 발급
+        const tokens = await issueTokens(adminClaims(admin, { company_id: companyId, company_name: companyName }), { subjectType: 'admin', subjectId: admin.id }, req);
+
+        await recordLoginSuccess('admin', username, req);
+
+        // 마지막 로그인 시간 업데이트
+        await admins.update({ id: admin.id }, { last_login_at: new Date().toISOString() });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LOGIN,
+            actor: { type: 'admin', id: admin.id, name: admin.name },
+            companyId: companyId,
+            metadata: { method: 'password', role: admin.role }
+        });
+
+        logger.info(`Admin ${username} (${admin.role}) logged in successfully`);
+
+        res.json({
+            success: true,
+            ...tokens,
+            admin: {
+                id: admin.id,
+                name: admin.name,
+                username: admin.username,
+                role: admin.role,
+                company_id: companyId,
+                company_name: companyName
+            }
+        });
+
+    } catch (error) {
+        logger.error('Admin login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
 });
 
 module.exports = router;
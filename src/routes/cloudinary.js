@@ -2,17 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const { Readable } = require('stream');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
-
-// Cloudinary 설정
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { tenantContext } = require('../middleware/tenant');
+const { cloudinary, companyFolder } = require('../storage/cloudinary');
 
 // Multer 설정 (메모리 저장)
 const upload = multer({
@@ -25,13 +19,26 @@ const upload = multer({
 // 청크 업로드를 위한 임시 저장소
 const uploadSessions = new Map();
 
+/**
+ * 요청자 소유의 업로드 세션 조회 (다른 회사/작업자의 세션은 없는 것으로 취급)
+ */
+function getOwnedSession(req, sessionId) {
+    const session = uploadSessions.get(sessionId);
+
+    if (!session || session.companyId !== req.tenant.companyId || session.workerId !== req.tenant.workerId) {
+        return null;
+    }
+
+    return session;
+}
+
 /**
  * 업로드 세션 시작
  */
-router.post('/start-upload', authenticateToken, async (req, res) => {
+router.post('/start-upload', authenticateToken, tenantContext, async (req, res) => {
     try {
         const { fileName, fileSize, totalChunks, recordingId } = req.body;
-        const sessionId = `${req.user.worker_id}_${recordingId}_${Date.now()}`;
+        const sessionId = `${req.tenant.workerId}_${recordingId}_${Date.now()}`;
         
         // 세션 정보 저장
         uploadSessions.set(sessionId, {
@@ -40,18 +47,18 @@ router.post('/start-upload', authenticateToken, async (req, res) => {
             totalChunks,
             chunks: [],
             recordingId,
-            workerId: req.user.worker_id,
-            companyId: req.user.company_id,
+            workerId: req.tenant.workerId,
+            companyId: req.tenant.companyId,
             createdAt: new Date()
         });
 
-        // 30분 후 자동 정리
+        // 30분 후 자동 정리 (타이머가 프로세스 종료를 막지 않도록 unref)
         setTimeout(() => {
             if (uploadSessions.has(sessionId)) {
                 uploadSessions.delete(sessionId);
                 logger.warn(`Upload session ${sessionId} expired`);
             }
-        }, 30 * 60 * 1000);
+        }, 30 * 60 * 1000).unref();
 
         res.json({ 
             success: true, 
@@ -70,10 +77,10 @@ router.post('/start-upload', authenticateToken, async (req, res) => {
 /**
  * 청크 업로드
  */
-router.post('/upload-chunk', authenticateToken, upload.single('chunk'), async (req, res) => {
+router.post('/upload-chunk', authenticateToken, tenantContext, upload.single('chunk'), async (req, res) => {
     try {
         const { sessionId, chunkIndex, totalChunks } = req.body;
-        const session = uploadSessions.get(sessionId);
+        const session = getOwnedSession(req, sessionId);
         
         if (!session) {
             return res.status(400).json({ 
@@ -132,7 +139,7 @@ router.post('/upload-chunk', authenticateToken, upload.single('chunk'), async (r
 /**
  * 직접 업로드 (작은 파일용)
  */
-router.post('/upload-direct', authenticateToken, upload.single('video'), async (req, res) => {
+router.post('/upload-direct', authenticateToken, tenantContext, upload.single('video'), async (req, res) => {
     try {
         const { recordingId } = req.body;
         
@@ -148,7 +155,7 @@ router.post('/upload-direct', authenticateToken, upload.single('video'), async (
             req.file.buffer,
             req.file.originalname,
             recordingId,
-            req.user.company_id
+            req.tenant.companyId
         );
 
         res.json({
@@ -176,7 +183,7 @@ function uploadToCloudinary(buffer, fileName, recordingId, companyId) {
         const uploadStream = cloudinary.uploader.upload_stream(
             {
                 resource_type: 'video',
-                folder: `zeropacking/${companyId}/recordings`,
+                folder: companyFolder(companyId),
                 public_id: `${recordingId}_${Date.now()}`,
                 overwrite: true,
                 notification_url: process.env.CLOUDINARY_WEBHOOK_URL,
@@ -206,8 +213,8 @@ function uploadToCloudinary(buffer, fileName, recordingId, companyId) {
 /**
  * 업로드 상태 확인
  */
-router.get('/upload-status/:sessionId', authenticateToken, (req, res) => {
-    const session = uploadSessions.get(req.params.sessionId);
+router.get('/upload-status/:sessionId', authenticateToken, tenantContext, (req, res) => {
+    const session = getOwnedSession(req, req.params.sessionId);
     
     if (!session) {
         return res.status(404).json({ 
@@ -231,10 +238,10 @@ router.get('/upload-status/:sessionId', authenticateToken, (req, res) => {
 /**
  * 업로드 취소
  */
-router.delete('/cancel-upload/:sessionId', authenticateToken, (req, res) => {
+router.delete('/cancel-upload/:sessionId', authenticateToken, tenantContext, (req, res) => {
     const sessionId = req.params.sessionId;
     
-    if (uploadSessions.has(sessionId)) {
+    if (getOwnedSession(req, sessionId)) {
         uploadSessions.delete(sessionId);
         logger.info(`Upload session ${sessionId} cancelled`);
         
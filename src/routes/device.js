@@ -0,0 +1,263 @@
+// device.js - 포장 스테이션(단말) 등록 라우터
+const express = require('express');
+const router = express.Router();
+const { stations } = require('../repositories');
+const logger = require('../utils/logger');
+const { STAFF_ROLES, ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { authenticateDevice } = require('../middleware/device');
+const { hashToken, generateSecret, generateCode } = require('../utils/secrets');
+const { pick } = require('../utils/serialize');
+
+// 페어링 코드 유효 시간
+const PAIRING_CODE_EXPIRES_MINUTES = parseInt(process.env.DEVICE_PAIRING_CODE_EXPIRES_MINUTES) || 60;
+
+// 응답에 포함할 필드 (자격 증명 해시 제외)
+const STATION_FIELDS = ['id', 'company_id', 'name', 'location', 'is_active', 'paired_at', 'last_seen_at', 'pairing_code_expires_at', 'created_at'];
+
+const serializeStation = station => pick(station, STATION_FIELDS);
+
+/**
+ * 새 페어링 코드 생성 (코드 원문은 응답으로 한 번만 반환)
+ */
+function createPairingCode() {
+    const code = generateCode(8);
+    return {
+        code,
+        hash: hashToken(code),
+        expiresAt: new Date(Date.now() + PAIRING_CODE_EXPIRES_MINUTES * 60 * 1000).toISOString()
+    };
+}
+
+/**
+ * 스테이션 페어링 (페어링 코드 → 단말 자격 증명)
+ * POST /api/devices/pair
+ */
+router.post('/pair', async (req, res) => {
+    try {
+        const { pairing_code } = req.body;
+
+        if (!pairing_code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Pairing code is required'
+            });
+        }
+
+        const codeHash = hashToken(String(pairing_code).trim().toUpperCase());
+
+        const station = await stations.findOne({ pairing_code_hash: codeHash });
+
+        if (!station || !station.is_active || new Date(station.pairing_code_expires_at) <= new Date()) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired pairing code'
+            });
+        }
+
+        const deviceToken = generateSecret();
+
+        // 페어링 코드는 일회용 - 사용 즉시 제거
+        const [paired] = await stations.update({ id: station.id, pairing_code_hash: codeHash }, {
+            credential_hash: hashToken(deviceToken),
+            pairing_code_hash: null,
+            pairing_code_expires_at: null,
+            paired_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        // 동시에 같은 코드로 페어링한 경우 하나만 성공
+        if (!paired) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired pairing code'
+            });
+        }
+
+        logger.info(`Station ${station.id} (${station.name}) paired`);
+
+        res.json({
+            success: true,
+            device_token: deviceToken,
+            station: {
+                id: station.id,
+                company_id: station.company_id,
+                name: station.name,
+                location: station.location
+            }
+        });
+
+    } catch (error) {
+        logger.error('Station pairing error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pair station'
+        });
+    }
+});
+
+/**
+ * 현재 단말 정보 조회
+ * GET /api/devices/me
+ */
+router.get('/me', authenticateDevice, (req, res) => {
+    res.json({
+        success: true,
+        station: req.device
+    });
+});
+
+/**
+ * 스테이션 목록 조회
+ * GET /api/devices
+ */
+router.get('/', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const data = await stations.list({ company_id: req.tenant.companyId });
+
+        res.json({
+            success: true,
+            stations: data.map(serializeStation)
+        });
+
+    } catch (error) {
+        logger.error('List stations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch stations'
+        });
+    }
+});
+
+/**
+ * 스테이션 등록 (페어링 코드 발급)
+ * POST /api/devices
+ */
+router.post('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { name, location } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                success: false,
+                error: 'Station name is required'
+            });
+        }
+
+        const pairingCode = createPairingCode();
+
+        const data = await stations.create({
+            company_id: req.tenant.companyId,
+            name,
+            location,
+            pairing_code_hash: pairingCode.hash,
+            pairing_code_expires_at: pairingCode.expiresAt,
+            is_active: true
+        });
+
+        logger.info(`Station ${data.id} (${name}) enrolled by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            station: serializeStation(data),
+            pairing_code: pairingCode.code,
+            pairing_code_expires_at: pairingCode.expiresAt
+        });
+
+    } catch (error) {
+        logger.error('Create station error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create station'
+        });
+    }
+});
+
+/**
+ * 페어링 코드 재발급 (단말 교체 등)
+ * POST /api/devices/:id/pairing-code
+ */
+router.post('/:id/pairing-code', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const pairingCode = createPairingCode();
+
+        const [data] = await stations.update({ id, company_id: req.tenant.companyId }, {
+            pairing_code_hash: pairingCode.hash,
+            pairing_code_expires_at: pairingCode.expiresAt,
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Station not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            station: serializeStation(data),
+            pairing_code: pairingCode.code,
+            pairing_code_expires_at: pairingCode.expiresAt
+        });
+
+    } catch (error) {
+        logger.error('Reissue pairing code error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue pairing code'
+        });
+    }
+});
+
+/**
+ * 스테이션 수정 / 비활성화
+ * PATCH /api/devices/:id
+ */
+router.patch('/:id', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, location, is_active } = req.body;
+
+        if (is_active !== undefined && typeof is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'is_active must be a boolean'
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+
+        if (name !== undefined) updateData.name = name;
+        if (location !== undefined) updateData.location = location;
+        if (is_active !== undefined) updateData.is_active = is_active;
+
+        const [data] = await stations.update({ id, company_id: req.tenant.companyId }, updateData);
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Station not found'
+            });
+        }
+
+        if (updateData.is_active === false) {
+            logger.info(`Station ${id} disabled by ${req.user.username}`);
+        }
+
+        res.json({
+            success: true,
+            station: serializeStation(data)
+        });
+
+    } catch (error) {
+        logger.error('Update station error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update station'
+        });
+    }
+});
+
+module.exports = router;
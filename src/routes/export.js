@@ -0,0 +1,252 @@
+// export.js - 녹화 목록 내보내기 (CSV / XLSX) 라우터
+const express = require('express');
+const router = express.Router();
+const { pipeline } = require('stream/promises');
+const { recordings, workers, stations, companies } = require('../repositories');
+const { ROLES, STAFF_ROLES, requireRole } = require('../middleware/auth');
+const { API_KEY_PERMISSIONS, authenticateTokenOrApiKey } = require('../middleware/apikey');
+const { tenantContext, isTenantKey } = require('../middleware/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { parseRecordingSearch } = require('../utils/recordingSearch');
+const { SPREADSHEET_FORMATS, createSpreadsheetStream } = require('../utils/spreadsheet');
+const { getRecordStorage, recordingStorageKey } = require('../storage');
+const logger = require('../utils/logger');
+
+// 한 번에 조회하는 녹화 수 (내보내기 전체를 메모리에 올리지 않고 페이지 단위로 조회)
+const EXPORT_PAGE_SIZE = parseInt(process.env.EXPORT_PAGE_SIZE) || 500;
+const EXPORT_TIMEZONE = process.env.EXPORT_TIMEZONE || 'Asia/Seoul';
+
+// 재생 링크 유효 시간 (시간)
+const DEFAULT_LINK_EXPIRES_HOURS = 72;
+const MAX_LINK_EXPIRES_HOURS = 168;
+
+const COLUMNS = [
+    'Recording ID',
+    'Barcode',
+    'Worker',
+    'Worker code',
+    'Station',
+    'Company',
+    'Start time',
+    'End time',
+    'Duration (s)',
+    'Size (bytes)',
+    'Status'
+];
+
+/**
+ * 시각 포맷 (YYYY-MM-DD HH:mm:ss, 지정한 시간대 기준)
+ */
+function createDateFormatter(timeZone) {
+    const format = new Intl.DateTimeFormat('sv-SE', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    return value => (value ? format.format(new Date(value)) : null);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 검색 조건에 맞는 녹화를 keyset 페이지 단위로 조회
+ */
+async function* searchAll(match, { filters, sort, ascending }) {
+    let after = null;
+
+    for (;;) {
+        const { rows, hasMore } = await recordings.search(match, filters, {
+            sort,
+            ascending,
+            after,
+            limit: EXPORT_PAGE_SIZE
+        });
+
+        yield* rows;
+
+        if (!hasMore || rows.length === 0) return;
+
+        const last = rows[rows.length - 1];
+        after = { value: last[sort] === undefined ? null : last[sort], id: last.id };
+    }
+}
+
+/**
+ * 녹화 목록 내보내기 (감독자 이상 또는 연동 API 키)
+ * GET /api/exports/recordings
+ *
+ * 검색 조건은 GET /api/recording/list와 같음 (cursor, limit, page 제외 - 조건에 맞는 전체를 내보냄)
+ * format: csv (기본) | xlsx
+ * include_links=true: 재생 링크 포함 (link_expires_hours 동안 유효, 기본 72, 최대 168, API 키는 video:url 권한도 필요)
+ * timezone: 시각 표시 기준 시간대 (기본 EXPORT_TIMEZONE)
+ */
+router.get('/recordings', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.EXPORTS), requireRole(...STAFF_ROLES, ROLES.INTEGRATION), tenantContext, async (req, res) => {
+    const { companyId } = req.tenant;
+    const format = req.query.format || 'csv';
+    const includeLinks = req.query.include_links === 'true';
+    const timeZone = req.query.timezone || EXPORT_TIMEZONE;
+    const linkExpiresHours = req.query.link_expires_hours === undefined
+        ? DEFAULT_LINK_EXPIRES_HOURS
+        : Number(req.query.link_expires_hours);
+
+    const search = parseRecordingSearch(req.query);
+
+    if (search.error) {
+        return res.status(400).json({
+            success: false,
+            error: search.error
+        });
+    }
+
+    if (!SPREADSHEET_FORMATS[format]) {
+        return res.status(400).json({
+            success: false,
+            error: `format must be one of: ${Object.keys(SPREADSHEET_FORMATS).join(', ')}`
+        });
+    }
+
+    if (!isValidTimeZone(timeZone)) {
+        return res.status(400).json({
+            success: false,
+            error: 'timezone must be an IANA time zone (e.g. Asia/Seoul)'
+        });
+    }
+
+    if (includeLinks && !(linkExpiresHours > 0 && linkExpiresHours <= MAX_LINK_EXPIRES_HOURS)) {
+        return res.status(400).json({
+            success: false,
+            error: `link_expires_hours must be greater than 0 and at most ${MAX_LINK_EXPIRES_HOURS}`
+        });
+    }
+
+    // 재생 링크는 영상 URL 발급과 같으므로 API 키는 video:url 권한도 필요
+    if (includeLinks && req.user.type === 'api_key' && !(req.user.permissions || []).includes(API_KEY_PERMISSIONS.VIDEO_URL)) {
+        return res.status(403).json({
+            success: false,
+            error: `API key lacks permission: ${API_KEY_PERMISSIONS.VIDEO_URL}`
+        });
+    }
+
+    let workerMap;
+    let stationMap;
+    let company;
+
+    try {
+        const [workerList, stationList, companyRow] = await Promise.all([
+            workers.list({ company_id: companyId }),
+            stations.list({ company_id: companyId }),
+            companies.findOne({ id: companyId })
+        ]);
+
+        workerMap = new Map(workerList.map(worker => [worker.id, worker]));
+        stationMap = new Map(stationList.map(station => [station.id, station]));
+        company = companyRow;
+
+    } catch (error) {
+        logger.error('Export recordings error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to export recordings'
+        });
+    }
+
+    const formatDate = createDateFormatter(timeZone);
+    const expiresIn = Math.round(linkExpiresHours * 60 * 60);
+    let rowCount = 0;
+
+    async function playbackUrl(recording) {
+        if (!recording.cloud_url) return null;
+
+        const storage = getRecordStorage(recording);
+        const storageKey = recordingStorageKey(recording, storage);
+
+        if (!isTenantKey(companyId, storageKey)) return null;
+
+        return storage.presignGet(storageKey, { expiresIn });
+    }
+
+    async function* rows() {
+        for await (const recording of searchAll({ company_id: companyId }, search)) {
+            const worker = workerMap.get(recording.worker_id);
+            const station = stationMap.get(recording.station_id);
+
+            const values = [
+                recording.id,
+                recording.barcode,
+                worker ? worker.worker_name : null,
+                worker ? worker.worker_code : null,
+                station ? station.name : null,
+                company ? company.name : null,
+                formatDate(recording.start_time || recording.created_at),
+                formatDate(recording.end_time),
+                recording.duration_seconds === null || recording.duration_seconds === undefined ? null : Number(recording.duration_seconds),
+                recording.file_size_bytes === null || recording.file_size_bytes === undefined ? null : Number(recording.file_size_bytes),
+                recording.status
+            ];
+
+            if (includeLinks) {
+                values.push(await playbackUrl(recording));
+            }
+
+            rowCount++;
+            yield values;
+        }
+    }
+
+    const { contentType, extension } = SPREADSHEET_FORMATS[format];
+    const stamp = formatDate(Date.now()).replace(/-/g, '').replace(' ', '-').replace(/:/g, '').slice(0, 13);
+
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="recordings-${stamp}.${extension}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    try {
+        // 첫 청크(헤더 행)와 함께 응답 헤더가 나가므로, 이후 실패하면 응답을 끊음 (클라이언트는 불완전한 파일을 받음)
+        await pipeline(createSpreadsheetStream(format, {
+            columns: includeLinks ? [...COLUMNS, 'Playback URL'] : COLUMNS,
+            rows: rows(),
+            sheetName: 'Recordings'
+        }), res);
+
+        logger.info(`Exported ${rowCount} recordings as ${format} for company ${companyId}`);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_EXPORT,
+            resourceType: 'recording',
+            metadata: {
+                format,
+                filters: search.filters,
+                sort: search.sort,
+                order: search.ascending ? 'asc' : 'desc',
+                include_links: includeLinks,
+                link_expires_hours: includeLinks ? linkExpiresHours : null,
+                row_count: rowCount
+            }
+        });
+
+    } catch (error) {
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.warn(`Export recordings aborted by client after ${rowCount} rows`);
+            return;
+        }
+
+        logger.error(`Export recordings error after ${rowCount} rows:`, error);
+    }
+});
+
+module.exports = router;
@@ -1,15 +1,102 @@
 // recording.js - 녹화 관련 라우터
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, supabase } = require('../middleware/auth');
+const { recordings, recordingEvents } = require('../repositories');
+const { ROLES, STAFF_ROLES, ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { optionalDevice } = require('../middleware/device');
+const { API_KEY_PERMISSIONS, authenticateTokenOrApiKey } = require('../middleware/apikey');
+const { tenantContext } = require('../middleware/tenant');
+const { idempotency } = require('../middleware/idempotency');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { VIDEO_FORMATS, resolveVideoFormat } = require('../utils/videoFormat');
+const { getUploadPolicy, checkUploadPolicy } = require('../utils/uploadPolicy');
+const { getRetentionPolicy } = require('../utils/retentionPolicy');
+const { sha256Stream } = require('../utils/checksum');
+const { getRecordStorage, recordingStorageKey } = require('../storage');
+const { RECORDING_STATUSES, transitionRecording, restoreRecording } = require('../utils/recordingStatus');
+const { parseRecordingSearch, nextCursor } = require('../utils/recordingSearch');
 const logger = require('../utils/logger');
 
+// 녹화 내 스캔 이벤트 종류
+const EVENT_TYPES = ['item_scanned', 'label_printed', 'box_sealed', 'note'];
+const MAX_EVENTS_PER_REQUEST = 100;
+const MAX_EVENT_CODE_LENGTH = 255;
+const MAX_EVENT_NOTE_LENGTH = 1000;
+
+/**
+ * 이벤트 요청 검증 후 저장할 행으로 변환 - 실패 시 { error }
+ *
+ * 위치는 offset_seconds(녹화 시작 기준 초) 또는 occurred_at(시각) 중 하나로 지정
+ * 둘 다 없으면 요청을 받은 시각 (녹화 중 실시간 스캔)
+ */
+function readEvent(input, recording) {
+    const { type, code, note, offset_seconds, occurred_at } = input || {};
+
+    if (!EVENT_TYPES.includes(type)) {
+        return { error: `type must be one of: ${EVENT_TYPES.join(', ')}` };
+    }
+
+    if (code !== undefined && code !== null && (typeof code !== 'string' || !code.trim() || code.length > MAX_EVENT_CODE_LENGTH)) {
+        return { error: `code must be a non-empty string of up to ${MAX_EVENT_CODE_LENGTH} characters` };
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_EVENT_NOTE_LENGTH)) {
+        return { error: `note must be a string of up to ${MAX_EVENT_NOTE_LENGTH} characters` };
+    }
+
+    if (type === 'item_scanned' && !code) {
+        return { error: 'code is required for item_scanned events' };
+    }
+
+    if (type === 'note' && !(note && note.trim())) {
+        return { error: 'note is required for note events' };
+    }
+
+    const startTime = Date.parse(recording.start_time || recording.created_at);
+    let offsetMs;
+
+    if (offset_seconds !== undefined && offset_seconds !== null) {
+        if (typeof offset_seconds !== 'number' || !Number.isFinite(offset_seconds) || offset_seconds < 0) {
+            return { error: 'offset_seconds must be a non-negative number' };
+        }
+
+        offsetMs = Math.round(offset_seconds * 1000);
+    } else {
+        const occurredAt = occurred_at ? Date.parse(occurred_at) : Date.now();
+
+        if (isNaN(occurredAt)) {
+            return { error: 'occurred_at must be an ISO 8601 timestamp' };
+        }
+
+        if (occurredAt < startTime) {
+            return { error: 'occurred_at must not be before the recording start_time' };
+        }
+
+        offsetMs = occurredAt - startTime;
+    }
+
+    return {
+        event: {
+            event_type: type,
+            code: code ? code.trim() : null,
+            note: note ? note.trim() : null,
+            offset_seconds: offsetMs / 1000,
+            occurred_at: new Date(startTime + offsetMs).toISOString()
+        }
+    };
+}
+
 /**
  * 녹화 시작
+ * X-Device-Token 헤더가 있으면 녹화한 스테이션도 함께 기록
+ *
+ * format(webm/mp4/mkv) 또는 content_type으로 녹화 형식 지정 (생략 시 webm)
+ * 응답의 upload_policy로 최대 녹화 시간/파일 크기를 확인
+ * Idempotency-Key 헤더로 오프라인 재전송 시 중복 녹화 생성 방지
  */
-router.post('/start', authenticateToken, async (req, res) => {
+router.post('/start', authenticateToken, requireRole(ROLES.WORKER), tenantContext, optionalDevice, idempotency, async (req, res) => {
     try {
-        const { barcode, worker_id, company_id } = req.body;
+        const { barcode, worker_id, company_id, format, content_type } = req.body;
 
         // 입력 검증
         if (!barcode) {
@@ -19,36 +106,61 @@ router.post('/start', authenticateToken, async (req, res) => {
             });
         }
 
-        // 토큰에서 가져온 정보 사용 (보안)
-        const actualWorkerId = req.user.worker_id;
-        const actualCompanyId = req.user.company_id;
+        const videoFormat = resolveVideoFormat({ format, contentType: content_type });
 
-        logger.info(`Recording started - Worker: ${actualWorkerId}, Barcode: ${barcode}`);
+        if (!videoFormat) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported video format. Supported formats: ${Object.keys(VIDEO_FORMATS).join(', ')}`
+            });
+        }
 
-        // 녹화 레코드 생성
-        const { data, error } = await supabase
-            .from('recordings')
-            .insert({
-                company_id: actualCompanyId,
-                worker_id: actualWorkerId,
-                barcode: barcode,
-                start_time: new Date().toISOString(),
-                status: 'recording'
-            })
-            .select()
-            .single();
+        const policy = await getUploadPolicy(req.tenant.companyId);
+        const policyError = checkUploadPolicy(policy, { format: videoFormat });
 
-        if (error) {
-            logger.error('Failed to create recording record:', error);
-            return res.status(500).json({
+        if (policyError) {
+            return res.status(400).json({
                 success: false,
-                error: 'Failed to start recording'
+                error: policyError
             });
         }
 
+        // 토큰에서 가져온 정보 사용 (보안)
+        const actualWorkerId = req.tenant.workerId;
+        const actualCompanyId = req.tenant.companyId;
+        const stationId = req.device ? req.device.id : null;
+
+        logger.info(`Recording started - Worker: ${actualWorkerId}, Station: ${stationId || '-'}, Barcode: ${barcode}`);
+
+        // 녹화 레코드 생성
+        const data = await recordings.create({
+            company_id: actualCompanyId,
+            worker_id: actualWorkerId,
+            station_id: stationId,
+            barcode: barcode,
+            format: videoFormat.format,
+            content_type: videoFormat.contentType,
+            start_time: new Date().toISOString(),
+            status: RECORDING_STATUSES.RECORDING,
+            status_changed_at: new Date().toISOString()
+        });
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_STATUS,
+            resourceType: 'recording',
+            resourceId: data.id,
+            metadata: { status: RECORDING_STATUSES.RECORDING }
+        });
+
         res.json({
             success: true,
             recording_id: data.id,
+            format: videoFormat.format,
+            content_type: videoFormat.contentType,
+            upload_policy: {
+                max_duration_seconds: policy.max_duration_seconds,
+                max_file_size_bytes: policy.max_file_size_bytes
+            },
             message: 'Recording started successfully'
         });
 
@@ -64,7 +176,7 @@ router.post('/start', authenticateToken, async (req, res) => {
 /**
  * 녹화 종료
  */
-router.post('/end', authenticateToken, async (req, res) => {
+router.post('/end', authenticateToken, requireRole(ROLES.WORKER), tenantContext, idempotency, async (req, res) => {
     try {
         const { recording_id, duration_seconds, file_size_bytes } = req.body;
 
@@ -75,31 +187,44 @@ router.post('/end', authenticateToken, async (req, res) => {
             });
         }
 
+        const { max_duration_seconds } = await getUploadPolicy(req.tenant.companyId);
+
+        if (max_duration_seconds && duration_seconds > max_duration_seconds) {
+            return res.status(400).json({
+                success: false,
+                error: `Recording exceeds maximum duration of ${max_duration_seconds} seconds`
+            });
+        }
+
         logger.info(`Recording ended - ID: ${recording_id}, Duration: ${duration_seconds}s`);
 
         // 녹화 레코드 업데이트
-        const { data, error } = await supabase
-            .from('recordings')
-            .update({
+        const { recording: data, previous, status, error } = await transitionRecording({
+            id: recording_id,
+            company_id: req.tenant.companyId,
+            worker_id: req.tenant.workerId // 보안: 자신의 녹화만 수정 가능
+        }, RECORDING_STATUSES.UPLOADING, {
+            fields: {
                 end_time: new Date().toISOString(),
                 duration_seconds: duration_seconds || 0,
-                file_size_bytes: file_size_bytes || 0,
-                status: 'uploading',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', recording_id)
-            .eq('worker_id', req.user.worker_id) // 보안: 자신의 녹화만 수정 가능
-            .select()
-            .single();
+                file_size_bytes: file_size_bytes || 0
+            }
+        });
 
         if (error) {
-            logger.error('Failed to update recording record:', error);
-            return res.status(500).json({
+            return res.status(status).json({
                 success: false,
-                error: 'Failed to end recording'
+                error
             });
         }
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_STATUS,
+            resourceType: 'recording',
+            resourceId: data.id,
+            metadata: { status: RECORDING_STATUSES.UPLOADING, previous_status: previous.status }
+        });
+
         res.json({
             success: true,
             recording: data,
@@ -116,9 +241,9 @@ router.post('/end', authenticateToken, async (req, res) => {
 });
 
 /**
- * 업로드 완료 처리
+ * 업로드 완료 처리 (Cloudinary 업로드 - 외부 저장소라 사용량에 집계하지 않음)
  */
-router.post('/upload-complete', authenticateToken, async (req, res) => {
+router.post('/upload-complete', authenticateToken, requireRole(ROLES.WORKER), tenantContext, idempotency, async (req, res) => {
     try {
         const { 
             recording_id, 
@@ -135,14 +260,20 @@ router.post('/upload-complete', authenticateToken, async (req, res) => {
             });
         }
 
+        // 스토리지 업로드는 서버가 객체를 확인하고 사용량에 반영하는 /api/upload/complete로만 연결
+        if (cloud_provider !== 'cloudinary') {
+            return res.status(400).json({
+                success: false,
+                error: 'Only Cloudinary uploads can be linked here. Use /api/upload/complete or /api/upload/multipart/complete for storage uploads'
+            });
+        }
+
         logger.info(`Upload completed - Recording: ${recording_id}`);
 
         // 녹화 레코드 업데이트
         const updateData = {
             cloud_url: cloud_url,
-            cloud_provider: cloud_provider,
-            status: 'completed',
-            updated_at: new Date().toISOString()
+            cloud_provider: cloud_provider
         };
 
         if (thumbnail_url) {
@@ -153,22 +284,27 @@ router.post('/upload-complete', authenticateToken, async (req, res) => {
             updateData.metadata = metadata;
         }
 
-        const { data, error } = await supabase
-            .from('recordings')
-            .update(updateData)
-            .eq('id', recording_id)
-            .eq('worker_id', req.user.worker_id)
-            .select()
-            .single();
+        // 삭제된 녹화 등 완료로 바꿀 수 없는 상태면 409
+        const { recording: data, previous, status, error } = await transitionRecording({
+            id: recording_id,
+            company_id: req.tenant.companyId,
+            worker_id: req.tenant.workerId
+        }, RECORDING_STATUSES.COMPLETED, { fields: updateData });
 
         if (error) {
-            logger.error('Failed to update recording with upload info:', error);
-            return res.status(500).json({
+            return res.status(status).json({
                 success: false,
-                error: 'Failed to update recording'
+                error
             });
         }
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_STATUS,
+            resourceType: 'recording',
+            resourceId: data.id,
+            metadata: { status: RECORDING_STATUSES.COMPLETED, previous_status: previous.status }
+        });
+
         res.json({
             success: true,
             recording: data,
@@ -185,52 +321,279 @@ router.post('/upload-complete', authenticateToken, async (req, res) => {
 });
 
 /**
- * 녹화 목록 조회
+ * 녹화 목록 조회 (감독자 이상, API 키)
+ * GET /api/recording/list
+ *
+ * 필터: barcode, code, status, worker_id, station_id, from, to, min_duration, max_duration
+ * 정렬: sort (created_at, duration_seconds, file_size_bytes, barcode, deleted_at), order (asc, desc)
+ * 페이지: cursor (응답의 next_cursor) 또는 page - 계속 추가되는 녹화에도 밀리지 않으려면 cursor 사용
  */
-router.get('/list', authenticateToken, async (req, res) => {
+router.get('/list', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.READ_RECORDINGS), requireRole(...STAFF_ROLES, ROLES.INTEGRATION), tenantContext, async (req, res) => {
     try {
-        const { page = 1, limit = 20, barcode, status } = req.query;
-        const offset = (page - 1) * limit;
-
-        let query = supabase
-            .from('recordings')
-            .select('*', { count: 'exact' })
-            .eq('company_id', req.user.company_id)
-            .order('created_at', { ascending: false })
-            .range(offset, offset + limit - 1);
+        const search = parseRecordingSearch(req.query);
 
-        // 필터 적용
-        if (barcode) {
-            query = query.ilike('barcode', `%${barcode}%`);
+        if (search.error) {
+            return res.status(400).json({
+                success: false,
+                error: search.error
+            });
         }
 
-        if (status) {
-            query = query.eq('status', status);
+        const { filters, sort, ascending, after, limit } = search;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const result = await recordings.search({ company_id: req.tenant.companyId }, filters, {
+            sort,
+            ascending,
+            after,
+            offset: after ? 0 : (page - 1) * limit,
+            limit,
+            withTotal: !after
+        });
+
+        res.json({
+            success: true,
+            recordings: result.rows,
+            pagination: {
+                limit,
+                next_cursor: nextCursor(result, search),
+                has_more: result.hasMore,
+                ...(!after && {
+                    page,
+                    total: result.total,
+                    totalPages: Math.ceil(result.total / limit)
+                })
+            }
+        });
+
+    } catch (error) {
+        logger.error('List recordings error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 휴지통 - 삭제된 녹화 목록 (감독자 이상)
+ * GET /api/recording/trash
+ *
+ * 검색 조건은 /list와 같음 (status 제외, 기본 정렬: 최근 삭제 순)
+ * purge_at: 이 시각 이후 영구 삭제 작업이 영상과 기록을 지움 (그 전까지 복원 가능)
+ */
+router.get('/trash', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const search = parseRecordingSearch({ sort: 'deleted_at', ...req.query, status: undefined });
+
+        if (search.error) {
+            return res.status(400).json({
+                success: false,
+                error: search.error
+            });
         }
 
-        const { data, error, count } = await query;
+        const { filters, sort, ascending, after, limit } = search;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
 
-        if (error) {
-            logger.error('Failed to fetch recordings:', error);
-            return res.status(500).json({
+        const [result, policy] = await Promise.all([
+            recordings.search({ company_id: req.tenant.companyId }, { ...filters, status: RECORDING_STATUSES.DELETED }, {
+                sort,
+                ascending,
+                after,
+                offset: after ? 0 : (page - 1) * limit,
+                limit,
+                withTotal: !after
+            }),
+            getRetentionPolicy(req.tenant.companyId)
+        ]);
+
+        const graceMs = policy.trash_retention_days * 24 * 60 * 60 * 1000;
+
+        res.json({
+            success: true,
+            recordings: result.rows.map(recording => ({
+                ...recording,
+                purge_at: recording.deleted_at && !recording.legal_hold
+                    ? new Date(Date.parse(recording.deleted_at) + graceMs).toISOString()
+                    : null
+            })),
+            trash_retention_days: policy.trash_retention_days,
+            pagination: {
+                limit,
+                next_cursor: nextCursor(result, search),
+                has_more: result.hasMore,
+                ...(!after && {
+                    page,
+                    total: result.total,
+                    totalPages: Math.ceil(result.total / limit)
+                })
+            }
+        });
+
+    } catch (error) {
+        logger.error('List trash error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 스캔 이벤트 검색 (감독자 이상, API 키) - 특정 상품이 담긴 녹화와 영상 위치 찾기
+ * GET /api/recording/events
+ *
+ * 필터: code (바코드 일치), q (바코드/메모 부분 일치), type (쉼표 구분), recording_id, from, to
+ */
+router.get('/events', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.READ_RECORDINGS), requireRole(...STAFF_ROLES, ROLES.INTEGRATION), tenantContext, async (req, res) => {
+    try {
+        const { page = 1, limit = 50, code, q, type, recording_id, from, to } = req.query;
+
+        const pageSize = Math.min(parseInt(limit) || 50, 500);
+        const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+        const types = type ? String(type).split(',') : undefined;
+        const invalidTypes = (types || []).filter(eventType => !EVENT_TYPES.includes(eventType));
+
+        if (invalidTypes.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Failed to fetch recordings'
+                error: `type must be one of: ${EVENT_TYPES.join(', ')}`
             });
         }
 
+        const { rows, total } = await recordingEvents.search({
+            company_id: req.tenant.companyId,
+            recording_id
+        }, { code, q, types, from, to, offset, limit: pageSize });
+
         res.json({
             success: true,
-            recordings: data,
+            events: rows,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: count,
-                totalPages: Math.ceil(count / limit)
+                page: parseInt(page) || 1,
+                limit: pageSize,
+                total,
+                totalPages: Math.ceil(total / pageSize)
             }
         });
 
     } catch (error) {
-        logger.error('List recordings error:', error);
+        logger.error('Search recording events error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 녹화 상세 조회 (작업자는 자신의 녹화만, API 키)
+ * 스캔 이벤트(events)를 영상 위치 순으로 포함
+ */
+router.get('/:id', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.READ_RECORDINGS), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const data = await recordings.findDetail({
+            id,
+            company_id: req.tenant.companyId,
+            worker_id: req.tenant.role === ROLES.WORKER ? req.tenant.workerId : undefined
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recording not found'
+            });
+        }
+
+        const events = await recordingEvents.list({ recording_id: data.id, company_id: req.tenant.companyId });
+
+        res.json({
+            success: true,
+            recording: { ...data, events }
+        });
+
+    } catch (error) {
+        logger.error('Get recording error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 스캔 이벤트 추가 (작업자는 자신의 녹화만, 감독자 이상)
+ * POST /api/recording/:id/events
+ *
+ * 이벤트 하나 또는 events 배열 (오프라인 재전송은 Idempotency-Key 사용)
+ * { type, code, note, offset_seconds | occurred_at }
+ */
+router.post('/:id/events', authenticateToken, requireRole(ROLES.WORKER, ...STAFF_ROLES), tenantContext, idempotency, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const inputs = Array.isArray(req.body.events) ? req.body.events : [req.body];
+
+        if (inputs.length === 0 || inputs.length > MAX_EVENTS_PER_REQUEST) {
+            return res.status(400).json({
+                success: false,
+                error: `events must contain 1-${MAX_EVENTS_PER_REQUEST} events`
+            });
+        }
+
+        const recording = await recordings.findOne({
+            id,
+            company_id: req.tenant.companyId,
+            worker_id: req.tenant.role === ROLES.WORKER ? req.tenant.workerId : undefined
+        });
+
+        if (!recording) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recording not found'
+            });
+        }
+
+        if (recording.status === RECORDING_STATUSES.DELETED) {
+            return res.status(409).json({
+                success: false,
+                error: 'Cannot add events to a deleted recording'
+            });
+        }
+
+        const rows = [];
+
+        for (const [index, input] of inputs.entries()) {
+            const { event, error } = readEvent(input, recording);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: inputs.length > 1 ? `events[${index}]: ${error}` : error
+                });
+            }
+
+            rows.push({
+                ...event,
+                company_id: req.tenant.companyId,
+                recording_id: recording.id,
+                created_by_type: req.user.type,
+                created_by_id: req.user.worker_id || req.user.admin_id || null
+            });
+        }
+
+        const events = await recordingEvents.createMany(rows);
+
+        res.status(201).json({
+            success: true,
+            events
+        });
+
+    } catch (error) {
+        logger.error('Add recording events error:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -239,38 +602,209 @@ router.get('/list', authenticateToken, async (req, res) => {
 });
 
 /**
- * 녹화 상세 조회
+ * 녹화 상태 변경 (작업자는 자신의 녹화만, 감독자 이상)
+ * PATCH /api/recording/:id/status
+ *
+ * 허용되지 않는 전이는 409, failed는 failure_reason 필수
+ * 삭제는 DELETE /api/recording/:id (법적 보존 확인), 완료는 업로드 완료 API에서만 (저장 용량 반영)
  */
-router.get('/:id', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requireRole(ROLES.WORKER, ...STAFF_ROLES), tenantContext, async (req, res) => {
     try {
         const { id } = req.params;
+        const { status: nextStatus, failure_reason } = req.body;
+
+        const statuses = Object.values(RECORDING_STATUSES)
+            .filter(status => status !== RECORDING_STATUSES.DELETED && status !== RECORDING_STATUSES.COMPLETED);
+
+        if (nextStatus === RECORDING_STATUSES.COMPLETED) {
+            return res.status(400).json({
+                success: false,
+                error: 'Recordings are completed by the upload completion endpoints, not by a status change'
+            });
+        }
+
+        if (!statuses.includes(nextStatus)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${statuses.join(', ')}`
+            });
+        }
+
+        if (failure_reason !== undefined && (typeof failure_reason !== 'string' || !failure_reason.trim())) {
+            return res.status(400).json({
+                success: false,
+                error: 'failure_reason must be a non-empty string'
+            });
+        }
+
+        const match = {
+            id,
+            company_id: req.tenant.companyId,
+            worker_id: req.tenant.role === ROLES.WORKER ? req.tenant.workerId : undefined
+        };
 
-        const { data, error } = await supabase
-            .from('recordings')
-            .select(`
-                *,
-                worker:worker_accounts(worker_name, worker_code),
-                company:companies(name)
-            `)
-            .eq('id', id)
-            .eq('company_id', req.user.company_id)
-            .single();
+        const { recording, previous, status, error } = await transitionRecording(match, nextStatus, {
+            failureReason: failure_reason && failure_reason.trim()
+        });
 
         if (error) {
-            logger.error('Failed to fetch recording:', error);
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_STATUS,
+            resourceType: 'recording',
+            resourceId: recording.id,
+            metadata: {
+                status: nextStatus,
+                previous_status: previous.status,
+                failure_reason: recording.failure_reason || null
+            }
+        });
+
+        logger.info(`Recording ${recording.id} status changed: ${previous.status} -> ${nextStatus} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            recording
+        });
+
+    } catch (error) {
+        logger.error('Update recording status error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 저장된 영상의 SHA-256 재검증 (감독자 이상, API 키)
+ * POST /api/recording/:id/verify
+ *
+ * 객체 전체를 다시 읽어 해시를 계산하므로 큰 영상은 시간이 걸림
+ */
+router.post('/:id/verify', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.READ_RECORDINGS), requireRole(...STAFF_ROLES, ROLES.INTEGRATION), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const recording = await recordings.findOne({ id, company_id: req.tenant.companyId });
+
+        if (!recording) {
             return res.status(404).json({
                 success: false,
                 error: 'Recording not found'
             });
         }
 
+        if (!recording.cloud_url) {
+            return res.status(404).json({
+                success: false,
+                error: 'Video file not available'
+            });
+        }
+
+        if (!recording.checksum_sha256) {
+            return res.status(409).json({
+                success: false,
+                error: 'Recording has no stored checksum'
+            });
+        }
+
+        const storage = getRecordStorage(recording);
+        const actual = await sha256Stream(await storage.read(recordingStorageKey(recording, storage)));
+        const verified = actual === recording.checksum_sha256;
+        const verifiedAt = new Date().toISOString();
+
+        if (verified) {
+            await recordings.update({ id: recording.id }, { checksum_verified_at: verifiedAt });
+        } else {
+            logger.warn(`Checksum mismatch for recording ${recording.id}: expected ${recording.checksum_sha256}, got ${actual}`);
+        }
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_VERIFY,
+            resourceType: 'recording',
+            resourceId: recording.id,
+            metadata: { verified, expected: recording.checksum_sha256, actual }
+        });
+
+        res.json({
+            success: true,
+            verified,
+            expected: recording.checksum_sha256,
+            actual,
+            verified_at: verified ? verifiedAt : recording.checksum_verified_at
+        });
+
+    } catch (error) {
+        if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+            return res.status(404).json({
+                success: false,
+                error: 'Video file not found in storage'
+            });
+        }
+
+        logger.error('Verify recording error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 법적 보존 설정 (회사 관리자)
+ * PUT /api/recording/:id/legal-hold
+ *
+ * 분쟁 등이 끝날 때까지 삭제와 보존 기간 만료를 막음
+ */
+router.put('/:id/legal-hold', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason || typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reason is required'
+            });
+        }
+
+        const [data] = await recordings.update({ id, company_id: req.tenant.companyId }, {
+            legal_hold: true,
+            legal_hold_reason: reason.trim(),
+            legal_hold_set_by: req.user.admin_id || null,
+            legal_hold_set_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recording not found'
+            });
+        }
+
+        logger.info(`Legal hold set on recording ${id} by ${req.user.username}`);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LEGAL_HOLD_SET,
+            resourceType: 'recording',
+            resourceId: id,
+            metadata: { barcode: data.barcode, reason: data.legal_hold_reason }
+        });
+
         res.json({
             success: true,
             recording: data
         });
 
     } catch (error) {
-        logger.error('Get recording error:', error);
+        logger.error('Set legal hold error:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -279,34 +813,143 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * 녹화 삭제 (soft delete)
+ * 법적 보존 해제 (회사 관리자)
+ * DELETE /api/recording/:id/legal-hold
  */
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id/legal-hold', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
     try {
         const { id } = req.params;
 
+        const existing = await recordings.findOne({ id, company_id: req.tenant.companyId });
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Recording not found'
+            });
+        }
+
+        if (!existing.legal_hold) {
+            return res.status(409).json({
+                success: false,
+                error: 'Recording is not on legal hold'
+            });
+        }
+
+        const [data] = await recordings.update({ id, company_id: req.tenant.companyId }, {
+            legal_hold: false,
+            legal_hold_reason: null,
+            legal_hold_set_by: null,
+            legal_hold_set_at: null,
+            updated_at: new Date().toISOString()
+        });
+
+        logger.info(`Legal hold released on recording ${id} by ${req.user.username}`);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.LEGAL_HOLD_RELEASE,
+            resourceType: 'recording',
+            resourceId: id,
+            metadata: { barcode: data.barcode, reason: existing.legal_hold_reason }
+        });
+
+        res.json({
+            success: true,
+            recording: data
+        });
+
+    } catch (error) {
+        logger.error('Release legal hold error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 삭제된 녹화 복원 (감독자 이상) - 삭제 직전 상태로 되돌림
+ * POST /api/recording/:id/restore
+ *
+ * 영구 삭제(유예 기간 경과 후 purge 작업) 전까지만 가능
+ */
+router.post('/:id/restore', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { recording: data, previous, status, error } = await restoreRecording({ id, company_id: req.tenant.companyId });
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                error
+            });
+        }
+
+        logger.info(`Recording restored: ${id} (${data.status})`);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_RESTORE,
+            resourceType: 'recording',
+            resourceId: id,
+            metadata: { barcode: data.barcode, status: data.status, deleted_at: previous.deleted_at }
+        });
+
+        res.json({
+            success: true,
+            message: 'Recording restored successfully',
+            recording: data
+        });
+
+    } catch (error) {
+        logger.error('Restore recording error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 녹화 삭제 (soft delete, 감독자 이상)
+ * 법적 보존 중인 녹화는 삭제 불가
+ * 휴지통(GET /trash)에서 복원할 수 있으며, 유예 기간(trash_retention_days)이 지나면 purge 작업이 영구 삭제
+ */
+router.delete('/:id', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const match = { id, company_id: req.tenant.companyId };
+
         // Soft delete - status를 'deleted'로 변경
-        const { data, error } = await supabase
-            .from('recordings')
-            .update({
-                status: 'deleted',
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', id)
-            .eq('company_id', req.user.company_id)
-            .select()
-            .single();
+        // legal_hold: false를 조건에 넣어 조회와 변경 사이에 legal hold가 걸려도 삭제되지 않도록 함
+        const { recording: data, status, error } = await transitionRecording(
+            { ...match, legal_hold: false },
+            RECORDING_STATUSES.DELETED
+        );
+
+        if (error && await recordings.findOne({ ...match, legal_hold: true })) {
+            return res.status(409).json({
+                success: false,
+                error: 'Recording is on legal hold and cannot be deleted'
+            });
+        }
 
         if (error) {
-            logger.error('Failed to delete recording:', error);
-            return res.status(404).json({
+            return res.status(status).json({
                 success: false,
-                error: 'Recording not found or cannot be deleted'
+                error: status === 404 ? 'Recording not found or cannot be deleted' : error
             });
         }
 
         logger.info(`Recording deleted: ${id}`);
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RECORDING_DELETE,
+            resourceType: 'recording',
+            resourceId: id,
+            metadata: { barcode: data.barcode }
+        });
+
         res.json({
             success: true,
             message: 'Recording deleted successfully',
@@ -0,0 +1,129 @@
+// retentionPolicy.js - 회사별 보존 기간 / 저장 등급 전환 / 휴지통 유예 기간 정책 라우터
+const express = require('express');
+const router = express.Router();
+const { retentionPolicies } = require('../repositories');
+const logger = require('../utils/logger');
+const { STAFF_ROLES, ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const {
+    ARCHIVE_STORAGE_CLASSES,
+    DEFAULT_RETENTION_POLICY,
+    POLICY_FIELDS,
+    resolveRetentionPolicy,
+    checkRetentionPolicy
+} = require('../utils/retentionPolicy');
+
+// 양의 정수 항목 (null은 기본값으로 되돌림)
+const NUMERIC_FIELDS = ['retention_days', 'archive_after_days', 'trash_retention_days'];
+
+/**
+ * 보존 정책 조회 (감독자 이상)
+ * GET /api/retention-policy
+ */
+router.get('/', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const row = await retentionPolicies.findOne({ company_id: req.tenant.companyId });
+
+        res.json({
+            success: true,
+            policy: resolveRetentionPolicy(row),
+            defaults: DEFAULT_RETENTION_POLICY,
+            available_storage_classes: ARCHIVE_STORAGE_CLASSES
+        });
+
+    } catch (error) {
+        logger.error('Get retention policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch retention policy'
+        });
+    }
+});
+
+/**
+ * 보존 정책 수정 (회사 관리자)
+ * PUT /api/retention-policy
+ *
+ * 보낸 항목만 변경, null을 보내면 기본값으로 되돌림
+ */
+router.put('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const updateData = {};
+
+        for (const field of NUMERIC_FIELDS) {
+            const value = req.body[field];
+            if (value === undefined) continue;
+
+            if (value !== null && !(Number.isInteger(value) && value > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a positive integer or null`
+                });
+            }
+
+            updateData[field] = value;
+        }
+
+        const { archive_storage_class } = req.body;
+
+        if (archive_storage_class !== undefined) {
+            if (archive_storage_class !== null && !ARCHIVE_STORAGE_CLASSES.includes(archive_storage_class)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `archive_storage_class must be one of: ${ARCHIVE_STORAGE_CLASSES.join(', ')}`
+                });
+            }
+
+            updateData.archive_storage_class = archive_storage_class;
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `At least one of ${POLICY_FIELDS.join(', ')} is required`
+            });
+        }
+
+        const current = await retentionPolicies.findOne({ company_id: req.tenant.companyId });
+        const policy = resolveRetentionPolicy({ ...current, ...updateData });
+        const policyError = checkRetentionPolicy(policy);
+
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                error: policyError
+            });
+        }
+
+        await retentionPolicies.upsert({
+            company_id: req.tenant.companyId,
+            ...updateData,
+            updated_by: req.user.admin_id || null,
+            updated_at: new Date().toISOString()
+        }, ['company_id']);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.RETENTION_POLICY_UPDATE,
+            resourceType: 'retention_policy',
+            resourceId: req.tenant.companyId,
+            metadata: { changes: updateData }
+        });
+
+        logger.info(`Retention policy for company ${req.tenant.companyId} updated by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            policy
+        });
+
+    } catch (error) {
+        logger.error('Update retention policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update retention policy'
+        });
+    }
+});
+
+module.exports = router;
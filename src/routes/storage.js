@@ -0,0 +1,131 @@
+// storage.js - 로컬 스토리지 서명 URL 엔드포인트 (S3 presigned URL 대응)
+//
+// 인증은 URL의 서명 토큰으로만 함 (업로드 API가 발급, 만료 시간 포함)
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getStorage } = require('../storage');
+const { formatForContentType } = require('../utils/videoFormat');
+const { parseByteRange } = require('../utils/byteRange');
+
+/**
+ * 토큰 검증 미들웨어 (op: put | part | get)
+ */
+function requireToken(op) {
+    return (req, res, next) => {
+        const payload = getStorage('local').verifyToken(req.query.token);
+
+        if (!payload || payload.op !== op) {
+            return res.status(403).json({ error: 'Invalid or expired signature' });
+        }
+
+        req.storageToken = payload;
+        next();
+    };
+}
+
+/**
+ * 객체 업로드 (presigned PUT)
+ * PUT /storage/local/upload?token=...
+ */
+router.put('/upload', requireToken('put'), async (req, res) => {
+    try {
+        const { key, contentType, metadata, sha256 } = req.storageToken;
+
+        // S3와 동일하게 서명된 Content-Type과 다르면 거부
+        const requestFormat = formatForContentType(req.headers['content-type']);
+
+        if (contentType && (!requestFormat || requestFormat.contentType !== contentType)) {
+            return res.status(403).json({ error: 'Content-Type does not match signature' });
+        }
+
+        const { etag } = await getStorage('local').writeObject(key, req, { contentType, metadata, sha256 });
+
+        res.set('ETag', etag).set('Access-Control-Expose-Headers', 'ETag').status(200).end();
+
+    } catch (error) {
+        if (error.name === 'BadDigest') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        logger.error('Local storage upload error:', error);
+        res.status(500).json({ error: 'Failed to store object' });
+    }
+});
+
+/**
+ * Multipart 파트 업로드 (presigned UploadPart)
+ * PUT /storage/local/part?token=...
+ */
+router.put('/part', requireToken('part'), async (req, res) => {
+    try {
+        const { key, uploadId, partNumber, sha256 } = req.storageToken;
+
+        const { etag } = await getStorage('local').writePart(key, uploadId, partNumber, req, { sha256 });
+
+        res.set('ETag', etag).set('Access-Control-Expose-Headers', 'ETag').status(200).end();
+
+    } catch (error) {
+        if (error.name === 'NoSuchUpload') {
+            return res.status(404).json({ error: 'Multipart upload not found' });
+        }
+
+        if (error.name === 'BadDigest') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        logger.error('Local storage part upload error:', error);
+        res.status(500).json({ error: 'Failed to store part' });
+    }
+});
+
+/**
+ * 객체 다운로드/스트리밍 (presigned GET, Range 지원)
+ * GET /storage/local/object?token=...
+ */
+router.get('/object', requireToken('get'), async (req, res) => {
+    try {
+        const { key, contentType, fileName } = req.storageToken;
+        const storage = getStorage('local');
+        const head = await storage.head(key);
+        const range = req.headers.range;
+
+        const headers = {
+            'Content-Type': contentType || head.contentType || 'application/octet-stream',
+            'Accept-Ranges': 'bytes',
+            ...(fileName && { 'Content-Disposition': `inline; filename="${fileName}"` })
+        };
+
+        if (range) {
+            const byteRange = parseByteRange(range, head.size);
+
+            if (!byteRange) {
+                return res.status(416).set('Content-Range', `bytes */${head.size}`).end();
+            }
+
+            const { start, end } = byteRange;
+
+            res.writeHead(206, {
+                ...headers,
+                'Content-Range': `bytes ${start}-${end}/${head.size}`,
+                'Content-Length': end - start + 1
+            });
+
+            (await storage.read(key, { range: { start, end } })).pipe(res);
+        } else {
+            res.writeHead(200, { ...headers, 'Content-Length': head.size });
+
+            (await storage.read(key)).pipe(res);
+        }
+
+    } catch (error) {
+        if (error.name === 'NotFound') {
+            return res.status(404).json({ error: 'Object not found' });
+        }
+
+        logger.error('Local storage read error:', error);
+        res.status(500).json({ error: 'Failed to read object' });
+    }
+});
+
+module.exports = router;
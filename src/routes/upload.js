@@ -1,28 +1,301 @@
-// src/routes/upload.js - S3 업로드 라우트
+// src/routes/upload.js - 영상 업로드 라우트 (스토리지 드라이버: S3, S3 호환, 로컬)
 const express = require('express');
 const router = express.Router();
-const { S3Client, PutObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { recordings, uploadSessions } = require('../repositories');
+const { getCompanyStorage, getRecordStorage } = require('../storage');
 const logger = require('../utils/logger');
-const { authenticateWorker } = require('../middleware/auth');
-
-// S3 클라이언트 설정
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+const { ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext, tenantKeyPrefix, requireTenantKey } = require('../middleware/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { VIDEO_FORMATS, formatForContentType, resolveVideoFormat } = require('../utils/videoFormat');
+const { getUploadPolicy, checkUploadPolicy } = require('../utils/uploadPolicy');
+const { normalizeSha256, checksumHeaders } = require('../utils/checksum');
+const { getStorageUsage, adjustStorageUsage, recordingUsageDelta, checkStorageQuota } = require('../utils/storageUsage');
+const { RECORDING_STATUSES, canTransition, transitionRecording } = require('../utils/recordingStatus');
+
+const PRESIGNED_URL_EXPIRES_SECONDS = parseInt(process.env.PRESIGNED_URL_EXPIRES_SECONDS) || 3600;
+
+// Multipart 업로드 설정 (S3 제한: 파트 5MB~5GB, 최대 10,000개)
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const DEFAULT_PART_SIZE = (parseInt(process.env.MULTIPART_PART_SIZE_MB) || 10) * 1024 * 1024;
+const DEFAULT_CONCURRENCY = parseInt(process.env.MULTIPART_CONCURRENCY) || 4;
+const MAX_PART_URLS_PER_REQUEST = 100;
+
+// 작업자 업로드 인증 (토큰 + 작업자 역할 + 회사 범위)
+const authenticateWorker = [authenticateToken, requireRole(ROLES.WORKER), tenantContext];
 
 // 파일 키 생성 함수
-function generateFileKey(companyId, barcode, timestamp) {
+function generateFileKey(companyId, barcode, timestamp, extension) {
     const date = new Date(timestamp);
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
     const day = String(date.getDate()).padStart(2, '0');
     
-    return `recordings/${companyId}/${year}/${month}/${day}/${barcode}_${timestamp}.webm`;
+    // 바코드의 경로 구분자 등 제거 (다른 회사 경로 침범 방지)
+    const safeBarcode = String(barcode).replace(/[^\w.-]/g, '_');
+
+    return `${tenantKeyPrefix(companyId)}${year}/${month}/${day}/${safeBarcode}_${timestamp}.${extension}`;
+}
+
+/**
+ * Multipart 업로드가 진행 중인 스토리지 (세션이 없는 기존 업로드는 S3)
+ */
+function sessionStorage(session) {
+    return getRecordStorage(session || {});
+}
+
+/**
+ * 업로드 대상 녹화 조회 (작업자 본인의 녹화만)
+ */
+function findUploadRecording(tenant, recordingId) {
+    return recordings.findOne({ id: recordingId, company_id: tenant.companyId, worker_id: tenant.workerId });
+}
+
+/**
+ * 요청의 선택 SHA-256 (hex) 검증
+ * 값이 없으면 { sha256: null }, 형식이 틀리면 { error }
+ */
+function readSha256(value, field = 'sha256') {
+    if (value === undefined || value === null || value === '') {
+        return { sha256: null };
+    }
+
+    const sha256 = normalizeSha256(value);
+
+    return sha256 ? { sha256 } : { error: `${field} must be a hex-encoded SHA-256 digest` };
+}
+
+/**
+ * 업로드 요청 검증 (파일 크기, 대상 녹화, 영상 형식, 회사 업로드 정책, 스토리지 용량 한도)
+ * 실패 시 { status, error }, 성공 시 { format, recording, quotaWarning }
+ *
+ * quotaWarning: 한도를 넘었지만 정책이 warn 모드라 허용한 경우의 경고 메시지
+ */
+async function prepareUpload(req, { singleUpload }) {
+    const { fileSize, recording_id } = req.body;
+
+    // 크기를 모르면 용량 한도를 확인할 수 없으므로 필수
+    if (!(Number.isInteger(Number(fileSize)) && Number(fileSize) > 0)) {
+        return { status: 400, error: 'fileSize must be a positive integer (bytes)' };
+    }
+
+    const recording = recording_id ? await findUploadRecording(req.tenant, recording_id) : null;
+
+    if (recording_id && !recording) {
+        return { status: 404, error: 'Recording not found' };
+    }
+
+    if (recording && !canTransition(recording.status, RECORDING_STATUSES.COMPLETED)) {
+        return { status: 409, error: `Cannot upload video for a recording in ${recording.status} status` };
+    }
+
+    const format = resolveVideoFormat(req.body);
+
+    if (!format) {
+        return { status: 400, error: `Unsupported video format. Supported formats: ${Object.keys(VIDEO_FORMATS).join(', ')}` };
+    }
+
+    if (recording && recording.format && recording.format !== format.format) {
+        return { status: 400, error: `Format ${format.format} does not match recording format ${recording.format}` };
+    }
+
+    const policy = await getUploadPolicy(req.tenant.companyId);
+    const policyError = checkUploadPolicy(policy, { format, fileSize, singleUpload });
+
+    if (policyError) {
+        return { status: 400, error: policyError };
+    }
+
+    const quota = checkStorageQuota(policy, await getStorageUsage(req.tenant.companyId), fileSize);
+
+    if (quota && quota.reject) {
+        return { status: 403, error: quota.message };
+    }
+
+    if (quota) {
+        logger.warn(`Company ${req.tenant.companyId} upload over quota: ${quota.message}`);
+    }
+
+    return { format, recording, quotaWarning: quota ? quota.message : null };
+}
+
+/**
+ * 업로드된 객체를 head로 검증하고 녹화 레코드에 연결 (상태는 completed로 전이)
+ * 실패 시 { status, error } 반환 (녹화 레코드는 변경하지 않음) - 검증 실패 422, 용량 한도 초과 403, 전이 불가 409
+ *
+ * 업로드를 완료하거나 stored_bytes를 기록하는 모든 경로는 이 함수를 거쳐 사용량에 반영해야 함
+ *
+ * expectedSize: 선언된 파일 크기, expectedContentType: 업로드 시작 시 정한 형식 (알 수 없으면 생략)
+ * expectedSha256: 클라이언트가 선언한 파일 전체 SHA-256
+ *
+ * 스토리지가 파일 전체 해시를 확인해 준 경우(S3 단일 업로드, 로컬)만 checksum_verified_at을 기록하고,
+ * 파트 단위로만 검증된 S3 Multipart 객체는 선언된 해시를 저장해 두고 /verify로 확인함
+ */
+async function finalizeRecording(req, storage, { recordingId, key, expectedSize, expectedContentType, expectedSha256 }) {
+    const head = await storage.head(key);
+
+    if (!head.size) {
+        return { status: 422, error: 'Uploaded object is empty' };
+    }
+
+    if (expectedSize && head.size !== Number(expectedSize)) {
+        return { status: 422, error: `Uploaded object size ${head.size} does not match declared size ${expectedSize}` };
+    }
+
+    const format = formatForContentType(head.contentType);
+
+    if (!format || (expectedContentType && format.contentType !== expectedContentType)) {
+        return { status: 422, error: `Unexpected content type: ${head.contentType}` };
+    }
+
+    const policy = await getUploadPolicy(req.tenant.companyId);
+    const policyError = checkUploadPolicy(policy, { format, fileSize: head.size });
+
+    if (policyError) {
+        return { status: 422, error: policyError };
+    }
+
+    const current = await findUploadRecording(req.tenant, recordingId);
+
+    // 응답을 받지 못한 클라이언트의 재시도 - 이미 같은 객체로 완료됐으면 다시 반영하지 않고 그대로 성공
+    if (current && current.status === RECORDING_STATUSES.COMPLETED && current.storage_key === key &&
+        current.storage_driver === storage.name && Number(current.file_size_bytes) === head.size) {
+        return { recording: current };
+    }
+
+    // 시작 시 선언한 크기와 실제 크기가 다를 수 있으므로 실제 크기로 용량 한도를 다시 확인
+    const delta = recordingUsageDelta(current, head.size);
+    const quota = checkStorageQuota(policy, await getStorageUsage(req.tenant.companyId), Math.max(delta.bytes, 0));
+
+    if (quota && quota.reject) {
+        return { status: 403, error: quota.message };
+    }
+
+    if (expectedSha256 && head.sha256 && head.sha256 !== expectedSha256) {
+        return { status: 422, error: `Uploaded object SHA-256 ${head.sha256} does not match declared checksum ${expectedSha256}` };
+    }
+
+    const sha256 = head.sha256 || expectedSha256;
+
+    const { recording, previous, status, error } = await transitionRecording({
+        id: recordingId,
+        company_id: req.tenant.companyId,
+        worker_id: req.tenant.workerId
+    }, RECORDING_STATUSES.COMPLETED, {
+        fields: {
+            cloud_url: storage.objectUrl(key),
+            cloud_provider: storage.name,
+            storage_driver: storage.name,
+            storage_key: key,
+            file_size_bytes: head.size,
+            stored_bytes: head.size,
+            format: format.format,
+            content_type: format.contentType,
+            ...(sha256 && {
+                checksum_sha256: sha256,
+                checksum_verified_at: head.sha256 ? new Date().toISOString() : null
+            })
+        }
+    });
+
+    if (error) {
+        return { status, error };
+    }
+
+    // 같은 녹화에 다시 업로드한 경우 이전 객체 크기만큼만 반영
+    await adjustStorageUsage(req.tenant.companyId, recordingUsageDelta(previous, head.size));
+
+    await recordAudit(req, {
+        action: AUDIT_ACTIONS.RECORDING_STATUS,
+        resourceType: 'recording',
+        resourceId: recording.id,
+        metadata: { status: RECORDING_STATUSES.COMPLETED, previous_status: previous.status, key }
+    });
+
+    logger.info(`Recording ${recording.id} linked to ${storage.name}:${key} (${head.size} bytes)`);
+
+    return { recording };
+}
+
+/**
+ * 파트 URL을 발급할 수 있는 업로드 세션인지 확인 - 문제가 있으면 { status, error }, 통과 시 null
+ * (세션 기록 이전에 시작된 업로드는 세션이 없을 수 있음)
+ */
+function checkPartSession(session, key) {
+    if (session && session.key !== key) {
+        return { status: 400, error: 'key does not match upload session' };
+    }
+
+    if (session && session.status !== 'in_progress') {
+        return { status: 409, error: `Upload session is already ${session.status}` };
+    }
+
+    return null;
+}
+
+/**
+ * 파일 크기에 맞는 권장 파트 크기/동시 업로드 수
+ * 파트 수가 10,000개를 넘지 않도록 파트 크기를 MB 단위로 올림
+ */
+function recommendPartPlan(fileSize) {
+    const megabyte = 1024 * 1024;
+    const partSize = Math.max(
+        MIN_PART_SIZE,
+        DEFAULT_PART_SIZE,
+        Math.ceil(Math.ceil((fileSize || 0) / MAX_PARTS) / megabyte) * megabyte
+    );
+    const totalParts = fileSize ? Math.ceil(fileSize / partSize) : null;
+
+    return {
+        partSize,
+        totalParts,
+        concurrency: totalParts ? Math.min(DEFAULT_CONCURRENCY, totalParts) : DEFAULT_CONCURRENCY
+    };
+}
+
+/**
+ * 요청한 파트 번호 목록 정리 (partNumbers 배열 또는 startPart~endPart 범위)
+ * 잘못된 요청이면 null
+ */
+function resolvePartNumbers({ partNumbers, startPart, endPart }) {
+    let numbers;
+
+    if (Array.isArray(partNumbers)) {
+        numbers = partNumbers.map(Number);
+    } else if (startPart !== undefined && endPart !== undefined) {
+        const start = Number(startPart);
+        const end = Number(endPart);
+        if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) return null;
+        if (end - start + 1 > MAX_PART_URLS_PER_REQUEST) return null;
+        numbers = Array.from({ length: end - start + 1 }, (_, index) => start + index);
+    } else {
+        return null;
+    }
+
+    numbers = [...new Set(numbers)].sort((a, b) => a - b);
+
+    if (numbers.length === 0 || numbers.length > MAX_PART_URLS_PER_REQUEST) return null;
+    if (numbers.some(number => !Number.isInteger(number) || number < 1 || number > MAX_PARTS)) return null;
+
+    return numbers;
+}
+
+/**
+ * 누락된 파트 번호 계산
+ * 전체 파트 수를 모르면 확인된 마지막 파트 이전의 빈 번호만 반환
+ */
+function findMissingParts(parts, totalParts) {
+    const uploaded = new Set(parts.map(part => part.PartNumber));
+    const lastPart = totalParts || Math.max(0, ...uploaded);
+    const missing = [];
+
+    for (let partNumber = 1; partNumber <= lastPart; partNumber++) {
+        if (!uploaded.has(partNumber)) missing.push(partNumber);
+    }
+
+    return missing;
 }
 
 /**
@@ -31,50 +304,57 @@ function generateFileKey(companyId, barcode, timestamp) {
  */
 router.post('/presigned-url', authenticateWorker, async (req, res) => {
     try {
-        const { fileName, barcode, fileSize } = req.body;
-        const { company_id, worker_id } = req.worker;
+        const { fileName, barcode, recording_id } = req.body;
+        const { companyId, workerId } = req.tenant;
 
         if (!fileName || !barcode) {
             return res.status(400).json({ error: 'fileName and barcode are required' });
         }
 
-        // 파일 크기 체크 (최대 100MB for single upload)
-        const maxSizeMB = 100;
-        if (fileSize && fileSize > maxSizeMB * 1024 * 1024) {
-            return res.status(400).json({ 
-                error: `File too large for single upload. Max size: ${maxSizeMB}MB. Use multipart upload instead.` 
-            });
+        // 녹화/형식/회사 정책 검증 (단일 업로드 크기 한도, 용량 한도 포함)
+        const { status, error, format, quotaWarning } = await prepareUpload(req, { singleUpload: true });
+
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        // 선언한 SHA-256과 다른 내용은 스토리지가 거부함
+        const checksum = readSha256(req.body.sha256);
+
+        if (checksum.error) {
+            return res.status(400).json({ error: checksum.error });
         }
 
         const timestamp = Date.now();
-        const key = generateFileKey(company_id, barcode, timestamp);
+        const key = generateFileKey(companyId, barcode, timestamp, format.extension);
 
         // Presigned URL 생성
-        const command = new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: key,
-            ContentType: 'video/webm',
-            Metadata: {
-                'company-id': company_id,
-                'worker-id': worker_id,
+        const storage = await getCompanyStorage(companyId);
+        const presignedUrl = await storage.presignPut(key, {
+            contentType: format.contentType,
+            metadata: {
+                'company-id': companyId,
+                'worker-id': workerId,
                 'barcode': barcode,
+                'recording-id': recording_id || '',
                 'upload-time': new Date().toISOString()
-            }
-        });
-
-        const presignedUrl = await getSignedUrl(s3Client, command, {
-            expiresIn: parseInt(process.env.PRESIGNED_URL_EXPIRES_SECONDS) || 3600
+            },
+            expiresIn: PRESIGNED_URL_EXPIRES_SECONDS,
+            sha256: checksum.sha256
         });
 
-        const publicUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+        const publicUrl = storage.objectUrl(key);
 
-        logger.info(`Presigned URL generated for ${key}`);
+        logger.info(`Presigned URL generated for ${storage.name}:${key}`);
 
         res.json({
             presignedUrl,
             publicUrl,
             key,
-            expiresIn: process.env.PRESIGNED_URL_EXPIRES_SECONDS || 3600
+            contentType: format.contentType,
+            headers: checksumHeaders(checksum.sha256),
+            expiresIn: PRESIGNED_URL_EXPIRES_SECONDS,
+            quotaWarning
         });
 
     } catch (error) {
@@ -83,44 +363,153 @@ router.post('/presigned-url', authenticateWorker, async (req, res) => {
     }
 });
 
+/**
+ * 단일 파일 업로드 완료 (객체 검증 후 녹화에 연결)
+ * POST /api/upload/complete
+ */
+router.post('/complete', authenticateWorker, requireTenantKey('key'), async (req, res) => {
+    try {
+        const { key, recording_id, fileSize } = req.body;
+
+        if (!key || !recording_id) {
+            return res.status(400).json({ error: 'key and recording_id are required' });
+        }
+
+        const checksum = readSha256(req.body.sha256);
+
+        if (checksum.error) {
+            return res.status(400).json({ error: checksum.error });
+        }
+
+        const target = await findUploadRecording(req.tenant, recording_id);
+
+        if (!target) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const storage = await getCompanyStorage(req.tenant.companyId);
+
+        const { recording, status, error } = await finalizeRecording(req, storage, {
+            recordingId: recording_id,
+            key,
+            expectedSize: fileSize,
+            expectedContentType: target.content_type,
+            expectedSha256: checksum.sha256
+        });
+
+        if (error) {
+            return res.status(status).json({ error, key });
+        }
+
+        res.json({
+            publicUrl: storage.objectUrl(key),
+            key,
+            recording
+        });
+
+    } catch (error) {
+        if (error.name === 'NotFound') {
+            return res.status(404).json({ error: 'Uploaded object not found' });
+        }
+
+        logger.error('Error completing upload:', error);
+        res.status(500).json({ error: 'Failed to complete upload' });
+    }
+});
+
 /**
  * Multipart 업로드 초기화
  * POST /api/upload/multipart/init
  */
 router.post('/multipart/init', authenticateWorker, async (req, res) => {
     try {
-        const { fileName, barcode, fileSize } = req.body;
-        const { company_id, worker_id } = req.worker;
+        const { fileName, barcode, fileSize, partSize, recording_id } = req.body;
+        const { companyId, workerId } = req.tenant;
 
         if (!fileName || !barcode) {
             return res.status(400).json({ error: 'fileName and barcode are required' });
         }
 
+        const { status, error, format, quotaWarning } = await prepareUpload(req, { singleUpload: false });
+
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        // 파일 전체 SHA-256 (완료 시 보내도 됨) - 체크섬 업로드는 모든 파트에 SHA-256이 필요함
+        const checksum = readSha256(req.body.sha256);
+
+        if (checksum.error) {
+            return res.status(400).json({ error: checksum.error });
+        }
+
+        const checksumAlgorithm = checksum.sha256 || req.body.checksumAlgorithm === 'SHA256' ? 'SHA256' : null;
+
+        // 클라이언트가 파트 크기를 정하지 않으면 권장값 기준으로 파트 수 계산
+        const plan = recommendPartPlan(fileSize);
+        const sessionPartSize = partSize === undefined || partSize === null ? plan.partSize : Number(partSize);
+
+        if (!Number.isInteger(sessionPartSize) || sessionPartSize < MIN_PART_SIZE || sessionPartSize > MAX_PART_SIZE) {
+            return res.status(400).json({ error: `partSize must be an integer between ${MIN_PART_SIZE} and ${MAX_PART_SIZE} bytes` });
+        }
+
+        const totalParts = fileSize ? Math.ceil(fileSize / sessionPartSize) : null;
+
+        if (totalParts > MAX_PARTS) {
+            return res.status(400).json({ error: `partSize is too small for fileSize (max ${MAX_PARTS} parts, recommended ${plan.partSize})` });
+        }
+
         const timestamp = Date.now();
-        const key = generateFileKey(company_id, barcode, timestamp);
+        const key = generateFileKey(companyId, barcode, timestamp, format.extension);
 
         // Multipart 업로드 시작
-        const command = new CreateMultipartUploadCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: key,
-            ContentType: 'video/webm',
-            Metadata: {
-                'company-id': company_id,
-                'worker-id': worker_id,
+        const storage = await getCompanyStorage(companyId);
+        const uploadId = await storage.createMultipartUpload(key, {
+            contentType: format.contentType,
+            metadata: {
+                'company-id': companyId,
+                'worker-id': workerId,
                 'barcode': barcode,
                 'file-size': String(fileSize || 0),
+                'recording-id': recording_id || '',
                 'upload-time': new Date().toISOString()
-            }
+            },
+            checksum: Boolean(checksumAlgorithm)
         });
 
-        const response = await s3Client.send(command);
+        // 클라이언트가 중단 후 재개할 수 있도록 세션 저장
+        await uploadSessions.create({
+            company_id: companyId,
+            worker_id: workerId,
+            recording_id: recording_id || null,
+            key,
+            upload_id: uploadId,
+            storage_driver: storage.name,
+            file_name: fileName,
+            file_size: fileSize || null,
+            part_size: sessionPartSize,
+            total_parts: totalParts,
+            content_type: format.contentType,
+            checksum_algorithm: checksumAlgorithm,
+            checksum_sha256: checksum.sha256,
+            parts: [],
+            status: 'in_progress'
+        });
 
-        logger.info(`Multipart upload initiated: ${key}, UploadId: ${response.UploadId}`);
+        logger.info(`Multipart upload initiated: ${storage.name}:${key}, UploadId: ${uploadId}`);
 
         res.json({
-            uploadId: response.UploadId,
+            uploadId,
             key,
-            bucket: process.env.S3_BUCKET_NAME
+            bucket: storage.bucket,
+            storage: storage.name,
+            contentType: format.contentType,
+            checksumAlgorithm,
+            totalParts,
+            recommendedPartSize: plan.partSize,
+            recommendedConcurrency: plan.concurrency,
+            maxPartUrlsPerRequest: MAX_PART_URLS_PER_REQUEST,
+            quotaWarning
         });
 
     } catch (error) {
@@ -133,7 +522,7 @@ router.post('/multipart/init', authenticateWorker, async (req, res) => {
  * Multipart 파트 업로드용 Presigned URL
  * POST /api/upload/multipart/part-url
  */
-router.post('/multipart/part-url', authenticateWorker, async (req, res) => {
+router.post('/multipart/part-url', authenticateWorker, requireTenantKey('key'), async (req, res) => {
     try {
         const { key, uploadId, partNumber } = req.body;
 
@@ -141,21 +530,36 @@ router.post('/multipart/part-url', authenticateWorker, async (req, res) => {
             return res.status(400).json({ error: 'key, uploadId, and partNumber are required' });
         }
 
-        // 파트 업로드 커맨드
-        const command = new UploadPartCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: key,
-            UploadId: uploadId,
-            PartNumber: partNumber
-        });
+        if (!Number.isInteger(Number(partNumber)) || partNumber < 1 || partNumber > MAX_PARTS) {
+            return res.status(400).json({ error: `partNumber must be an integer between 1 and ${MAX_PARTS}` });
+        }
+
+        const checksum = readSha256(req.body.sha256);
+
+        if (checksum.error) {
+            return res.status(400).json({ error: checksum.error });
+        }
 
-        const presignedUrl = await getSignedUrl(s3Client, command, {
-            expiresIn: parseInt(process.env.PRESIGNED_URL_EXPIRES_SECONDS) || 3600
+        const session = await uploadSessions.findOne({ upload_id: uploadId, company_id: req.tenant.companyId });
+        const sessionError = checkPartSession(session, key);
+
+        if (sessionError) {
+            return res.status(sessionError.status).json({ error: sessionError.error });
+        }
+
+        if (session && session.checksum_algorithm && !checksum.sha256) {
+            return res.status(400).json({ error: 'sha256 is required for parts of a checksum upload' });
+        }
+
+        const presignedUrl = await sessionStorage(session).presignPart(key, uploadId, partNumber, {
+            expiresIn: PRESIGNED_URL_EXPIRES_SECONDS,
+            sha256: checksum.sha256
         });
 
         res.json({
             presignedUrl,
-            partNumber
+            partNumber,
+            headers: checksumHeaders(checksum.sha256)
         });
 
     } catch (error) {
@@ -165,44 +569,252 @@ router.post('/multipart/part-url', authenticateWorker, async (req, res) => {
 });
 
 /**
- * Multipart 업로드 완료
- * POST /api/upload/multipart/complete
+ * Multipart 파트 업로드용 Presigned URL 일괄 생성
+ * POST /api/upload/multipart/part-urls
+ *
+ * partNumbers: [1, 2, 5] 또는 startPart/endPart 범위 (요청당 최대 100개)
+ * partChecksums: { "1": "<sha256 hex>", ... } (체크섬 업로드는 모든 파트 필수)
  */
-router.post('/multipart/complete', authenticateWorker, async (req, res) => {
+router.post('/multipart/part-urls', authenticateWorker, requireTenantKey('key'), async (req, res) => {
     try {
-        const { key, uploadId, parts } = req.body;
+        const { key, uploadId } = req.body;
+
+        if (!key || !uploadId) {
+            return res.status(400).json({ error: 'key and uploadId are required' });
+        }
 
-        if (!key || !uploadId || !parts || !Array.isArray(parts)) {
-            return res.status(400).json({ error: 'key, uploadId, and parts array are required' });
+        const partNumbers = resolvePartNumbers(req.body);
+
+        if (!partNumbers) {
+            return res.status(400).json({
+                error: `partNumbers array or startPart/endPart range (1-${MAX_PARTS}, max ${MAX_PART_URLS_PER_REQUEST} parts) is required`
+            });
+        }
+
+        const session = await uploadSessions.findOne({ upload_id: uploadId, company_id: req.tenant.companyId });
+        const sessionError = checkPartSession(session, key);
+
+        if (sessionError) {
+            return res.status(sessionError.status).json({ error: sessionError.error });
         }
 
-        // 파트 정렬 (PartNumber 기준)
-        const sortedParts = parts.sort((a, b) => a.PartNumber - b.PartNumber);
+        const partChecksums = {};
+
+        for (const partNumber of partNumbers) {
+            const checksum = readSha256((req.body.partChecksums || {})[partNumber], `partChecksums.${partNumber}`);
+
+            if (checksum.error) {
+                return res.status(400).json({ error: checksum.error });
+            }
 
-        // Multipart 업로드 완료
-        const command = new CompleteMultipartUploadCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: key,
-            UploadId: uploadId,
-            MultipartUpload: {
-                Parts: sortedParts
+            if (session && session.checksum_algorithm && !checksum.sha256) {
+                return res.status(400).json({ error: `partChecksums.${partNumber} is required for a checksum upload` });
             }
+
+            partChecksums[partNumber] = checksum.sha256;
+        }
+
+        const storage = sessionStorage(session);
+
+        const parts = await Promise.all(partNumbers.map(async partNumber => ({
+            partNumber,
+            presignedUrl: await storage.presignPart(key, uploadId, partNumber, {
+                expiresIn: PRESIGNED_URL_EXPIRES_SECONDS,
+                sha256: partChecksums[partNumber]
+            }),
+            headers: checksumHeaders(partChecksums[partNumber])
+        })));
+
+        res.json({
+            parts,
+            expiresIn: PRESIGNED_URL_EXPIRES_SECONDS
         });
 
-        const response = await s3Client.send(command);
+    } catch (error) {
+        logger.error('Error generating part presigned URLs:', error);
+        res.status(500).json({ error: 'Failed to generate part presigned URLs' });
+    }
+});
+
+/**
+ * Multipart 업로드 상태 조회 (중단된 업로드 재개용)
+ * GET /api/upload/multipart/:uploadId/status
+ *
+ * 스토리지에 확인된 파트와 아직 올라가지 않은 파트 번호를 반환
+ */
+router.get('/multipart/:uploadId/status', authenticateWorker, async (req, res) => {
+    try {
+        const session = await uploadSessions.findOne({ upload_id: req.params.uploadId, company_id: req.tenant.companyId });
+
+        if (!session) {
+            return res.status(404).json({ error: 'Upload session not found' });
+        }
+
+        let parts = session.parts || [];
 
-        const publicUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+        if (session.status === 'in_progress') {
+            try {
+                parts = await sessionStorage(session).listParts(session.key, session.upload_id);
+            } catch (error) {
+                if (error.name !== 'NoSuchUpload') throw error;
 
-        logger.info(`Multipart upload completed: ${key}`);
+                // 스토리지에서 이미 정리된 업로드 - 새로 시작해야 함
+                await uploadSessions.update({ id: session.id }, { status: 'aborted', updated_at: new Date().toISOString() });
+
+                return res.status(410).json({ error: 'Upload no longer exists. Start a new upload.' });
+            }
+
+            await uploadSessions.update({ id: session.id }, { parts, updated_at: new Date().toISOString() });
+        }
 
         res.json({
-            publicUrl,
+            uploadId: session.upload_id,
+            key: session.key,
+            status: session.status,
+            recordingId: session.recording_id,
+            fileSize: session.file_size,
+            partSize: session.part_size,
+            totalParts: session.total_parts,
+            checksumAlgorithm: session.checksum_algorithm || null,
+            uploadedParts: parts,
+            uploadedBytes: parts.reduce((sum, part) => sum + (part.Size || 0), 0),
+            missingParts: session.status === 'in_progress' ? findMissingParts(parts, session.total_parts) : []
+        });
+
+    } catch (error) {
+        logger.error('Error fetching multipart upload status:', error);
+        res.status(500).json({ error: 'Failed to fetch upload status' });
+    }
+});
+
+/**
+ * Multipart 업로드 완료
+ * POST /api/upload/multipart/complete
+ */
+router.post('/multipart/complete', authenticateWorker, requireTenantKey('key'), async (req, res) => {
+    try {
+        const { key, uploadId } = req.body;
+        let { parts } = req.body;
+
+        if (!key || !uploadId) {
+            return res.status(400).json({ error: 'key and uploadId are required' });
+        }
+
+        const session = await uploadSessions.findOne({ upload_id: uploadId, company_id: req.tenant.companyId });
+
+        if (session && session.key !== key) {
+            return res.status(400).json({ error: 'key does not match upload session' });
+        }
+
+        if (session && session.recording_id && req.body.recording_id && session.recording_id !== req.body.recording_id) {
+            return res.status(400).json({ error: 'recording_id does not match upload session' });
+        }
+
+        const recordingId = (session && session.recording_id) || req.body.recording_id;
+
+        // 완료된 객체는 항상 녹화에 연결해 사용량에 반영 (finalizeRecording)
+        if (!recordingId) {
+            return res.status(400).json({ error: 'recording_id is required (in init or complete)' });
+        }
+
+        const recording = await findUploadRecording(req.tenant, recordingId);
+
+        if (!recording) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const checksum = readSha256(req.body.sha256);
+
+        if (checksum.error) {
+            return res.status(400).json({ error: checksum.error });
+        }
+
+        if (session && session.checksum_sha256 && checksum.sha256 && session.checksum_sha256 !== checksum.sha256) {
+            return res.status(400).json({ error: 'sha256 does not match upload session' });
+        }
+
+        const sha256 = (session && session.checksum_sha256) || checksum.sha256;
+
+        // 객체는 완료됐지만 녹화 연결이 실패했거나 응답을 받지 못한 경우 연결만 재시도
+        // (세션이 없는 업로드는 녹화가 이미 이 객체로 완료됐는지로 판단)
+        const alreadyCompleted = session
+            ? session.status === 'completed'
+            : recording.status === RECORDING_STATUSES.COMPLETED && recording.storage_key === key;
+
+        if (session && !alreadyCompleted && session.status !== 'in_progress') {
+            return res.status(409).json({ error: `Upload session is already ${session.status}` });
+        }
+
+        const storage = sessionStorage(session);
+        let response = {};
+
+        if (!alreadyCompleted) {
+            // 재개한 클라이언트가 ETag를 잃어버린 경우 스토리지에 확인된 파트 사용
+            if (!Array.isArray(parts)) {
+                parts = (await storage.listParts(key, uploadId)).map(({ PartNumber, ETag, ChecksumSHA256 }) => ({ PartNumber, ETag, ChecksumSHA256 }));
+
+                const missingParts = findMissingParts(parts, session && session.total_parts);
+
+                if (parts.length === 0 || missingParts.length > 0) {
+                    return res.status(400).json({ error: 'Upload has missing parts', missingParts });
+                }
+            } else if (session && session.checksum_algorithm) {
+                // 체크섬 업로드는 완료 요청에도 파트 체크섬이 필요함 (클라이언트 값이 없으면 스토리지가 검증한 값)
+                const uploaded = new Map((await storage.listParts(key, uploadId)).map(part => [part.PartNumber, part]));
+
+                parts = parts.map(part => ({
+                    ...part,
+                    ChecksumSHA256: part.ChecksumSHA256 || (uploaded.get(Number(part.PartNumber)) || {}).ChecksumSHA256
+                }));
+            }
+
+            // 파트 정렬 (PartNumber 기준)
+            const sortedParts = parts.sort((a, b) => a.PartNumber - b.PartNumber);
+
+            // Multipart 업로드 완료
+            response = await storage.completeMultipartUpload(key, uploadId, sortedParts);
+
+            if (session) {
+                await uploadSessions.update({ id: session.id }, {
+                    status: 'completed',
+                    recording_id: recordingId || null,
+                    parts: sortedParts,
+                    completed_at: new Date().toISOString(),
+                    updated_at: new Date().toISOString()
+                });
+            }
+
+            logger.info(`Multipart upload completed: ${key}`);
+        }
+
+        const result = {
+            publicUrl: storage.objectUrl(key),
+            key,
+            etag: response.etag,
+            location: response.location
+        };
+
+        // 객체 검증 후 녹화 레코드에 연결 (cloud_url, file_size_bytes, status)
+        const { recording: linked, status, error } = await finalizeRecording(req, storage, {
+            recordingId,
             key,
-            etag: response.ETag,
-            location: response.Location
+            expectedSize: session && session.file_size,
+            expectedContentType: session && session.content_type,
+            expectedSha256: sha256
         });
 
+        if (error) {
+            return res.status(status).json({ ...result, error });
+        }
+
+        res.json({ ...result, recording: linked });
+
     } catch (error) {
+        // 파트 누락 또는 ETag/체크섬 불일치
+        if (error.name === 'InvalidPart') {
+            return res.status(400).json({ error: error.message });
+        }
+
         logger.error('Error completing multipart upload:', error);
         res.status(500).json({ error: 'Failed to complete multipart upload' });
     }
@@ -212,7 +824,7 @@ router.post('/multipart/complete', authenticateWorker, async (req, res) => {
  * Multipart 업로드 취소
  * POST /api/upload/multipart/abort
  */
-router.post('/multipart/abort', authenticateWorker, async (req, res) => {
+router.post('/multipart/abort', authenticateWorker, requireTenantKey('key'), async (req, res) => {
     try {
         const { key, uploadId } = req.body;
 
@@ -220,13 +832,14 @@ router.post('/multipart/abort', authenticateWorker, async (req, res) => {
             return res.status(400).json({ error: 'key and uploadId are required' });
         }
 
-        const command = new AbortMultipartUploadCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: key,
-            UploadId: uploadId
-        });
+        const session = await uploadSessions.findOne({ upload_id: uploadId, company_id: req.tenant.companyId });
 
-        await s3Client.send(command);
+        await sessionStorage(session).abortMultipartUpload(key, uploadId);
+
+        await uploadSessions.update({ upload_id: uploadId, company_id: req.tenant.companyId }, {
+            status: 'aborted',
+            updated_at: new Date().toISOString()
+        });
 
         logger.info(`Multipart upload aborted: ${key}, UploadId: ${uploadId}`);
 
@@ -0,0 +1,132 @@
+// uploadPolicy.js - 회사별 업로드 정책 라우터
+const express = require('express');
+const router = express.Router();
+const { uploadPolicies } = require('../repositories');
+const logger = require('../utils/logger');
+const { ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { STORAGE_QUOTA_MODES, DEFAULT_UPLOAD_POLICY, POLICY_FIELDS, getUploadPolicy } = require('../utils/uploadPolicy');
+const { VIDEO_FORMATS } = require('../utils/videoFormat');
+
+// 양의 정수 항목 (null은 기본값으로 되돌림)
+const NUMERIC_FIELDS = ['max_file_size_bytes', 'single_upload_max_bytes', 'max_duration_seconds', 'storage_quota_bytes'];
+
+/**
+ * 업로드 정책 조회 (작업자/스테이션도 녹화 전 한도 확인용으로 사용)
+ * GET /api/upload-policy
+ */
+router.get('/', authenticateToken, tenantContext, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            policy: await getUploadPolicy(req.tenant.companyId),
+            defaults: DEFAULT_UPLOAD_POLICY,
+            available_formats: Object.values(VIDEO_FORMATS)
+        });
+
+    } catch (error) {
+        logger.error('Get upload policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch upload policy'
+        });
+    }
+});
+
+/**
+ * 업로드 정책 수정 (회사 관리자)
+ * PUT /api/upload-policy
+ *
+ * 보낸 항목만 변경, null을 보내면 기본값으로 되돌림
+ */
+router.put('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const updateData = {};
+
+        for (const field of NUMERIC_FIELDS) {
+            const value = req.body[field];
+            if (value === undefined) continue;
+
+            if (value !== null && !(Number.isInteger(value) && value > 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a positive integer or null`
+                });
+            }
+
+            updateData[field] = value;
+        }
+
+        const { allowed_formats } = req.body;
+
+        if (allowed_formats !== undefined && allowed_formats !== null) {
+            const invalid = Array.isArray(allowed_formats)
+                ? allowed_formats.filter(format => !VIDEO_FORMATS[format])
+                : [];
+
+            if (!Array.isArray(allowed_formats) || allowed_formats.length === 0 || invalid.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `allowed_formats must be a non-empty array of: ${Object.keys(VIDEO_FORMATS).join(', ')}`
+                });
+            }
+
+            updateData.allowed_formats = [...new Set(allowed_formats)];
+        } else if (allowed_formats === null) {
+            updateData.allowed_formats = null;
+        }
+
+        const { storage_quota_mode } = req.body;
+
+        if (storage_quota_mode !== undefined) {
+            if (storage_quota_mode !== null && !STORAGE_QUOTA_MODES.includes(storage_quota_mode)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `storage_quota_mode must be one of: ${STORAGE_QUOTA_MODES.join(', ')}`
+                });
+            }
+
+            updateData.storage_quota_mode = storage_quota_mode;
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: `At least one of ${POLICY_FIELDS.join(', ')} is required`
+            });
+        }
+
+        await uploadPolicies.upsert({
+            company_id: req.tenant.companyId,
+            ...updateData,
+            updated_by: req.user.admin_id || null,
+            updated_at: new Date().toISOString()
+        }, ['company_id']);
+
+        const policy = await getUploadPolicy(req.tenant.companyId);
+
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.UPLOAD_POLICY_UPDATE,
+            resourceType: 'upload_policy',
+            resourceId: req.tenant.companyId,
+            metadata: { changes: updateData }
+        });
+
+        logger.info(`Upload policy for company ${req.tenant.companyId} updated by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            policy
+        });
+
+    } catch (error) {
+        logger.error('Update upload policy error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update upload policy'
+        });
+    }
+});
+
+module.exports = router;
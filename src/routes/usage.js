@@ -0,0 +1,110 @@
+// usage.js - 회사별 스토리지 사용량 조회 라우터
+const express = require('express');
+const router = express.Router();
+const { storageUsage } = require('../repositories');
+const logger = require('../utils/logger');
+const { STAFF_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { getUploadPolicy } = require('../utils/uploadPolicy');
+const { getStorageUsage } = require('../utils/storageUsage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 30;
+const MAX_HISTORY_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * 일별 사용량 채우기 (변경이 없던 날은 전날 사용량 유지)
+ */
+function dailySeries({ previous, rows }, from, to) {
+    const byDate = new Map(rows.map(row => [row.usage_date, row]));
+    const series = [];
+
+    let bytesStored = previous ? Number(previous.bytes_stored) : 0;
+    let recordingCount = previous ? previous.recording_count : 0;
+
+    for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+        const date = toDate(time);
+        const row = byDate.get(date);
+
+        if (row) {
+            bytesStored = Number(row.bytes_stored);
+            recordingCount = row.recording_count;
+        }
+
+        series.push({
+            date,
+            bytes_stored: bytesStored,
+            recording_count: recordingCount,
+            bytes_added: row ? Number(row.bytes_added) : 0,
+            bytes_removed: row ? Number(row.bytes_removed) : 0
+        });
+    }
+
+    return series;
+}
+
+/**
+ * 스토리지 사용량 조회 (감독자 이상)
+ * GET /api/usage
+ *
+ * 현재 사용량/용량 한도 + 일별 추이 (from, to: YYYY-MM-DD UTC, 기본 최근 30일)
+ */
+router.get('/', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { companyId } = req.tenant;
+        const to = req.query.to || toDate(Date.now());
+        const from = req.query.from || toDate(Date.parse(to) - (DEFAULT_HISTORY_DAYS - 1) * DAY_MS);
+
+        if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be dates in YYYY-MM-DD format'
+            });
+        }
+
+        const days = (Date.parse(to) - Date.parse(from)) / DAY_MS + 1;
+
+        if (days < 1 || days > MAX_HISTORY_DAYS) {
+            return res.status(400).json({
+                success: false,
+                error: `from must not be after to, and the range must not exceed ${MAX_HISTORY_DAYS} days`
+            });
+        }
+
+        const [usage, policy, history] = await Promise.all([
+            getStorageUsage(companyId),
+            getUploadPolicy(companyId),
+            storageUsage.history(companyId, { from, to })
+        ]);
+
+        const quotaBytes = policy.storage_quota_bytes;
+
+        res.json({
+            success: true,
+            usage,
+            quota: {
+                storage_quota_bytes: quotaBytes,
+                storage_quota_mode: policy.storage_quota_mode,
+                remaining_bytes: quotaBytes ? Math.max(quotaBytes - usage.bytes_stored, 0) : null,
+                used_percent: quotaBytes ? Math.round(usage.bytes_stored / quotaBytes * 10000) / 100 : null,
+                exceeded: quotaBytes ? usage.bytes_stored >= quotaBytes : false
+            },
+            history: dailySeries(history, from, to)
+        });
+
+    } catch (error) {
+        logger.error('Get storage usage error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch storage usage'
+        });
+    }
+});
+
+module.exports = router;
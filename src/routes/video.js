@@ -1,41 +1,37 @@
 // src/routes/video.js - 영상 스트리밍 라우트
 const express = require('express');
 const router = express.Router();
-const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-const supabase = require('../config/database');
+const { recordings: recordingRepository } = require('../repositories');
+const { getRecordStorage, recordingStorageKey } = require('../storage');
 const logger = require('../utils/logger');
-const { authenticateWorker } = require('../middleware/auth');
-
-// S3 클라이언트
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+const { ROLES, STAFF_ROLES, requireRole } = require('../middleware/auth');
+const { API_KEY_PERMISSIONS, authenticateTokenOrApiKey } = require('../middleware/apikey');
+const { tenantContext, isTenantKey } = require('../middleware/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { recordingFormat } = require('../utils/videoFormat');
+const { parseRecordingSearch, nextCursor } = require('../utils/recordingSearch');
+const { parseByteRange } = require('../utils/byteRange');
 
 /**
  * 영상 재생 URL 생성 (Presigned URL)
  * GET /api/video/url/:recordingId
  * 
- * 가장 효율적인 방법 - S3 직접 스트리밍
+ * 가장 효율적인 방법 - 스토리지 직접 스트리밍
  */
-router.get('/url/:recordingId', authenticateWorker, async (req, res) => {
+router.get('/url/:recordingId', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.VIDEO_URL), tenantContext, async (req, res) => {
     try {
         const { recordingId } = req.params;
-        const { company_id } = req.worker;
+        const { companyId } = req.tenant;
 
-        // 1. DB에서 녹화 정보 조회
-        const { data: recording, error } = await supabase
-            .from('recordings')
-            .select('*')
-            .eq('id', recordingId)
-            .eq('company_id', company_id)
-            .single();
+        // 1. DB에서 녹화 정보 조회 (작업자는 자신의 녹화만)
+        const recording = await recordingRepository.findOne({
+            id: recordingId,
+            company_id: companyId,
+            worker_id: req.tenant.role === ROLES.WORKER ? req.tenant.workerId : undefined
+        });
 
-        if (error || !recording) {
+        // 휴지통의 녹화는 복원 전까지 재생 불가
+        if (!recording || recording.status === 'deleted') {
             return res.status(404).json({ error: 'Recording not found' });
         }
 
@@ -43,19 +39,28 @@ router.get('/url/:recordingId', authenticateWorker, async (req, res) => {
             return res.status(404).json({ error: 'Video file not available' });
         }
 
-        // 2. S3 키 추출 (URL에서)
-        const s3Key = recording.cloud_url.split('.amazonaws.com/')[1];
+        // 2. 스토리지 키 확인
+        const storage = getRecordStorage(recording);
+        const storageKey = recordingStorageKey(recording, storage);
+
+        if (!isTenantKey(companyId, storageKey)) {
+            logger.warn(`Recording ${recordingId} points outside company prefix: ${storageKey}`);
+            return res.status(403).json({ error: 'Access denied to this object' });
+        }
 
         // 3. Presigned URL 생성 (1시간 유효)
-        const command = new GetObjectCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: s3Key,
-            ResponseContentDisposition: `inline; filename="${recording.barcode}.webm"`,
-            ResponseContentType: 'video/webm'
+        const format = recordingFormat(recording);
+        const presignedUrl = await storage.presignGet(storageKey, {
+            expiresIn: 3600, // 1시간
+            contentType: format.contentType,
+            fileName: `${recording.barcode}.${format.extension}`
         });
 
-        const presignedUrl = await getSignedUrl(s3Client, command, {
-            expiresIn: 3600 // 1시간
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.VIDEO_URL,
+            resourceType: 'recording',
+            resourceId: recording.id,
+            metadata: { barcode: recording.barcode }
         });
 
         // 4. 메타데이터와 함께 반환
@@ -69,6 +74,8 @@ router.get('/url/:recordingId', authenticateWorker, async (req, res) => {
                 duration: recording.duration_seconds,
                 fileSize: recording.file_size_bytes,
                 resolution: recording.resolution,
+                format: format.format,
+                contentType: format.contentType,
                 recordedAt: recording.start_time
             }
         });
@@ -87,77 +94,86 @@ router.get('/url/:recordingId', authenticateWorker, async (req, res) => {
  * 
  * 서버 부하가 높지만 더 많은 제어 가능
  */
-router.get('/stream/:recordingId', authenticateWorker, async (req, res) => {
+router.get('/stream/:recordingId', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.VIDEO_URL), tenantContext, async (req, res) => {
     try {
         const { recordingId } = req.params;
-        const { company_id } = req.worker;
+        const { companyId } = req.tenant;
         const range = req.headers.range;
 
-        // 1. DB에서 녹화 정보 조회
-        const { data: recording, error } = await supabase
-            .from('recordings')
-            .select('*')
-            .eq('id', recordingId)
-            .eq('company_id', company_id)
-            .single();
+        // 1. DB에서 녹화 정보 조회 (작업자는 자신의 녹화만)
+        const recording = await recordingRepository.findOne({
+            id: recordingId,
+            company_id: companyId,
+            worker_id: req.tenant.role === ROLES.WORKER ? req.tenant.workerId : undefined
+        });
 
-        if (error || !recording) {
+        // 휴지통의 녹화는 복원 전까지 재생 불가
+        if (!recording || recording.status === 'deleted') {
             return res.status(404).json({ error: 'Recording not found' });
         }
 
-        const s3Key = recording.cloud_url.split('.amazonaws.com/')[1];
+        if (!recording.cloud_url) {
+            return res.status(404).json({ error: 'Video file not available' });
+        }
+
+        const storage = getRecordStorage(recording);
+        const storageKey = recordingStorageKey(recording, storage);
 
-        // 2. S3 객체 메타데이터 조회
-        const headCommand = new HeadObjectCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: s3Key
-        });
+        if (!isTenantKey(companyId, storageKey)) {
+            logger.warn(`Recording ${recordingId} points outside company prefix: ${storageKey}`);
+            return res.status(403).json({ error: 'Access denied to this object' });
+        }
 
-        const headData = await s3Client.send(headCommand);
-        const videoSize = headData.ContentLength;
+        // 2. 객체 메타데이터 조회
+        const headData = await storage.head(storageKey);
+        const videoSize = headData.size;
+        const contentType = recordingFormat(recording).contentType;
+
+        // 재생 중 반복되는 Range 요청은 제외하고 시작 요청만 기록
+        if (!range || /^bytes=0-/.test(range)) {
+            await recordAudit(req, {
+                action: AUDIT_ACTIONS.VIDEO_STREAM,
+                resourceType: 'recording',
+                resourceId: recording.id,
+                metadata: { barcode: recording.barcode, range: range || null }
+            });
+        }
 
         // 3. Range 처리
         if (range) {
-            const parts = range.replace(/bytes=/, "").split("-");
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : videoSize - 1;
+            const byteRange = parseByteRange(range, videoSize);
+
+            if (!byteRange) {
+                return res.status(416).set('Content-Range', `bytes */${videoSize}`).end();
+            }
+
+            const { start, end } = byteRange;
             const chunksize = (end - start) + 1;
 
             // 4. 부분 데이터 스트리밍
-            const getObjectCommand = new GetObjectCommand({
-                Bucket: process.env.S3_BUCKET_NAME,
-                Key: s3Key,
-                Range: `bytes=${start}-${end}`
-            });
-
-            const { Body } = await s3Client.send(getObjectCommand);
+            const body = await storage.read(storageKey, { range: { start, end } });
 
             res.writeHead(206, {
                 'Content-Range': `bytes ${start}-${end}/${videoSize}`,
                 'Accept-Ranges': 'bytes',
                 'Content-Length': chunksize,
-                'Content-Type': 'video/webm',
+                'Content-Type': contentType,
                 'Cache-Control': 'no-cache'
             });
 
-            Body.pipe(res);
+            body.pipe(res);
         } else {
             // 5. 전체 파일 스트리밍
-            const getObjectCommand = new GetObjectCommand({
-                Bucket: process.env.S3_BUCKET_NAME,
-                Key: s3Key
-            });
-
-            const { Body } = await s3Client.send(getObjectCommand);
+            const body = await storage.read(storageKey);
 
             res.writeHead(200, {
                 'Content-Length': videoSize,
-                'Content-Type': 'video/webm',
+                'Content-Type': contentType,
                 'Accept-Ranges': 'bytes',
                 'Cache-Control': 'no-cache'
             });
 
-            Body.pipe(res);
+            body.pipe(res);
         }
 
     } catch (error) {
@@ -167,30 +183,30 @@ router.get('/stream/:recordingId', authenticateWorker, async (req, res) => {
 });
 
 /**
- * 영상 목록 with 재생 가능 URL
+ * 영상 목록 with 재생 가능 URL (완료된 녹화만, 감독자 이상 또는 연동 API 키)
  * GET /api/video/list
+ *
+ * 검색 조건/정렬/커서는 /api/recording/list와 같음 (페이지는 cursor 또는 offset)
  */
-router.get('/list', authenticateWorker, async (req, res) => {
+router.get('/list', authenticateTokenOrApiKey(API_KEY_PERMISSIONS.VIDEO_URL), requireRole(...STAFF_ROLES, ROLES.INTEGRATION), tenantContext, async (req, res) => {
     try {
-        const { company_id } = req.worker;
-        const { limit = 20, offset = 0, barcode } = req.query;
+        const { companyId } = req.tenant;
+        const search = parseRecordingSearch(req.query);
 
-        // 1. 녹화 목록 조회
-        let query = supabase
-            .from('recordings')
-            .select('*')
-            .eq('company_id', company_id)
-            .eq('status', 'completed')
-            .order('created_at', { ascending: false })
-            .range(offset, offset + limit - 1);
-
-        if (barcode) {
-            query = query.ilike('barcode', `%${barcode}%`);
+        if (search.error) {
+            return res.status(400).json({ error: search.error });
         }
 
-        const { data: recordings, error } = await query;
+        const { filters, sort, ascending, after, limit } = search;
+        const offset = after ? 0 : Math.max(parseInt(req.query.offset) || 0, 0);
 
-        if (error) throw error;
+        // 1. 녹화 목록 조회
+        const result = await recordingRepository.search(
+            { company_id: companyId },
+            { ...filters, status: 'completed' },
+            { sort, ascending, after, offset, limit, withTotal: !after }
+        );
+        const recordings = result.rows;
 
         // 2. 각 영상에 대한 재생 URL 생성
         const recordingsWithUrls = await Promise.all(
@@ -199,14 +215,14 @@ router.get('/list', authenticateWorker, async (req, res) => {
                     return { ...recording, playUrl: null };
                 }
 
-                const s3Key = recording.cloud_url.split('.amazonaws.com/')[1];
-                
-                const command = new GetObjectCommand({
-                    Bucket: process.env.S3_BUCKET_NAME,
-                    Key: s3Key
-                });
+                const storage = getRecordStorage(recording);
+                const storageKey = recordingStorageKey(recording, storage);
+
+                if (!isTenantKey(companyId, storageKey)) {
+                    return { ...recording, playUrl: null };
+                }
 
-                const playUrl = await getSignedUrl(s3Client, command, {
+                const playUrl = await storage.presignGet(storageKey, {
                     expiresIn: 3600
                 });
 
@@ -217,13 +233,27 @@ router.get('/list', authenticateWorker, async (req, res) => {
             })
         );
 
+        await recordAudit(req, {
+            action: AUDIT_ACTIONS.VIDEO_LIST,
+            resourceType: 'recording',
+            metadata: {
+                barcode: filters.barcode || null,
+                code: filters.code || null,
+                recording_ids: recordings.map(recording => recording.id)
+            }
+        });
+
         res.json({
             success: true,
             recordings: recordingsWithUrls,
             pagination: {
-                limit: parseInt(limit),
-                offset: parseInt(offset),
-                total: recordings.length
+                limit,
+                next_cursor: nextCursor(result, search),
+                has_more: result.hasMore,
+                ...(!after && {
+                    offset,
+                    total: result.total
+                })
             }
         });
 
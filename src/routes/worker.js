@@ -0,0 +1,438 @@
+// worker.js - 작업자 계정 관리 라우터
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { workers, loginAttempts } = require('../repositories');
+const logger = require('../utils/logger');
+const { STAFF_ROLES, ADMIN_ROLES, authenticateToken, requireRole } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { revokeAllSessions } = require('../utils/session');
+const { unlockAccount } = require('../utils/lockout');
+const { hashToken, generateCode } = require('../utils/secrets');
+const { pick } = require('../utils/serialize');
+
+const BCRYPT_ROUNDS = 10;
+
+// 응답에 포함할 필드 (비밀번호/PIN/배지 해시 제외)
+const WORKER_FIELDS = ['id', 'company_id', 'username', 'worker_name', 'worker_code', 'department', 'is_active', 'must_change_password', 'badge_issued_at', 'pin_set_at', 'last_login_at', 'created_at', 'updated_at'];
+
+const serializeWorker = worker => pick(worker, WORKER_FIELDS);
+
+/**
+ * 초기/임시 비밀번호 생성
+ */
+async function generateTemporaryPassword() {
+    const password = generateCode(10);
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    return { password, passwordHash };
+}
+
+/**
+ * 작업자 목록 조회
+ * GET /api/workers
+ */
+router.get('/', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { is_active, search } = req.query;
+
+        const data = await workers.list({
+            company_id: req.tenant.companyId,
+            is_active: is_active === undefined ? undefined : is_active === 'true'
+        }, { search });
+
+        res.json({
+            success: true,
+            workers: data.map(serializeWorker)
+        });
+
+    } catch (error) {
+        logger.error('List workers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch workers'
+        });
+    }
+});
+
+/**
+ * 작업자 상세 조회
+ * GET /api/workers/:id
+ */
+router.get('/:id', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const data = await workers.findOne({ id: req.params.id, company_id: req.tenant.companyId });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data)
+        });
+
+    } catch (error) {
+        logger.error('Get worker error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch worker'
+        });
+    }
+});
+
+/**
+ * 작업자 생성 (초기 비밀번호 자동 생성)
+ * POST /api/workers
+ *
+ * 초기 비밀번호는 응답으로 한 번만 반환됨
+ */
+router.post('/', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { username, worker_name, worker_code, department } = req.body;
+
+        if (!username || !worker_name) {
+            return res.status(400).json({
+                success: false,
+                error: 'Username and worker name are required'
+            });
+        }
+
+        const { password, passwordHash } = await generateTemporaryPassword();
+
+        let data;
+        try {
+            data = await workers.create({
+                company_id: req.tenant.companyId,
+                username,
+                password_hash: passwordHash,
+                worker_name,
+                worker_code,
+                department,
+                is_active: true,
+                must_change_password: true
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Username or worker code already exists'
+                });
+            }
+            throw error;
+        }
+
+        logger.info(`Worker ${username} created by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            worker: serializeWorker(data),
+            initial_password: password
+        });
+
+    } catch (error) {
+        logger.error('Create worker error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create worker'
+        });
+    }
+});
+
+/**
+ * 작업자 수정 / 활성화 토글
+ * PATCH /api/workers/:id
+ *
+ * 비활성화 시 모든 세션 폐기
+ */
+router.patch('/:id', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { worker_name, worker_code, department, is_active } = req.body;
+
+        if (is_active !== undefined && typeof is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'is_active must be a boolean'
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+
+        if (worker_name !== undefined) updateData.worker_name = worker_name;
+        if (worker_code !== undefined) updateData.worker_code = worker_code;
+        if (department !== undefined) updateData.department = department;
+        if (is_active !== undefined) updateData.is_active = is_active;
+
+        let data;
+        try {
+            [data] = await workers.update({ id, company_id: req.tenant.companyId }, updateData);
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Worker code already exists'
+                });
+            }
+            throw error;
+        }
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        if (updateData.is_active === false) {
+            await revokeAllSessions('worker', id, 'deactivated');
+            logger.info(`Worker ${data.username} deactivated by ${req.user.username}`);
+        }
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data)
+        });
+
+    } catch (error) {
+        logger.error('Update worker error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update worker'
+        });
+    }
+});
+
+/**
+ * 비밀번호 강제 초기화 (임시 비밀번호 발급 + 세션 폐기)
+ * POST /api/workers/:id/reset-password
+ */
+router.post('/:id/reset-password', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { password, passwordHash } = await generateTemporaryPassword();
+
+        const [data] = await workers.update({ id, company_id: req.tenant.companyId }, {
+            password_hash: passwordHash,
+            must_change_password: true,
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        await revokeAllSessions('worker', id, 'password_reset');
+
+        logger.info(`Password reset for worker ${data.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data),
+            temporary_password: password
+        });
+
+    } catch (error) {
+        logger.error('Reset worker password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reset password'
+        });
+    }
+});
+
+/**
+ * 배지 코드 발급/교체 (이전 배지는 즉시 무효)
+ * POST /api/workers/:id/badge
+ *
+ * 배지 코드는 응답으로 한 번만 반환됨 (바코드/QR로 인쇄)
+ */
+router.post('/:id/badge', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const badgeCode = generateCode(12);
+
+        const [data] = await workers.update({ id: req.params.id, company_id: req.tenant.companyId }, {
+            badge_code_hash: hashToken(badgeCode),
+            badge_issued_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        logger.info(`Badge issued for worker ${data.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data),
+            badge_code: badgeCode
+        });
+
+    } catch (error) {
+        logger.error('Issue badge error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to issue badge'
+        });
+    }
+});
+
+/**
+ * 배지 폐기
+ * DELETE /api/workers/:id/badge
+ */
+router.delete('/:id/badge', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const [data] = await workers.update({ id: req.params.id, company_id: req.tenant.companyId }, {
+            badge_code_hash: null,
+            badge_issued_at: null,
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        logger.info(`Badge revoked for worker ${data.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data)
+        });
+
+    } catch (error) {
+        logger.error('Revoke badge error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke badge'
+        });
+    }
+});
+
+/**
+ * 배지 로그인용 PIN 설정
+ * PUT /api/workers/:id/pin
+ */
+router.put('/:id/pin', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { pin } = req.body;
+
+        if (!/^\d{4,8}$/.test(String(pin || ''))) {
+            return res.status(400).json({
+                success: false,
+                error: 'PIN must be 4 to 8 digits'
+            });
+        }
+
+        const [data] = await workers.update({ id: req.params.id, company_id: req.tenant.companyId }, {
+            pin_hash: await bcrypt.hash(String(pin), BCRYPT_ROUNDS),
+            pin_set_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        });
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        logger.info(`PIN set for worker ${data.username} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            worker: serializeWorker(data)
+        });
+
+    } catch (error) {
+        logger.error('Set PIN error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set PIN'
+        });
+    }
+});
+
+/**
+ * 로그인 잠금 해제
+ * POST /api/workers/:id/unlock
+ */
+router.post('/:id/unlock', authenticateToken, requireRole(...ADMIN_ROLES), tenantContext, async (req, res) => {
+    try {
+        const worker = await workers.findOne({ id: req.params.id, company_id: req.tenant.companyId });
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        await unlockAccount('worker', worker.username);
+
+        logger.info(`Worker ${worker.username} unlocked by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Account unlocked'
+        });
+
+    } catch (error) {
+        logger.error('Unlock worker error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to unlock account'
+        });
+    }
+});
+
+/**
+ * 로그인 시도 기록 조회
+ * GET /api/workers/:id/login-attempts
+ */
+router.get('/:id/login-attempts', authenticateToken, requireRole(...STAFF_ROLES), tenantContext, async (req, res) => {
+    try {
+        const { limit = 50, failed_only } = req.query;
+
+        const worker = await workers.findOne({ id: req.params.id, company_id: req.tenant.companyId });
+
+        if (!worker) {
+            return res.status(404).json({
+                success: false,
+                error: 'Worker not found'
+            });
+        }
+
+        const data = await loginAttempts.list({
+            subject_type: 'worker',
+            username: worker.username,
+            success: failed_only === 'true' ? false : undefined
+        }, { limit: Math.min(parseInt(limit) || 50, 500) });
+
+        res.json({
+            success: true,
+            attempts: data.map(attempt => pick(attempt, ['success', 'reason', 'ip_address', 'user_agent', 'created_at']))
+        });
+
+    } catch (error) {
+        logger.error('Get login attempts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch login attempts'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// cloudinary.js - Cloudinary 설정 / 녹화 에셋 (업로드 라우터와 휴지통·보존 기간 작업 공용)
+const cloudinary = require('cloudinary').v2;
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+/**
+ * 회사별 업로드 폴더
+ */
+function companyFolder(companyId) {
+    return `zeropacking/${companyId}/recordings`;
+}
+
+/**
+ * Cloudinary에 올라간 녹화인지 (스토리지 드라이버로 올린 녹화는 storage_driver가 있음)
+ */
+function isCloudinaryRecording(recording) {
+    return recording.cloud_provider === 'cloudinary' && !recording.storage_driver;
+}
+
+/**
+ * 전달 URL에서 public_id 추출 (.../video/upload/v123/{public_id}.mp4)
+ */
+function publicIdFromUrl(url) {
+    const match = url && url.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * 영상 에셋 삭제 (이미 없으면 성공으로 취급)
+ */
+async function destroyVideo(publicId) {
+    const { result } = await cloudinary.uploader.destroy(publicId, { resource_type: 'video', invalidate: true });
+
+    if (result !== 'ok' && result !== 'not found') {
+        throw new Error(`Cloudinary destroy failed for ${publicId}: ${result}`);
+    }
+}
+
+module.exports = {
+    cloudinary,
+    companyFolder,
+    isCloudinaryRecording,
+    publicIdFromUrl,
+    destroyVideo
+};
@@ -0,0 +1,145 @@
+// index.js - 스토리지 드라이버 선택 (STORAGE_DRIVER 설정, 회사별 companies.storage_driver로 변경 가능)
+//
+// s3 (기본): AWS S3
+// minio: S3 호환 스토리지 (S3_COMPATIBLE_ENDPOINT)
+// local: 서버 로컬 디스크 (LOCAL_STORAGE_DIR)
+const { companies } = require('../repositories');
+const { isTenantKey } = require('../middleware/tenant');
+const createS3Storage = require('./s3');
+const createLocalStorage = require('./local');
+const cloudinary = require('./cloudinary');
+
+const STORAGE_DRIVERS = ['s3', 'minio', 'local'];
+const DEFAULT_STORAGE_DRIVER = process.env.STORAGE_DRIVER || 's3';
+
+// 드라이버가 기록되지 않은 기존 녹화/업로드 세션은 모두 AWS S3에 있음
+const LEGACY_STORAGE_DRIVER = 's3';
+
+// 회사별 드라이버 설정 캐시
+const COMPANY_CACHE_TTL_MS = 60 * 1000;
+
+const drivers = new Map();
+const companyDrivers = new Map();
+
+function createStorage(name) {
+    switch (name) {
+        case 's3':
+            return createS3Storage({
+                name,
+                bucket: process.env.S3_BUCKET_NAME,
+                region: process.env.AWS_REGION,
+                storageClasses: true,
+                credentials: {
+                    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+                }
+            });
+        case 'minio':
+            return createS3Storage({
+                name,
+                bucket: process.env.S3_COMPATIBLE_BUCKET,
+                region: process.env.S3_COMPATIBLE_REGION || 'us-east-1',
+                endpoint: process.env.S3_COMPATIBLE_ENDPOINT,
+                publicBaseUrl: process.env.S3_COMPATIBLE_PUBLIC_URL,
+                credentials: {
+                    accessKeyId: process.env.S3_COMPATIBLE_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_COMPATIBLE_SECRET_ACCESS_KEY
+                }
+            });
+        case 'local':
+            return createLocalStorage({
+                name,
+                root: process.env.LOCAL_STORAGE_DIR || './storage',
+                publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`,
+                secret: process.env.LOCAL_STORAGE_SECRET || process.env.JWT_SECRET
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${name}`);
+    }
+}
+
+/**
+ * 이름으로 드라이버 조회 (처음 사용할 때 생성)
+ */
+function getStorage(name = DEFAULT_STORAGE_DRIVER) {
+    if (!drivers.has(name)) {
+        drivers.set(name, createStorage(name));
+    }
+    return drivers.get(name);
+}
+
+/**
+ * 회사에 설정된 드라이버 (미설정 시 STORAGE_DRIVER)
+ */
+async function getCompanyStorage(companyId) {
+    const cached = companyDrivers.get(companyId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return getStorage(cached.name);
+    }
+
+    const company = await companies.findOne({ id: companyId });
+    const name = (company && company.storage_driver) || DEFAULT_STORAGE_DRIVER;
+
+    companyDrivers.set(companyId, { name, expiresAt: Date.now() + COMPANY_CACHE_TTL_MS });
+
+    return getStorage(name);
+}
+
+/**
+ * 녹화/업로드 세션이 저장된 드라이버
+ */
+function getRecordStorage(record) {
+    return getStorage(record.storage_driver || LEGACY_STORAGE_DRIVER);
+}
+
+/**
+ * 녹화 객체 키 (storage_key가 없는 기존 녹화는 cloud_url에서 추출)
+ */
+function recordingStorageKey(recording, storage = getRecordStorage(recording)) {
+    return recording.storage_key || storage.keyFromUrl(recording.cloud_url);
+}
+
+/**
+ * 녹화 영상 삭제 (스토리지 객체 또는 Cloudinary 에셋)
+ * 연결된 영상이 없으면 null, 삭제했으면 { provider, key }, 실패하면 에러
+ *
+ * 회사 범위 밖의 객체(클라이언트가 보낸 다른 URL 등)는 지우지 않고 { provider, key, skipped: true }
+ */
+async function deleteRecordingObject(recording) {
+    if (!recording.cloud_url) return null;
+
+    if (cloudinary.isCloudinaryRecording(recording)) {
+        const publicId = cloudinary.publicIdFromUrl(recording.cloud_url);
+
+        if (!publicId || !publicId.startsWith(`${cloudinary.companyFolder(recording.company_id)}/`)) {
+            return { provider: 'cloudinary', key: publicId, skipped: true };
+        }
+
+        await cloudinary.destroyVideo(publicId);
+        return { provider: 'cloudinary', key: publicId };
+    }
+
+    const storage = getRecordStorage(recording);
+    const key = recordingStorageKey(recording, storage);
+
+    if (!isTenantKey(recording.company_id, key)) {
+        return { provider: storage.name, key, skipped: true };
+    }
+
+    const { errors } = await storage.deleteObjects([key]);
+    if (errors.length > 0) throw new Error(errors[0].message);
+
+    return { provider: storage.name, key };
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    DEFAULT_STORAGE_DRIVER,
+    LEGACY_STORAGE_DRIVER,
+    getStorage,
+    getCompanyStorage,
+    getRecordStorage,
+    recordingStorageKey,
+    deleteRecordingObject
+};
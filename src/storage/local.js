@@ -0,0 +1,361 @@
+// local.js - 로컬 파일시스템 스토리지 드라이버 (온프레미스 설치용)
+//
+// S3 presigned URL 대신 서버의 /storage/local 엔드포인트로 향하는 서명 URL을 발급함
+// 디렉터리 구조:
+//   {root}/objects/{key}                 객체
+//   {root}/meta/{key}.json               Content-Type, 메타데이터, SHA-256
+//   {root}/multipart/{uploadId}/         미완료 Multipart 업로드 (upload.json, {partNumber}.part, {partNumber}.etag, {partNumber}.sha256)
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { sha256ToBase64 } = require('../utils/checksum');
+
+function namedError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+const notFound = () => namedError('NotFound', 'Object not found');
+const noSuchUpload = () => namedError('NoSuchUpload', 'Multipart upload not found');
+const badDigest = () => namedError('BadDigest', 'SHA-256 checksum does not match uploaded content');
+
+const unquote = etag => String(etag || '').replace(/"/g, '');
+
+/**
+ * 로컬 스토리지 드라이버 생성
+ *
+ * root: 저장 디렉터리, publicBaseUrl: 서명 URL에 사용할 서버 주소, secret: 서명 키
+ */
+function createLocalStorage({ name, root, publicBaseUrl, secret }) {
+    const rootDir = path.resolve(root);
+    const objectsDir = path.join(rootDir, 'objects');
+    const metaDir = path.join(rootDir, 'meta');
+    const multipartDir = path.join(rootDir, 'multipart');
+    const routeUrl = `${publicBaseUrl.replace(/\/+$/, '')}/storage/local`;
+
+    // 키가 저장 디렉터리 밖을 가리키지 않도록 확인
+    function resolveIn(dir, relative) {
+        const fullPath = path.resolve(dir, relative);
+        if (!fullPath.startsWith(dir + path.sep)) {
+            throw new Error(`Invalid storage key: ${relative}`);
+        }
+        return fullPath;
+    }
+
+    const objectPath = key => resolveIn(objectsDir, key);
+    const metaPath = key => resolveIn(metaDir, `${key}.json`);
+
+    function uploadDir(uploadId) {
+        if (!/^[\w-]+$/.test(String(uploadId))) throw noSuchUpload();
+        return path.join(multipartDir, uploadId);
+    }
+
+    function sign(payload, expiresIn) {
+        const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + expiresIn * 1000 })).toString('base64url');
+        const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    /**
+     * 스트림을 파일로 저장 (임시 파일에 쓴 뒤 rename) - { size, etag, sha256 }
+     * expectedSha256이 있으면 S3처럼 내용이 다를 때 저장하지 않고 BadDigest
+     */
+    async function writeStream(target, stream, expectedSha256) {
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+
+        const temporary = `${target}.tmp-${crypto.randomUUID()}`;
+        const md5 = crypto.createHash('md5');
+        const sha256 = crypto.createHash('sha256');
+        let size = 0;
+        let digest;
+
+        try {
+            await pipeline(stream, async function* (source) {
+                for await (const chunk of source) {
+                    md5.update(chunk);
+                    sha256.update(chunk);
+                    size += chunk.length;
+                    yield chunk;
+                }
+            }, fs.createWriteStream(temporary));
+
+            digest = sha256.digest('hex');
+            if (expectedSha256 && digest !== expectedSha256) throw badDigest();
+
+            await fsp.rename(temporary, target);
+        } catch (error) {
+            await fsp.rm(temporary, { force: true });
+            throw error;
+        }
+
+        return { size, etag: `"${md5.digest('hex')}"`, sha256: digest };
+    }
+
+    async function writeMeta(key, meta) {
+        await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+        await fsp.writeFile(metaPath(key), JSON.stringify(meta));
+    }
+
+    async function readUpload(key, uploadId) {
+        try {
+            const upload = JSON.parse(await fsp.readFile(path.join(uploadDir(uploadId), 'upload.json'), 'utf8'));
+            if (key && upload.key !== key) throw noSuchUpload();
+            return upload;
+        } catch (error) {
+            if (error.code === 'ENOENT') throw noSuchUpload();
+            throw error;
+        }
+    }
+
+    async function walk(dir, prefix, objects) {
+        let entries;
+
+        try {
+            entries = await fsp.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return objects;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                await walk(fullPath, prefix, objects);
+            } else if (!entry.name.includes('.tmp-')) {
+                const key = path.relative(objectsDir, fullPath).split(path.sep).join('/');
+                if (!key.startsWith(prefix)) continue;
+
+                const stats = await fsp.stat(fullPath);
+                objects.push({ key, size: stats.size, lastModified: stats.mtime });
+            }
+        }
+
+        return objects;
+    }
+
+    return {
+        name,
+        bucket: null,
+        supportsStorageClasses: false,
+
+        objectUrl(key) {
+            return `${routeUrl}/objects/${key}`;
+        },
+
+        keyFromUrl(url) {
+            const prefix = `${routeUrl}/objects/`;
+            return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+        },
+
+        async presignPut(key, { contentType, metadata, expiresIn, sha256 }) {
+            objectPath(key);
+            return `${routeUrl}/upload?token=${sign({ op: 'put', key, contentType, metadata, sha256 }, expiresIn)}`;
+        },
+
+        // 로컬은 파트마다 항상 SHA-256을 계산하므로 checksum 옵션이 따로 필요 없음
+        async createMultipartUpload(key, { contentType, metadata }) {
+            objectPath(key);
+
+            const uploadId = crypto.randomUUID();
+            const dir = uploadDir(uploadId);
+
+            await fsp.mkdir(dir, { recursive: true });
+            await fsp.writeFile(path.join(dir, 'upload.json'), JSON.stringify({
+                key,
+                contentType,
+                metadata,
+                initiated: new Date().toISOString()
+            }));
+
+            return uploadId;
+        },
+
+        async presignPart(key, uploadId, partNumber, { expiresIn, sha256 }) {
+            return `${routeUrl}/part?token=${sign({ op: 'part', key, uploadId, partNumber, sha256 }, expiresIn)}`;
+        },
+
+        async listParts(key, uploadId) {
+            await readUpload(key, uploadId);
+
+            const dir = uploadDir(uploadId);
+            const parts = [];
+
+            for (const file of await fsp.readdir(dir)) {
+                const match = /^(\d+)\.part$/.exec(file);
+                if (!match) continue;
+
+                const stats = await fsp.stat(path.join(dir, file));
+                const etag = await fsp.readFile(path.join(dir, `${match[1]}.etag`), 'utf8').catch(() => null);
+                if (!etag) continue;
+
+                const sha256 = await fsp.readFile(path.join(dir, `${match[1]}.sha256`), 'utf8').catch(() => null);
+
+                parts.push({
+                    PartNumber: Number(match[1]),
+                    ETag: etag,
+                    Size: stats.size,
+                    ChecksumSHA256: sha256 ? sha256ToBase64(sha256) : undefined
+                });
+            }
+
+            return parts.sort((a, b) => a.PartNumber - b.PartNumber);
+        },
+
+        async completeMultipartUpload(key, uploadId, parts) {
+            const upload = await readUpload(key, uploadId);
+            const uploaded = new Map((await this.listParts(key, uploadId)).map(part => [part.PartNumber, part]));
+            const dir = uploadDir(uploadId);
+
+            for (const part of parts) {
+                const stored = uploaded.get(Number(part.PartNumber));
+                if (!stored || unquote(stored.ETag) !== unquote(part.ETag)) {
+                    throw namedError('InvalidPart', `Part ${part.PartNumber} is missing or its ETag does not match`);
+                }
+
+                if (part.ChecksumSHA256 && part.ChecksumSHA256 !== stored.ChecksumSHA256) {
+                    throw namedError('InvalidPart', `Part ${part.PartNumber} checksum does not match`);
+                }
+            }
+
+            const partFiles = parts.map(part => path.join(dir, `${Number(part.PartNumber)}.part`));
+
+            const { sha256 } = await writeStream(objectPath(key), (async function* () {
+                for (const file of partFiles) {
+                    yield* fs.createReadStream(file);
+                }
+            })());
+
+            await writeMeta(key, { contentType: upload.contentType, metadata: upload.metadata, sha256 });
+            await fsp.rm(dir, { recursive: true, force: true });
+
+            const etag = crypto.createHash('md5').update(parts.map(part => unquote(part.ETag)).join('')).digest('hex');
+
+            return { etag: `"${etag}-${parts.length}"`, location: this.objectUrl(key) };
+        },
+
+        async abortMultipartUpload(key, uploadId) {
+            await readUpload(key, uploadId);
+            await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+        },
+
+        async listMultipartUploads(prefix) {
+            let uploadIds;
+
+            try {
+                uploadIds = await fsp.readdir(multipartDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const uploads = [];
+
+            for (const uploadId of uploadIds) {
+                const upload = await readUpload(null, uploadId).catch(() => null);
+                if (!upload || !upload.key.startsWith(prefix)) continue;
+
+                uploads.push({ key: upload.key, uploadId, initiated: new Date(upload.initiated) });
+            }
+
+            return uploads;
+        },
+
+        async head(key) {
+            let stats;
+
+            try {
+                stats = await fsp.stat(objectPath(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') throw notFound();
+                throw error;
+            }
+
+            const meta = JSON.parse(await fsp.readFile(metaPath(key), 'utf8').catch(() => '{}'));
+
+            return {
+                size: stats.size,
+                contentType: meta.contentType,
+                lastModified: stats.mtime,
+                sha256: meta.sha256 || null
+            };
+        },
+
+        async presignGet(key, { expiresIn, contentType, fileName }) {
+            objectPath(key);
+            return `${routeUrl}/object?token=${sign({ op: 'get', key, contentType, fileName }, expiresIn)}`;
+        },
+
+        async read(key, { range } = {}) {
+            await this.head(key);
+            return fs.createReadStream(objectPath(key), range ? { start: range.start, end: range.end } : {});
+        },
+
+        listObjects(prefix) {
+            return walk(objectsDir, prefix, []);
+        },
+
+        async deleteObjects(keys) {
+            const result = { deleted: 0, errors: [] };
+
+            for (const key of keys) {
+                try {
+                    await fsp.rm(objectPath(key), { force: true });
+                    await fsp.rm(metaPath(key), { force: true });
+                    result.deleted++;
+                } catch (error) {
+                    result.errors.push({ key, message: error.message });
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * 서명 URL로 받은 객체 저장 (PUT /storage/local/upload)
+         */
+        async writeObject(key, stream, { contentType, metadata, sha256 }) {
+            const result = await writeStream(objectPath(key), stream, sha256);
+
+            await writeMeta(key, { contentType, metadata, sha256: result.sha256 });
+
+            return result;
+        },
+
+        /**
+         * 서명 URL로 받은 파트 저장 (PUT /storage/local/part)
+         */
+        async writePart(key, uploadId, partNumber, stream, { sha256 } = {}) {
+            await readUpload(key, uploadId);
+
+            const dir = uploadDir(uploadId);
+            const result = await writeStream(path.join(dir, `${partNumber}.part`), stream, sha256);
+
+            await fsp.writeFile(path.join(dir, `${partNumber}.sha256`), result.sha256);
+            await fsp.writeFile(path.join(dir, `${partNumber}.etag`), result.etag);
+
+            return result;
+        },
+
+        /**
+         * 서명 URL 토큰 검증 - 유효하면 payload, 아니면 null
+         */
+        verifyToken(token) {
+            const [body, signature] = String(token || '').split('.');
+            if (!body || !signature) return null;
+
+            const expected = crypto.createHmac('sha256', secret).update(body).digest();
+            const actual = Buffer.from(signature, 'base64url');
+
+            if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+            const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+            return payload.exp > Date.now() ? payload : null;
+        }
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,293 @@
+// s3.js - S3 스토리지 드라이버 (AWS S3, MinIO 등 S3 호환 스토리지)
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListPartsCommand,
+    ListMultipartUploadsCommand,
+    ListObjectsV2Command,
+    DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { sha256ToBase64, sha256FromBase64 } = require('../utils/checksum');
+
+const DELETE_BATCH_SIZE = 1000;
+
+// 체크섬 헤더는 쿼리로 옮기지 않고 서명에 포함 - 클라이언트가 같은 값을 헤더로 보내야 S3가 받아줌
+const CHECKSUM_HEADERS = ['x-amz-checksum-sha256', 'x-amz-sdk-checksum-algorithm'];
+
+function checksumInput(sha256) {
+    return sha256 ? { ChecksumAlgorithm: 'SHA256', ChecksumSHA256: sha256ToBase64(sha256) } : {};
+}
+
+function presignOptions(expiresIn, sha256) {
+    return sha256 ? { expiresIn, unhoistableHeaders: new Set(CHECKSUM_HEADERS) } : { expiresIn };
+}
+
+/**
+ * S3 스토리지 드라이버 생성
+ *
+ * endpoint: S3 호환 스토리지 주소 (생략 시 AWS S3)
+ * publicBaseUrl: 객체 URL 접두사 (생략 시 AWS 가상 호스트 형식 또는 endpoint/bucket)
+ * storageClasses: 저장 등급 전환 지원 여부 (AWS S3만 - MinIO 등은 등급별 비용 차이가 없음)
+ */
+function createS3Storage({ name, bucket, region, endpoint, credentials, publicBaseUrl, storageClasses = false }) {
+    const client = new S3Client({
+        region,
+        credentials,
+        // 요청한 체크섬만 서명 URL에 포함 (기본값은 빈 본문의 CRC32를 넣어 presigned PUT이 실패함)
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        ...(endpoint && { endpoint, forcePathStyle: true })
+    });
+
+    const baseUrl = (publicBaseUrl
+        || (endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/+$/, '');
+
+    return {
+        name,
+        bucket,
+        supportsStorageClasses: storageClasses,
+
+        objectUrl(key) {
+            return `${baseUrl}/${key}`;
+        },
+
+        /**
+         * 객체 URL에서 키 추출 (이 드라이버의 URL이 아니면 null)
+         * AWS는 리전 표기가 다른 기존 URL도 허용
+         */
+        keyFromUrl(url) {
+            if (!url) return null;
+            if (url.startsWith(`${baseUrl}/`)) return url.slice(baseUrl.length + 1);
+            if (!endpoint && url.includes('.amazonaws.com/')) return url.split('.amazonaws.com/')[1];
+            return null;
+        },
+
+        /**
+         * sha256 (hex)을 주면 S3가 업로드 본문을 검증함 (불일치 시 BadDigest)
+         */
+        presignPut(key, { contentType, metadata, expiresIn, sha256 }) {
+            const command = new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                Metadata: metadata,
+                ...checksumInput(sha256)
+            });
+
+            return getSignedUrl(client, command, presignOptions(expiresIn, sha256));
+        },
+
+        /**
+         * checksum: true면 모든 파트에 SHA-256 체크섬이 필요한 업로드로 생성
+         */
+        async createMultipartUpload(key, { contentType, metadata, checksum }) {
+            const response = await client.send(new CreateMultipartUploadCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                Metadata: metadata,
+                ...(checksum && { ChecksumAlgorithm: 'SHA256' })
+            }));
+
+            return response.UploadId;
+        },
+
+        presignPart(key, uploadId, partNumber, { expiresIn, sha256 }) {
+            const command = new UploadPartCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumber: partNumber,
+                ...checksumInput(sha256)
+            });
+
+            return getSignedUrl(client, command, presignOptions(expiresIn, sha256));
+        },
+
+        /**
+         * 업로드된 파트 목록 [{ PartNumber, ETag, Size, ChecksumSHA256 }] (페이지 순회)
+         * 업로드가 없으면 name이 'NoSuchUpload'인 에러
+         */
+        async listParts(key, uploadId) {
+            const parts = [];
+            let marker;
+
+            do {
+                const response = await client.send(new ListPartsCommand({
+                    Bucket: bucket,
+                    Key: key,
+                    UploadId: uploadId,
+                    PartNumberMarker: marker
+                }));
+
+                for (const part of response.Parts || []) {
+                    parts.push({ PartNumber: part.PartNumber, ETag: part.ETag, Size: part.Size, ChecksumSHA256: part.ChecksumSHA256 });
+                }
+
+                marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+            } while (marker);
+
+            return parts;
+        },
+
+        async completeMultipartUpload(key, uploadId, parts) {
+            const response = await client.send(new CompleteMultipartUploadCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                MultipartUpload: { Parts: parts }
+            }));
+
+            return { etag: response.ETag, location: response.Location };
+        },
+
+        async abortMultipartUpload(key, uploadId) {
+            await client.send(new AbortMultipartUploadCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId
+            }));
+        },
+
+        /**
+         * 미완료 Multipart 업로드 목록 [{ key, uploadId, initiated }]
+         */
+        async listMultipartUploads(prefix) {
+            const uploads = [];
+            let keyMarker;
+            let uploadIdMarker;
+
+            do {
+                const response = await client.send(new ListMultipartUploadsCommand({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    KeyMarker: keyMarker,
+                    UploadIdMarker: uploadIdMarker
+                }));
+
+                for (const upload of response.Uploads || []) {
+                    uploads.push({ key: upload.Key, uploadId: upload.UploadId, initiated: new Date(upload.Initiated) });
+                }
+
+                keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+                uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+            } while (keyMarker);
+
+            return uploads;
+        },
+
+        /**
+         * 객체 메타데이터 { size, contentType, lastModified, sha256 }
+         * sha256은 S3가 검증한 파일 전체 해시 (없거나 Multipart 합성 체크섬이면 null)
+         * 객체가 없으면 name이 'NotFound'인 에러
+         */
+        async head(key) {
+            const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key, ChecksumMode: 'ENABLED' }));
+
+            return {
+                size: response.ContentLength,
+                contentType: response.ContentType,
+                lastModified: response.LastModified,
+                sha256: sha256FromBase64(response.ChecksumSHA256)
+            };
+        },
+
+        /**
+         * 저장 등급 변경 (같은 키로 복사, 메타데이터 유지)
+         * CopyObject는 5GB까지만 지원 - 더 큰 객체는 에러
+         */
+        async setStorageClass(key, storageClass) {
+            await client.send(new CopyObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                CopySource: `${bucket}/${key}`,
+                StorageClass: storageClass,
+                MetadataDirective: 'COPY'
+            }));
+        },
+
+        presignGet(key, { expiresIn, contentType, fileName }) {
+            const command = new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ...(fileName && { ResponseContentDisposition: `inline; filename="${fileName}"` }),
+                ...(contentType && { ResponseContentType: contentType })
+            });
+
+            return getSignedUrl(client, command, { expiresIn });
+        },
+
+        /**
+         * 객체 읽기 스트림 (range: { start, end }, 생략 시 전체)
+         */
+        async read(key, { range } = {}) {
+            const response = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ...(range && { Range: `bytes=${range.start}-${range.end}` })
+            }));
+
+            return response.Body;
+        },
+
+        /**
+         * 객체 목록 [{ key, size, lastModified }] (페이지 순회)
+         */
+        async listObjects(prefix) {
+            const objects = [];
+            let continuationToken;
+
+            do {
+                const response = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix,
+                    ContinuationToken: continuationToken
+                }));
+
+                for (const object of response.Contents || []) {
+                    objects.push({ key: object.Key, size: object.Size, lastModified: new Date(object.LastModified) });
+                }
+
+                continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+            } while (continuationToken);
+
+            return objects;
+        },
+
+        /**
+         * 객체 일괄 삭제 - { deleted, errors: [{ key, message }] }
+         */
+        async deleteObjects(keys) {
+            const result = { deleted: 0, errors: [] };
+
+            for (let index = 0; index < keys.length; index += DELETE_BATCH_SIZE) {
+                const batch = keys.slice(index, index + DELETE_BATCH_SIZE);
+
+                const response = await client.send(new DeleteObjectsCommand({
+                    Bucket: bucket,
+                    Delete: {
+                        Objects: batch.map(key => ({ Key: key })),
+                        Quiet: true
+                    }
+                }));
+
+                const errors = (response.Errors || []).map(error => ({ key: error.Key, message: error.Message }));
+
+                result.errors.push(...errors);
+                result.deleted += batch.length - errors.length;
+            }
+
+            return result;
+        }
+    };
+}
+
+module.exports = createS3Storage;
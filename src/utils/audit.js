@@ -0,0 +1,76 @@
+// audit.js - 감사 로그 (영상 열람, 삭제, 로그인 등)
+const { auditLogs } = require('../repositories');
+const logger = require('./logger');
+
+// 감사 로그 액션
+const AUDIT_ACTIONS = {
+    LOGIN: 'auth.login',
+    VIDEO_URL: 'video.url',
+    VIDEO_STREAM: 'video.stream',
+    VIDEO_LIST: 'video.list',
+    RECORDING_STATUS: 'recording.status_change',
+    RECORDING_DELETE: 'recording.delete',
+    RECORDING_VERIFY: 'recording.verify',
+    RECORDING_EXPIRE: 'recording.expire',
+    RECORDING_EXPORT: 'recording.export',
+    RECORDING_RESTORE: 'recording.restore',
+    RECORDING_PURGE: 'recording.purge',
+    LEGAL_HOLD_SET: 'recording.legal_hold_set',
+    LEGAL_HOLD_RELEASE: 'recording.legal_hold_release',
+    UPLOAD_POLICY_UPDATE: 'upload_policy.update',
+    RETENTION_POLICY_UPDATE: 'retention_policy.update'
+};
+
+// 백그라운드 작업(보존 기간 등)이 남기는 감사 로그의 행위자
+const SYSTEM_ACTOR = { type: 'system', id: null, name: 'system' };
+
+/**
+ * 토큰 사용자 정보에서 행위자 추출
+ */
+function getActor(user) {
+    if (!user) return { type: null, id: null, name: null };
+
+    if (user.type === 'api_key') {
+        return { type: 'api_key', id: user.api_key_id, name: user.username };
+    }
+
+    if (user.type === 'admin') {
+        return { type: 'admin', id: user.admin_id, name: user.name || user.username };
+    }
+
+    return { type: 'worker', id: user.worker_id, name: user.worker_name || user.username };
+}
+
+/**
+ * 감사 로그 기록 (append-only)
+ * 기록 실패가 원래 요청을 실패시키지 않도록 에러는 로깅만 함
+ *
+ * actor를 생략하면 req.user에서 추출 (로그인처럼 req.user가 없을 때만 직접 전달)
+ * 요청 없이 실행되는 작업은 req에 null, actor에 SYSTEM_ACTOR 전달
+ */
+async function recordAudit(req, { action, resourceType, resourceId, metadata, actor, companyId }) {
+    const auditActor = actor || getActor(req && req.user);
+
+    try {
+        await auditLogs.create({
+            company_id: companyId || req?.tenant?.companyId || req?.user?.company_id || null,
+            actor_type: auditActor.type,
+            actor_id: auditActor.id,
+            actor_name: auditActor.name,
+            action,
+            resource_type: resourceType || null,
+            resource_id: resourceId ? String(resourceId) : null,
+            ip_address: req ? req.ip : null,
+            user_agent: (req && req.headers['user-agent']) || null,
+            metadata: metadata || null
+        });
+    } catch (error) {
+        logger.error(`Failed to record audit log (${action}):`, error);
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    SYSTEM_ACTOR,
+    recordAudit
+};
@@ -0,0 +1,32 @@
+// byteRange.js - HTTP Range 헤더 해석 (단일 bytes 범위)
+
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+/**
+ * Range 헤더를 객체 크기에 맞춰 { start, end }로 해석
+ * bytes=0-99, bytes=100- (끝까지), bytes=-500 (마지막 500바이트) 지원, end는 size - 1로 제한
+ * 형식이 틀리거나 만족할 수 없는 범위(여러 범위 포함)는 null - 416으로 응답
+ */
+function parseByteRange(header, size) {
+    const match = String(header).trim().match(RANGE_PATTERN);
+
+    if (!match || (!match[1] && !match[2]) || !(size > 0)) return null;
+
+    if (!match[1]) {
+        const suffixLength = Number(match[2]);
+        if (suffixLength === 0) return null;
+
+        return { start: Math.max(size - suffixLength, 0), end: size - 1 };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+    if (start >= size || (match[2] && Number(match[2]) < start)) return null;
+
+    return { start, end };
+}
+
+module.exports = {
+    parseByteRange
+};
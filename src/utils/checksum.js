@@ -0,0 +1,60 @@
+// checksum.js - SHA-256 무결성 체크섬 (API/DB는 hex, S3 헤더는 base64)
+const crypto = require('crypto');
+
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * 클라이언트가 보낸 SHA-256 값 정규화 (소문자 hex, 형식이 틀리면 null)
+ */
+function normalizeSha256(value) {
+    const hex = String(value || '').trim().toLowerCase();
+    return SHA256_HEX_PATTERN.test(hex) ? hex : null;
+}
+
+function sha256ToBase64(hex) {
+    return Buffer.from(hex, 'hex').toString('base64');
+}
+
+/**
+ * S3 ChecksumSHA256 (base64) → hex
+ * Multipart 객체의 합성 체크섬(...-N)은 파일 전체 해시가 아니므로 null
+ */
+function sha256FromBase64(value) {
+    if (!value || value.includes('-')) return null;
+
+    const digest = Buffer.from(value, 'base64');
+    return digest.length === 32 ? digest.toString('hex') : null;
+}
+
+/**
+ * 체크섬 서명 URL로 업로드할 때 클라이언트가 함께 보내야 하는 헤더
+ */
+function checksumHeaders(sha256) {
+    if (!sha256) return {};
+
+    return {
+        'x-amz-checksum-sha256': sha256ToBase64(sha256),
+        'x-amz-sdk-checksum-algorithm': 'SHA256'
+    };
+}
+
+/**
+ * 스트림 전체의 SHA-256 (hex)
+ */
+async function sha256Stream(stream) {
+    const hash = crypto.createHash('sha256');
+
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+
+    return hash.digest('hex');
+}
+
+module.exports = {
+    normalizeSha256,
+    sha256ToBase64,
+    sha256FromBase64,
+    checksumHeaders,
+    sha256Stream
+};
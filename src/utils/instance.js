@@ -0,0 +1,13 @@
+// instance.js - PM2 클러스터 인스턴스 구분 (주기 작업을 한 인스턴스에서만 실행하기 위함)
+
+/**
+ * 주기 작업을 실행할 인스턴스인지 (PM2 클러스터에서는 0번 인스턴스만, PM2 밖에서는 항상)
+ */
+function isPrimaryInstance() {
+    const instance = process.env.NODE_APP_INSTANCE;
+    return instance === undefined || instance === '0';
+}
+
+module.exports = {
+    isPrimaryInstance
+};
@@ -0,0 +1,115 @@
+// lockout.js - 로그인 실패 추적 및 계정 잠금
+const { loginAttempts, loginThrottle } = require('../repositories');
+const logger = require('./logger');
+
+// 이 횟수부터 점진적 지연 적용 (오타 몇 번은 지연 없음)
+const DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3;
+// 이 횟수에 도달하면 일시 잠금
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * 실패 횟수에 따른 대기 시간 (초)
+ * 3회 이후 1, 2, 4, 8 ... 최대 60초
+ */
+function getDelaySeconds(failedCount) {
+    if (failedCount < DELAY_AFTER_ATTEMPTS) return 0;
+    return Math.min(2 ** (failedCount - DELAY_AFTER_ATTEMPTS), MAX_DELAY_SECONDS);
+}
+
+async function getThrottle(subjectType, username) {
+    return loginThrottle.findOne({ subject_type: subjectType, username });
+}
+
+/**
+ * 로그인 시도 가능 여부 확인
+ * 반환: { allowed, locked, retryAfterSeconds }
+ */
+async function checkLoginAllowed(subjectType, username) {
+    const throttle = await getThrottle(subjectType, username);
+
+    if (!throttle) {
+        return { allowed: true, locked: false, retryAfterSeconds: 0 };
+    }
+
+    const now = Date.now();
+
+    if (throttle.locked_until && new Date(throttle.locked_until).getTime() > now) {
+        return {
+            allowed: false,
+            locked: true,
+            retryAfterSeconds: Math.ceil((new Date(throttle.locked_until).getTime() - now) / 1000)
+        };
+    }
+
+    const delaySeconds = getDelaySeconds(throttle.failed_count);
+    const nextAllowedAt = new Date(throttle.last_failed_at).getTime() + delaySeconds * 1000;
+
+    if (nextAllowedAt > now) {
+        return {
+            allowed: false,
+            locked: false,
+            retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000)
+        };
+    }
+
+    return { allowed: true, locked: false, retryAfterSeconds: 0 };
+}
+
+/**
+ * 로그인 시도 기록 (성공/실패 모두)
+ */
+async function recordAttempt(subjectType, username, req, success, reason) {
+    try {
+        await loginAttempts.create({
+            subject_type: subjectType,
+            username,
+            success,
+            reason,
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent']
+        });
+    } catch (error) {
+        logger.error('Failed to record login attempt:', error);
+    }
+}
+
+/**
+ * 로그인 실패 처리 - 실패 횟수 증가, 임계값 도달 시 잠금
+ */
+async function recordLoginFailure(subjectType, username, req, reason = 'invalid_credentials') {
+    await recordAttempt(subjectType, username, req, false, reason);
+
+    // 읽고 더해서 쓰면 동시 요청이 같은 횟수를 읽으므로 저장소에서 한 번에 증가 (잠금 기간이 지났으면 1부터)
+    const { failed_count: failedCount, locked_until: lockedUntil } = await loginThrottle.recordFailure(subjectType, username, {
+        maxAttempts: MAX_FAILED_ATTEMPTS,
+        lockoutSeconds: LOCKOUT_MINUTES * 60
+    });
+
+    if (lockedUntil) {
+        logger.warn(`Account ${subjectType}:${username} locked until ${lockedUntil} after ${failedCount} failed attempts`);
+    }
+}
+
+/**
+ * 로그인 성공 처리 - 실패 카운트 초기화
+ */
+async function recordLoginSuccess(subjectType, username, req) {
+    await recordAttempt(subjectType, username, req, true, null);
+    await unlockAccount(subjectType, username);
+}
+
+/**
+ * 계정 잠금 해제 (관리자)
+ */
+async function unlockAccount(subjectType, username) {
+    await loginThrottle.remove({ subject_type: subjectType, username });
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount
+};
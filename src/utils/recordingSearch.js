@@ -0,0 +1,118 @@
+// recordingSearch.js - 녹화 검색 조건/정렬/커서 해석 (recording/list, video/list 공용)
+//
+// 커서 페이지네이션은 (정렬 컬럼, id) 기준 keyset 방식이라 새 녹화가 계속 추가돼도 페이지가 밀리지 않음
+const SORT_FIELDS = ['created_at', 'duration_seconds', 'file_size_bytes', 'barcode', 'deleted_at'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const DATE_FIELDS = ['from', 'to'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NUMBER_FIELDS = ['min_duration', 'max_duration'];
+
+function encodeCursor(row, { sort, ascending }) {
+    const payload = { s: sort, a: ascending, v: row[sort] === undefined ? null : row[sort], i: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return payload && typeof payload.i === 'string' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * to 시각 (날짜만 주면 그날 끝까지 포함 - 2026-01-31 → 2026-01-31T23:59:59.999Z)
+ */
+function endOfRange(value) {
+    const time = Date.parse(value);
+    return new Date(DATE_ONLY.test(value) ? time + DAY_MS - 1 : time).toISOString();
+}
+
+/**
+ * 검색 요청 해석 - 실패 시 { error }
+ * 성공 시 { filters, sort, ascending, limit, after } (after: 커서가 가리키는 { value, id })
+ *
+ * filters: barcode (부분 일치), code (주문/송장/상품 바코드 일치 - 녹화 바코드 또는 스캔 이벤트),
+ *          status (deleted 제외 - 휴지통에서 조회), worker_id, station_id, from/to (created_at, 날짜만 준 to는 그날 끝까지), min_duration/max_duration (초)
+ */
+function parseRecordingSearch(query) {
+    const { barcode, code, status, worker_id, station_id, sort = 'created_at', order = 'desc', cursor } = query;
+
+    if (!SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+
+    if (status === 'deleted') {
+        return { error: 'Deleted recordings are listed in the trash (GET /api/recording/trash)' };
+    }
+
+    for (const field of DATE_FIELDS) {
+        if (query[field] && isNaN(Date.parse(query[field]))) {
+            return { error: `${field} must be an ISO 8601 date or timestamp` };
+        }
+    }
+
+    for (const field of NUMBER_FIELDS) {
+        if (query[field] !== undefined && query[field] !== '' && !(Number(query[field]) >= 0)) {
+            return { error: `${field} must be a non-negative number` };
+        }
+    }
+
+    const ascending = order === 'asc';
+    let after = null;
+
+    if (cursor) {
+        const payload = decodeCursor(cursor);
+
+        if (!payload) {
+            return { error: 'Invalid cursor' };
+        }
+
+        if (payload.s !== sort || payload.a !== ascending) {
+            return { error: 'cursor does not match sort and order' };
+        }
+
+        after = { value: payload.v, id: payload.i };
+    }
+
+    const number = field => (query[field] !== undefined && query[field] !== '' ? Number(query[field]) : undefined);
+
+    return {
+        filters: {
+            barcode: barcode || undefined,
+            code: code || undefined,
+            status: status || undefined,
+            worker_id: worker_id || undefined,
+            station_id: station_id || undefined,
+            from: query.from ? new Date(query.from).toISOString() : undefined,
+            to: query.to ? endOfRange(query.to) : undefined,
+            min_duration: number('min_duration'),
+            max_duration: number('max_duration')
+        },
+        sort,
+        ascending,
+        limit: Math.max(1, Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT)),
+        after
+    };
+}
+
+/**
+ * 검색 결과의 다음 페이지 커서 (마지막 페이지면 null)
+ */
+function nextCursor({ rows, hasMore }, { sort, ascending }) {
+    return hasMore && rows.length > 0 ? encodeCursor(rows[rows.length - 1], { sort, ascending }) : null;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    parseRecordingSearch,
+    nextCursor
+};
@@ -0,0 +1,159 @@
+// recordingStatus.js - 녹화 상태 전이 (모든 상태 변경은 transitionRecording을 거쳐야 함)
+//
+// recording → uploading → (processing) → completed → deleted
+// 업로드 실패 등은 failed (failure_reason 필수) - 다시 업로드하면 복구 가능
+// deleted는 전이 대신 restoreRecording으로 삭제 직전 상태(deleted_from_status)로 복원
+const { recordings } = require('../repositories');
+
+const RECORDING_STATUSES = {
+    RECORDING: 'recording',
+    UPLOADING: 'uploading',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    DELETED: 'deleted'
+};
+
+const { RECORDING, UPLOADING, PROCESSING, COMPLETED, FAILED, DELETED } = RECORDING_STATUSES;
+
+// 상태별 전이 가능한 다음 상태 (녹화 종료 없이 바로 업로드한 경우 recording → completed)
+const STATUS_TRANSITIONS = {
+    [RECORDING]: [UPLOADING, PROCESSING, COMPLETED, FAILED, DELETED],
+    [UPLOADING]: [PROCESSING, COMPLETED, FAILED, DELETED],
+    [PROCESSING]: [COMPLETED, FAILED, DELETED],
+    [COMPLETED]: [DELETED],
+    [FAILED]: [UPLOADING, PROCESSING, COMPLETED, DELETED],
+    [DELETED]: []
+};
+
+// 상태별로 마지막으로 그 상태가 된 시각을 기록하는 컬럼 (같은 상태를 다시 적용할 때는 유지)
+const STATUS_TIMESTAMPS = {
+    [UPLOADING]: 'uploading_at',
+    [PROCESSING]: 'processing_at',
+    [COMPLETED]: 'completed_at',
+    [FAILED]: 'failed_at',
+    [DELETED]: 'deleted_at'
+};
+
+// 다시 적용할 수 없는 상태 (영상 연결/삭제 시각을 덮어쓰게 되므로)
+const FINAL_STATUSES = [COMPLETED, DELETED];
+
+/**
+ * from → to 전이 가능 여부
+ * 같은 상태를 다시 적용하는 것은 허용(재전송/재시도)하되 completed/deleted는 제외
+ */
+function canTransition(from, to) {
+    if (from === to) return !FINAL_STATUSES.includes(to);
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function transitionError(from, to) {
+    if (from === to) {
+        return `Recording is already ${to}`;
+    }
+
+    const allowed = STATUS_TRANSITIONS[from] || [];
+
+    return `Cannot change recording status from ${from} to ${to}`
+        + (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : '. Restore the recording first');
+}
+
+/**
+ * 녹화 상태 변경
+ * 성공 시 { recording, previous } (previous: 변경 전 녹화), 실패 시 { status: 400 | 404 | 409, error }
+ *
+ * match: 대상 녹화 조건 (회사/작업자 범위 포함)
+ * failureReason: failed로 바꿀 때 필수 (failed에서 벗어나면 지움)
+ * fields: 상태와 함께 변경할 다른 컬럼
+ *
+ * 조회 이후 다른 요청이 상태를 바꿨다면 변경하지 않고 409
+ */
+async function transitionRecording(match, to, { failureReason, fields = {} } = {}) {
+    const current = await recordings.findOne(match);
+
+    if (!current) {
+        return { status: 404, error: 'Recording not found' };
+    }
+
+    if (!canTransition(current.status, to)) {
+        return { status: 409, error: transitionError(current.status, to) };
+    }
+
+    if (to === FAILED && !failureReason && !current.failure_reason) {
+        return { status: 400, error: 'failure_reason is required when status is failed' };
+    }
+
+    const now = new Date().toISOString();
+    const updateData = { ...fields, status: to, updated_at: now };
+
+    if (current.status !== to) {
+        updateData.status_changed_at = now;
+
+        if (STATUS_TIMESTAMPS[to]) {
+            updateData[STATUS_TIMESTAMPS[to]] = now;
+        }
+    }
+
+    // 복원할 수 있도록 삭제 직전 상태 보관 (실패 사유도 유지)
+    if (to === DELETED && current.status !== DELETED) {
+        updateData.deleted_from_status = current.status;
+    }
+
+    if (to === FAILED) {
+        updateData.failure_reason = failureReason || current.failure_reason;
+    } else if (current.failure_reason && to !== DELETED) {
+        updateData.failure_reason = null;
+    }
+
+    const [recording] = await recordings.update({ ...match, id: current.id, status: current.status }, updateData);
+
+    if (!recording) {
+        return { status: 409, error: 'Recording status was changed by another request. Please retry.' };
+    }
+
+    return { recording, previous: current };
+}
+
+/**
+ * 삭제된 녹화 복원 (삭제 직전 상태로 되돌림)
+ * 성공 시 { recording, previous }, 실패 시 { status: 404 | 409, error }
+ *
+ * 삭제 직전 상태가 기록되지 않은 녹화는 영상이 있으면 completed, 없으면 failed로 복원
+ */
+async function restoreRecording(match) {
+    const current = await recordings.findOne(match);
+
+    if (!current) {
+        return { status: 404, error: 'Recording not found' };
+    }
+
+    if (current.status !== DELETED) {
+        return { status: 409, error: `Recording is not deleted (status: ${current.status})` };
+    }
+
+    const to = current.deleted_from_status || (current.cloud_url ? COMPLETED : FAILED);
+    const now = new Date().toISOString();
+
+    const [recording] = await recordings.update({ ...match, id: current.id, status: DELETED }, {
+        status: to,
+        status_changed_at: now,
+        updated_at: now,
+        deleted_at: null,
+        deleted_from_status: null,
+        failure_reason: to === FAILED ? current.failure_reason || 'Restored without a video' : null
+    });
+
+    if (!recording) {
+        return { status: 409, error: 'Recording status was changed by another request. Please retry.' };
+    }
+
+    return { recording, previous: current };
+}
+
+module.exports = {
+    RECORDING_STATUSES,
+    STATUS_TRANSITIONS,
+    canTransition,
+    transitionRecording,
+    restoreRecording
+};
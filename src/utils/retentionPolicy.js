@@ -0,0 +1,60 @@
+// retentionPolicy.js - 회사별 보존 기간 / 저장 등급 전환 / 휴지통 유예 기간 정책
+const { retentionPolicies } = require('../repositories');
+
+// 전환 가능한 S3 저장 등급 (즉시 조회 가능한 등급만 - GLACIER/DEEP_ARCHIVE는 복원 전까지 재생 불가)
+const ARCHIVE_STORAGE_CLASSES = ['STANDARD_IA', 'ONEZONE_IA', 'INTELLIGENT_TIERING', 'GLACIER_IR'];
+
+// 회사 정책이 없거나 값이 비어 있을 때 사용하는 기본값 (일수가 null이면 해당 단계 없음)
+const DEFAULT_RETENTION_POLICY = {
+    retention_days: parseInt(process.env.RETENTION_DAYS) || null,
+    archive_after_days: parseInt(process.env.RETENTION_ARCHIVE_AFTER_DAYS) || null,
+    archive_storage_class: ARCHIVE_STORAGE_CLASSES.includes(process.env.RETENTION_ARCHIVE_STORAGE_CLASS)
+        ? process.env.RETENTION_ARCHIVE_STORAGE_CLASS
+        : 'STANDARD_IA',
+    // 삭제된 녹화를 영구 삭제하기 전까지 복원할 수 있는 기간
+    trash_retention_days: parseInt(process.env.TRASH_RETENTION_DAYS) || 30
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_RETENTION_POLICY);
+
+/**
+ * 정책 행에 기본값 적용 (비어 있는 항목은 기본값)
+ */
+function resolveRetentionPolicy(row) {
+    const policy = { ...DEFAULT_RETENTION_POLICY };
+
+    for (const field of POLICY_FIELDS) {
+        if (row && row[field] !== null && row[field] !== undefined) {
+            policy[field] = row[field];
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * 회사 보존 정책 조회
+ */
+async function getRetentionPolicy(companyId) {
+    return resolveRetentionPolicy(await retentionPolicies.findOne({ company_id: companyId }));
+}
+
+/**
+ * 정책 값이 서로 맞는지 확인 - 문제가 있으면 에러 메시지, 통과 시 null
+ */
+function checkRetentionPolicy(policy) {
+    if (policy.retention_days && policy.archive_after_days && policy.archive_after_days >= policy.retention_days) {
+        return 'archive_after_days must be less than retention_days';
+    }
+
+    return null;
+}
+
+module.exports = {
+    ARCHIVE_STORAGE_CLASSES,
+    DEFAULT_RETENTION_POLICY,
+    POLICY_FIELDS,
+    resolveRetentionPolicy,
+    getRetentionPolicy,
+    checkRetentionPolicy
+};
@@ -0,0 +1,36 @@
+// secrets.js - 토큰/코드 생성 및 해시 유틸
+const crypto = require('crypto');
+
+// 혼동하기 쉬운 문자(0, O, 1, I) 제외
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * 토큰 해시 (DB에는 해시만 저장)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 랜덤 비밀 토큰 생성
+ */
+function generateSecret(bytes = 48) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * 사람이 입력하는 짧은 코드 생성 (페어링 코드 등)
+ */
+function generateCode(length = 8) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+module.exports = {
+    hashToken,
+    generateSecret,
+    generateCode
+};
@@ -0,0 +1,13 @@
+// serialize.js - 응답 직렬화 유틸
+
+/**
+ * 지정한 필드만 포함한 객체 반환 (해시 등 민감 필드 제외용)
+ */
+function pick(row, fields) {
+    if (!row) return row;
+    return Object.fromEntries(fields.map(field => [field, row[field] ?? null]));
+}
+
+module.exports = {
+    pick
+};
@@ -0,0 +1,149 @@
+// session.js - 리프레시 토큰 세션 관리
+const { sessions } = require('../repositories');
+const logger = require('./logger');
+const { hashToken, generateSecret } = require('./secrets');
+
+// 리프레시 토큰 유효 기간 (기본 5년 - 물류센터 고정 단말)
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 1825;
+
+// 세션 활성 여부 캐시 (요청마다 DB 조회 방지)
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+const sessionCache = new Map();
+
+/**
+ * 세션 생성
+ * claims는 리프레시 시 액세스 토큰 재발급에 사용
+ */
+async function createSession({ subjectType, subjectId, companyId, claims, ip, userAgent }) {
+    const refreshToken = generateSecret();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+    const session = await sessions.create({
+        subject_type: subjectType,
+        subject_id: subjectId,
+        company_id: companyId,
+        refresh_token_hash: hashToken(refreshToken),
+        claims,
+        ip_address: ip,
+        user_agent: userAgent,
+        expires_at: expiresAt.toISOString(),
+        revoked_at: null
+    });
+
+    return { sessionId: session.id, refreshToken };
+}
+
+/**
+ * 리프레시 토큰으로 세션 조회 후 토큰 교체 (rotation)
+ * 유효하지 않으면 null 반환
+ */
+async function rotateSession(refreshToken) {
+    const session = await sessions.findOne({
+        refresh_token_hash: hashToken(refreshToken),
+        revoked_at: null
+    });
+
+    if (!session) return null;
+
+    if (new Date(session.expires_at) <= new Date()) {
+        return null;
+    }
+
+    const newRefreshToken = generateSecret();
+
+    // 이전 토큰 해시로 조건을 걸어 동시 리프레시 중 하나만 성공하도록 함
+    const [updated] = await sessions.update(
+        { id: session.id, refresh_token_hash: session.refresh_token_hash },
+        {
+            refresh_token_hash: hashToken(newRefreshToken),
+            last_used_at: new Date().toISOString()
+        }
+    );
+
+    if (!updated) return null;
+
+    return { session, refreshToken: newRefreshToken };
+}
+
+/**
+ * 조건에 맞는 활성 세션 폐기 - 폐기된 세션 수 반환
+ */
+async function revokeMatching(match, reason) {
+    const revoked = await sessions.update(
+        { ...match, revoked_at: null },
+        { revoked_at: new Date().toISOString(), revoked_reason: reason }
+    );
+
+    revoked.forEach(session => sessionCache.delete(session.id));
+    return revoked.length;
+}
+
+/**
+ * 단일 세션 폐기
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+    await revokeMatching({ id: sessionId }, reason);
+}
+
+/**
+ * 리프레시 토큰으로 세션 폐기 (액세스 토큰 만료 후 로그아웃)
+ */
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+    return revokeMatching({ refresh_token_hash: hashToken(refreshToken) }, reason);
+}
+
+/**
+ * 특정 사용자의 모든 세션 폐기 (단말 분실, 퇴사 등)
+ */
+async function revokeAllSessions(subjectType, subjectId, reason = 'revoked') {
+    const count = await revokeMatching({ subject_type: subjectType, subject_id: subjectId }, reason);
+
+    logger.info(`Revoked ${count} sessions for ${subjectType} ${subjectId} (${reason})`);
+
+    return count;
+}
+
+/**
+ * 현재 세션을 제외한 사용자의 세션 폐기 (비밀번호 변경 등) - 폐기된 세션 수 반환
+ */
+async function revokeOtherSessions(subjectType, subjectId, currentSessionId, reason = 'revoked') {
+    const active = await sessions.list({ subject_type: subjectType, subject_id: subjectId, revoked_at: null });
+    let count = 0;
+
+    for (const session of active) {
+        if (session.id === currentSessionId) continue;
+        count += await revokeMatching({ id: session.id }, reason);
+    }
+
+    logger.info(`Revoked ${count} other sessions for ${subjectType} ${subjectId} (${reason})`);
+
+    return count;
+}
+
+/**
+ * 세션 활성 여부 확인 (캐시 사용)
+ * 다른 PM2 인스턴스에서 폐기된 세션은 최대 SESSION_CACHE_TTL_MS 후 반영됨
+ */
+async function isSessionActive(sessionId) {
+    const cached = sessionCache.get(sessionId);
+    if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_TTL_MS) {
+        return cached.active;
+    }
+
+    const session = await sessions.findOne({ id: sessionId });
+
+    const active = !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+    sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+
+    return active;
+}
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    revokeOtherSessions,
+    isSessionActive
+};
@@ -0,0 +1,258 @@
+// spreadsheet.js - CSV / XLSX 스트리밍 생성 (행을 받는 대로 내보내므로 전체를 메모리에 올리지 않음)
+//
+// rows: 행 값 배열([문자열 | 숫자 | null, ...])을 내는 async iterable
+// 반환값은 청크를 내는 async generator - Readable.from()으로 감싸 응답에 pipeline
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+const SPREADSHEET_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// ===== CSV =====
+
+/**
+ * CSV 셀 (RFC 4180 인용)
+ * =, +, -, @로 시작하는 문자열은 스프레드시트에서 수식으로 실행되지 않도록 ' 접두사
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* csvChunks(columns, rows) {
+    // Excel이 UTF-8(한글)로 인식하도록 BOM
+    yield '\uFEFF' + columns.map(csvCell).join(',') + '\r\n';
+
+    for await (const values of rows) {
+        yield values.map(csvCell).join(',') + '\r\n';
+    }
+}
+
+// ===== XLSX (ZIP + SpreadsheetML) =====
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+    crc = ~crc >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * ZIP 항목 하나 (로컬 헤더 + deflate 데이터 + data descriptor)
+ * 크기/CRC를 미리 알 수 없으므로 data descriptor 사용 (ZIP64 미지원 - 항목당 4GB 미만)
+ */
+async function* zipEntry(entry, textChunks) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);             // version needed
+    header.writeUInt16LE(0x0808, 6);         // data descriptor + UTF-8 이름
+    header.writeUInt16LE(8, 8);              // deflate
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt16LE(entry.fileName.length, 26);
+
+    yield Buffer.concat([header, entry.fileName]);
+
+    const source = Readable.from((async function* () {
+        for await (const text of textChunks) {
+            const chunk = Buffer.from(text, 'utf8');
+            entry.crc = crc32(chunk, entry.crc);
+            entry.size += chunk.length;
+            yield chunk;
+        }
+    })());
+
+    // 원본 에러는 deflate 스트림을 통해 아래 for await에서 던져짐
+    const deflated = pipeline(source, zlib.createDeflateRaw(), () => {});
+
+    for await (const chunk of deflated) {
+        entry.compressedSize += chunk.length;
+        yield chunk;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074B50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+
+    yield descriptor;
+}
+
+/**
+ * ZIP 전체 - files: [{ name, content }] (content: 문자열 또는 문자열을 내는 async iterable)
+ */
+async function* zipChunks(files) {
+    const { time, date } = dosDateTime(new Date());
+    const entries = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const entry = { fileName: Buffer.from(name, 'utf8'), time, date, offset, crc: 0, size: 0, compressedSize: 0 };
+
+        for await (const chunk of zipEntry(entry, typeof content === 'string' ? [content] : content)) {
+            offset += chunk.length;
+            yield chunk;
+        }
+
+        entries.push(entry);
+    }
+
+    const centralOffset = offset;
+
+    for (const entry of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014B50, 0);
+        header.writeUInt16LE(20, 4);         // version made by
+        header.writeUInt16LE(20, 6);         // version needed
+        header.writeUInt16LE(0x0808, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressedSize, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.fileName.length, 28);
+        header.writeUInt32LE(entry.offset, 42);
+
+        const record = Buffer.concat([header, entry.fileName]);
+        offset += record.length;
+        yield record;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - centralOffset, 12);
+    end.writeUInt32LE(centralOffset, 16);
+
+    yield end;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * XML 텍스트 이스케이프 (XML에서 허용되지 않는 제어 문자는 제거)
+ */
+function xmlText(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function xlsxRow(values, rowNumber) {
+    const cells = values.map((value, index) => {
+        const ref = `${columnName(index)}${rowNumber}`;
+
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+    });
+
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+}
+
+async function* sheetXml(columns, rows) {
+    let rowNumber = 1;
+
+    yield XML_HEADER + `<worksheet xmlns="${MAIN_NS}"><sheetData>` + xlsxRow(columns, rowNumber);
+
+    for await (const values of rows) {
+        yield xlsxRow(values, ++rowNumber);
+    }
+
+    yield '</sheetData></worksheet>';
+}
+
+function xlsxChunks(columns, rows, { sheetName = 'Sheet1' } = {}) {
+    return zipChunks([
+        {
+            name: '[Content_Types].xml',
+            content: XML_HEADER
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: XML_HEADER
+                + `<Relationships xmlns="${PACKAGE_REL_NS}">`
+                + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: XML_HEADER
+                + `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+                + `<sheets><sheet name="${xmlText(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+                + '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: XML_HEADER
+                + `<Relationships xmlns="${PACKAGE_REL_NS}">`
+                + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+                + '</Relationships>'
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheetXml(columns, rows) }
+    ]);
+}
+
+/**
+ * 스프레드시트 스트림 생성 (format: csv | xlsx)
+ * 응답에 pipeline으로 연결하면 backpressure/연결 끊김이 rows 조회까지 전달됨
+ */
+function createSpreadsheetStream(format, { columns, rows, sheetName }) {
+    const chunks = format === 'xlsx' ? xlsxChunks(columns, rows, { sheetName }) : csvChunks(columns, rows);
+    return Readable.from(chunks, { objectMode: false });
+}
+
+module.exports = {
+    SPREADSHEET_FORMATS,
+    createSpreadsheetStream
+};
@@ -0,0 +1,75 @@
+// storageUsage.js - 회사별 스토리지 사용량 집계 / 용량 한도 확인
+//
+// 서버가 검증한 업로드(업로드 완료 시 head로 크기 확인)만 집계하고,
+// 객체가 실제로 삭제될 때 차감함 (soft delete된 녹화는 객체가 남아 있으므로 계속 집계)
+const { storageUsage } = require('../repositories');
+const logger = require('./logger');
+
+/**
+ * 회사 현재 사용량 (집계 전이면 0)
+ */
+async function getStorageUsage(companyId) {
+    const usage = await storageUsage.findOne({ company_id: companyId });
+
+    return {
+        bytes_stored: usage ? Number(usage.bytes_stored) : 0,
+        recording_count: usage ? usage.recording_count : 0,
+        updated_at: usage ? usage.updated_at : null
+    };
+}
+
+/**
+ * 사용량 증감
+ * 객체는 이미 저장/삭제된 뒤이므로 집계 실패가 원래 요청을 실패시키지 않도록 에러는 로깅만 함
+ */
+async function adjustStorageUsage(companyId, { bytes = 0, recordings = 0 }) {
+    if (!bytes && !recordings) return;
+
+    try {
+        await storageUsage.adjust(companyId, { bytes, recordings });
+    } catch (error) {
+        logger.error(`Failed to adjust storage usage for company ${companyId} (${bytes} bytes, ${recordings} recordings):`, error);
+    }
+}
+
+/**
+ * 녹화 객체가 교체/연결될 때의 증감 (이전에 집계된 녹화면 크기 차이만 반영)
+ */
+function recordingUsageDelta(previous, storedBytes) {
+    const counted = previous && previous.stored_bytes !== null && previous.stored_bytes !== undefined;
+
+    return {
+        bytes: storedBytes - (counted ? Number(previous.stored_bytes) : 0),
+        recordings: counted ? 0 : 1
+    };
+}
+
+/**
+ * 새 업로드가 용량 한도를 넘는지 확인 - 한도 이내면 null
+ * 초과 시 { reject, message } (reject: 정책이 reject 모드)
+ *
+ * fileSize를 모르면 현재 사용량만으로 판단
+ */
+function checkStorageQuota(policy, usage, fileSize) {
+    const quota = policy.storage_quota_bytes;
+    if (!quota) return null;
+
+    const projected = usage.bytes_stored + (Number(fileSize) || 0);
+    if (projected <= quota && usage.bytes_stored < quota) return null;
+
+    const used = `${usage.bytes_stored} of ${quota} bytes used`;
+
+    return {
+        reject: policy.storage_quota_mode !== 'warn',
+        message: usage.bytes_stored < quota
+            ? `Upload of ${fileSize} bytes would exceed storage quota (${used})`
+            : `Storage quota exceeded (${used})`
+    };
+}
+
+module.exports = {
+    getStorageUsage,
+    adjustStorageUsage,
+    recordingUsageDelta,
+    checkStorageQuota
+};
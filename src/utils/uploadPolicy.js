@@ -0,0 +1,71 @@
+// uploadPolicy.js - 회사별 업로드 정책 (최대 파일 크기, 허용 형식, 최대 녹화 시간, 스토리지 용량 한도)
+const { uploadPolicies } = require('../repositories');
+const { VIDEO_FORMATS } = require('./videoFormat');
+
+const MEGABYTE = 1024 * 1024;
+const GIGABYTE = 1024 * MEGABYTE;
+
+// 용량 한도 초과 시 동작 - reject: 새 업로드 거부, warn: 허용하고 경고만 반환
+const STORAGE_QUOTA_MODES = ['reject', 'warn'];
+
+// 회사 정책이 없거나 값이 비어 있을 때 사용하는 기본값
+const DEFAULT_UPLOAD_POLICY = {
+    max_file_size_bytes: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5120) * MEGABYTE,
+    single_upload_max_bytes: (parseInt(process.env.UPLOAD_SINGLE_MAX_MB) || 100) * MEGABYTE,
+    allowed_formats: (process.env.UPLOAD_ALLOWED_FORMATS || Object.keys(VIDEO_FORMATS).join(','))
+        .split(',')
+        .map(format => format.trim())
+        .filter(format => VIDEO_FORMATS[format]),
+    max_duration_seconds: parseInt(process.env.UPLOAD_MAX_DURATION_SECONDS) || null,
+    storage_quota_bytes: (parseInt(process.env.STORAGE_QUOTA_GB) * GIGABYTE) || null,
+    storage_quota_mode: STORAGE_QUOTA_MODES.includes(process.env.STORAGE_QUOTA_MODE)
+        ? process.env.STORAGE_QUOTA_MODE
+        : 'reject'
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_UPLOAD_POLICY);
+
+/**
+ * 회사 업로드 정책 조회 (설정하지 않은 항목은 기본값)
+ */
+async function getUploadPolicy(companyId) {
+    const row = await uploadPolicies.findOne({ company_id: companyId });
+    const policy = { ...DEFAULT_UPLOAD_POLICY };
+
+    for (const field of POLICY_FIELDS) {
+        if (row && row[field] !== null && row[field] !== undefined) {
+            policy[field] = row[field];
+        }
+    }
+
+    return policy;
+}
+
+/**
+ * 업로드 요청이 정책에 맞는지 확인 - 위반 시 에러 메시지, 통과 시 null
+ *
+ * singleUpload: 단일 PUT 업로드 (Multipart보다 작은 한도 적용)
+ */
+function checkUploadPolicy(policy, { format, fileSize, singleUpload = false }) {
+    if (format && !policy.allowed_formats.includes(format.format)) {
+        return `Format ${format.format} is not allowed. Allowed formats: ${policy.allowed_formats.join(', ')}`;
+    }
+
+    if (fileSize && fileSize > policy.max_file_size_bytes) {
+        return `File too large. Max size: ${Math.floor(policy.max_file_size_bytes / MEGABYTE)}MB`;
+    }
+
+    if (singleUpload && fileSize && fileSize > policy.single_upload_max_bytes) {
+        return `File too large for single upload. Max size: ${Math.floor(policy.single_upload_max_bytes / MEGABYTE)}MB. Use multipart upload instead.`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    STORAGE_QUOTA_MODES,
+    DEFAULT_UPLOAD_POLICY,
+    POLICY_FIELDS,
+    getUploadPolicy,
+    checkUploadPolicy
+};
@@ -0,0 +1,56 @@
+// videoFormat.js - 녹화 영상 컨테이너 형식 (확장자, Content-Type)
+
+const VIDEO_FORMATS = {
+    webm: { format: 'webm', extension: 'webm', contentType: 'video/webm' },
+    mp4: { format: 'mp4', extension: 'mp4', contentType: 'video/mp4' },
+    mkv: { format: 'mkv', extension: 'mkv', contentType: 'video/x-matroska' }
+};
+
+// 형식을 지정하지 않은 기존 클라이언트 호환
+const DEFAULT_VIDEO_FORMAT = VIDEO_FORMATS.webm;
+
+/**
+ * Content-Type으로 형식 조회 (codecs 등 파라미터 무시)
+ */
+function formatForContentType(contentType) {
+    if (!contentType) return null;
+
+    const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+    return Object.values(VIDEO_FORMATS).find(format => format.contentType === mediaType) || null;
+}
+
+/**
+ * 요청의 format / contentType / fileName 확장자로 형식 결정
+ * format/contentType이 지원하지 않는 값이면 null
+ * 둘 다 없고 파일 확장자도 알 수 없으면 webm (fileName을 신경쓰지 않던 기존 클라이언트 호환)
+ */
+function resolveVideoFormat({ format, contentType, fileName } = {}) {
+    if (format) {
+        return VIDEO_FORMATS[String(format).toLowerCase()] || null;
+    }
+
+    if (contentType) {
+        return formatForContentType(contentType);
+    }
+
+    const extension = fileName && String(fileName).includes('.')
+        ? String(fileName).split('.').pop().toLowerCase()
+        : null;
+
+    return Object.values(VIDEO_FORMATS).find(candidate => candidate.extension === extension) || DEFAULT_VIDEO_FORMAT;
+}
+
+/**
+ * 녹화 레코드의 형식 (형식이 저장되지 않은 기존 녹화는 webm)
+ */
+function recordingFormat(recording) {
+    return VIDEO_FORMATS[recording.format] || formatForContentType(recording.content_type) || DEFAULT_VIDEO_FORMAT;
+}
+
+module.exports = {
+    VIDEO_FORMATS,
+    DEFAULT_VIDEO_FORMAT,
+    formatForContentType,
+    resolveVideoFormat,
+    recordingFormat
+};
@@ -0,0 +1,166 @@
+// idempotency.test.js - Idempotency-Key 재전송 처리 테스트 (메모리 DB)
+//
+// 같은 키로 다시 보낸 요청은 첫 응답을 돌려주고, 처리 중인 키는 409, 선점 시간/보관 기간이 지난 키는 다시 선점해야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, workers, recordings, idempotencyKeys } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { runIdempotencyCleanup } = require('../src/jobs/idempotency');
+
+const COMPANY = 'company-a';
+const START_PATH = '/api/recording/start';
+
+let server;
+let baseUrl;
+
+function workerToken(workerId) {
+    return generateToken({ worker_id: workerId, company_id: COMPANY, username: workerId, role: ROLES.WORKER, type: 'worker' });
+}
+
+const tokens = {
+    first: workerToken('worker-1'),
+    second: workerToken('worker-2')
+};
+
+async function start(barcode, key, token = tokens.first) {
+    const res = await fetch(`${baseUrl}${START_PATH}`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': key
+        },
+        body: JSON.stringify({ barcode })
+    });
+
+    return { status: res.status, replayed: res.headers.get('idempotent-replayed') === 'true', body: await res.json() };
+}
+
+async function recordingCount(barcode) {
+    return (await recordings.list({ barcode })).length;
+}
+
+// 다른 요청이 남긴 키 (처리 중이거나 만료된 상태를 직접 만들기 위해)
+function createKey(key, barcode, fields) {
+    return idempotencyKeys.create({
+        company_id: COMPANY,
+        actor_id: 'worker-1',
+        idempotency_key: key,
+        request_method: 'POST',
+        request_path: START_PATH,
+        request_hash: crypto.createHash('sha256').update(`POST ${START_PATH}\n${JSON.stringify({ barcode })}`).digest('hex'),
+        expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        ...fields
+    });
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Company A' });
+
+    for (const id of ['worker-1', 'worker-2']) {
+        await workers.create({ id, company_id: COMPANY, username: id, worker_name: id });
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/recording', require('../src/routes/recording'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('replay', () => {
+    it('returns the first response without creating another recording', async () => {
+        const first = await start('REPLAY-1', 'key-replay');
+        const second = await start('REPLAY-1', 'key-replay');
+
+        assert.equal(first.status, 200);
+        assert.equal(first.replayed, false);
+        assert.equal(second.status, 200);
+        assert.equal(second.replayed, true);
+        assert.equal(second.body.recording_id, first.body.recording_id);
+        assert.equal(await recordingCount('REPLAY-1'), 1);
+    });
+
+    it('replays client errors as well', async () => {
+        const first = await start('', 'key-invalid');
+        const second = await start('', 'key-invalid');
+
+        assert.equal(first.status, 400);
+        assert.equal(second.status, 400);
+        assert.equal(second.replayed, true);
+    });
+
+    it('rejects the same key for a different request', async () => {
+        await start('REUSED-1', 'key-reused');
+
+        const res = await start('REUSED-2', 'key-reused');
+        assert.equal(res.status, 422);
+        assert.equal(await recordingCount('REUSED-2'), 0);
+    });
+
+    it('keeps keys separate per worker', async () => {
+        const first = await start('SCOPED-1', 'key-scoped', tokens.first);
+        const second = await start('SCOPED-1', 'key-scoped', tokens.second);
+
+        assert.equal(second.replayed, false);
+        assert.notEqual(second.body.recording_id, first.body.recording_id);
+    });
+});
+
+describe('lease', () => {
+    it('answers 409 while the first request is still being processed', async () => {
+        await createKey('key-busy', 'BUSY-1', { status: 'in_progress' });
+
+        const res = await start('BUSY-1', 'key-busy');
+        assert.equal(res.status, 409);
+        assert.equal(await recordingCount('BUSY-1'), 0);
+    });
+
+    it('reclaims an in-progress key whose lease has run out', async () => {
+        await createKey('key-stale', 'STALE-1', {
+            status: 'in_progress',
+            created_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+        });
+
+        const res = await start('STALE-1', 'key-stale');
+        assert.equal(res.status, 200);
+        assert.equal(res.replayed, false);
+        assert.equal(await recordingCount('STALE-1'), 1);
+    });
+
+    it('reclaims a completed key after it expires', async () => {
+        await createKey('key-expired', 'EXPIRED-1', {
+            status: 'completed',
+            response_status: 200,
+            response_body: { success: true, recording_id: 'old-recording' },
+            expires_at: new Date(Date.now() - 1000).toISOString()
+        });
+
+        const res = await start('EXPIRED-1', 'key-expired');
+        assert.equal(res.replayed, false);
+        assert.notEqual(res.body.recording_id, 'old-recording');
+    });
+});
+
+describe('cleanup', () => {
+    it('removes only expired keys', async () => {
+        await createKey('key-cleanup', 'CLEANUP-1', { status: 'completed', expires_at: new Date(Date.now() - 1000).toISOString() });
+
+        assert.equal(await runIdempotencyCleanup(), 1);
+        assert.equal(await idempotencyKeys.findOne({ idempotency_key: 'key-cleanup' }), null);
+        assert.ok(await idempotencyKeys.findOne({ idempotency_key: 'key-replay' }));
+    });
+});
@@ -0,0 +1,157 @@
+// loginLockout.test.js - 로그인 실패 점진적 지연과 계정 잠금 테스트 (메모리 DB)
+//
+// 3회 실패부터 지연(1, 2, 4 ... 초), 10회 실패 시 15분 잠금, 성공하면 초기화
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { companies, workers, loginThrottle } = require('../src/repositories');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../src/utils/lockout');
+
+const PASSWORD = 'password-1234';
+const req = { ip: '127.0.0.1', headers: {} };
+
+let server;
+let baseUrl;
+
+async function fail(username, times = 1) {
+    for (let i = 0; i < times; i++) {
+        await recordLoginFailure('worker', username, req);
+    }
+}
+
+// 지연 대기 없이 다음 시도를 확인하도록 마지막 실패 시각을 과거로 이동
+async function rewind(username, seconds) {
+    const throttle = await loginThrottle.findOne({ subject_type: 'worker', username });
+
+    await loginThrottle.update({ subject_type: 'worker', username }, {
+        last_failed_at: new Date(new Date(throttle.last_failed_at).getTime() - seconds * 1000).toISOString(),
+        ...(throttle.locked_until && {
+            locked_until: new Date(new Date(throttle.locked_until).getTime() - seconds * 1000).toISOString()
+        })
+    });
+}
+
+function login(username, password) {
+    return fetch(`${baseUrl}/api/auth/worker/login-simple`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+}
+
+before(async () => {
+    await companies.create({ id: 'company-a', name: 'Company A' });
+    await workers.create({
+        id: 'worker-route',
+        company_id: 'company-a',
+        username: 'worker-route',
+        worker_name: 'Worker',
+        password_hash: await bcrypt.hash(PASSWORD, 4),
+        is_active: true
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('progressive delay', () => {
+    it('allows a few typos without delay', async () => {
+        await fail('typo', 2);
+
+        assert.deepEqual(await checkLoginAllowed('worker', 'typo'), { allowed: true, locked: false, retryAfterSeconds: 0 });
+    });
+
+    it('doubles the wait from the third failure', async () => {
+        await fail('delay', 3);
+        assert.deepEqual(await checkLoginAllowed('worker', 'delay'), { allowed: false, locked: false, retryAfterSeconds: 1 });
+
+        await rewind('delay', 1);
+        assert.equal((await checkLoginAllowed('worker', 'delay')).allowed, true);
+
+        await fail('delay');
+        assert.equal((await checkLoginAllowed('worker', 'delay')).retryAfterSeconds, 2);
+
+        await fail('delay');
+        assert.equal((await checkLoginAllowed('worker', 'delay')).retryAfterSeconds, 4);
+    });
+
+    it('resets after a successful login', async () => {
+        await fail('reset', 5);
+        await recordLoginSuccess('worker', 'reset', req);
+
+        assert.equal((await checkLoginAllowed('worker', 'reset')).allowed, true);
+        assert.equal(await loginThrottle.findOne({ subject_type: 'worker', username: 'reset' }), null);
+    });
+});
+
+describe('lockout', () => {
+    it('locks the account for 15 minutes after 10 failures', async () => {
+        await fail('locked', 10);
+
+        const result = await checkLoginAllowed('worker', 'locked');
+        assert.equal(result.allowed, false);
+        assert.equal(result.locked, true);
+        assert.ok(result.retryAfterSeconds > 14 * 60 && result.retryAfterSeconds <= 15 * 60);
+    });
+
+    it('counts concurrent failures once each', async () => {
+        await Promise.all(Array.from({ length: 10 }, () => recordLoginFailure('worker', 'concurrent', req)));
+
+        const throttle = await loginThrottle.findOne({ subject_type: 'worker', username: 'concurrent' });
+        assert.equal(throttle.failed_count, 10);
+        assert.equal((await checkLoginAllowed('worker', 'concurrent')).locked, true);
+    });
+
+    it('starts counting again once the lock has expired', async () => {
+        await fail('expired', 10);
+        await rewind('expired', 15 * 60);
+
+        assert.equal((await checkLoginAllowed('worker', 'expired')).allowed, true);
+
+        await fail('expired');
+
+        const throttle = await loginThrottle.findOne({ subject_type: 'worker', username: 'expired' });
+        assert.equal(throttle.failed_count, 1);
+        assert.equal(throttle.locked_until, null);
+    });
+});
+
+describe('worker login route', () => {
+    it('answers 429 with Retry-After while delayed, then 423 once locked', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await login('worker-route', 'wrong-password')).status, 401);
+        }
+
+        const delayed = await login('worker-route', PASSWORD);
+        assert.equal(delayed.status, 429);
+        assert.equal(delayed.headers.get('retry-after'), '1');
+
+        await fail('worker-route', 7);
+
+        const locked = await login('worker-route', PASSWORD);
+        assert.equal(locked.status, 423);
+    });
+
+    it('throttles unknown usernames the same way', async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await login('no-such-worker', 'wrong-password')).status, 401);
+        }
+
+        assert.equal((await login('no-such-worker', 'wrong-password')).status, 429);
+    });
+});
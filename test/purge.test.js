@@ -0,0 +1,167 @@
+// purge.test.js - 휴지통 복원과 영구 삭제 테스트 (메모리 DB, 로컬 스토리지)
+//
+// 삭제한 녹화는 휴지통에서 복원할 수 있고, 유예 기간이 지나면 영상과 행을 지우며 legal hold 녹화는 남겨야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.DB_DRIVER = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'packing-server-test-purge');
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, recordings, retentionPolicies, auditLogs } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { getStorage } = require('../src/storage');
+const { AUDIT_ACTIONS } = require('../src/utils/audit');
+const { adjustStorageUsage, getStorageUsage } = require('../src/utils/storageUsage');
+const { runPurge } = require('../src/jobs/purge');
+
+const COMPANY = 'company-purge';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const storage = getStorage('local');
+
+let server;
+let baseUrl;
+
+const adminToken = generateToken({ admin_id: 'admin', company_id: COMPANY, username: 'admin', role: ROLES.COMPANY_ADMIN, type: 'admin' });
+
+async function request(method, url) {
+    const res = await fetch(`${baseUrl}${url}`, { method, headers: { Authorization: `Bearer ${adminToken}` } });
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// 로컬 스토리지에 객체를 쓰고 완료된 녹화로 등록 (사용량 반영)
+async function createRecording(id, fields = {}) {
+    const key = `recordings/${COMPANY}/2026/01/01/${id}_1767225600000.webm`;
+
+    await storage.writeObject(key, Readable.from([Buffer.alloc(100)]), { contentType: 'video/webm' });
+    await recordings.create({
+        id,
+        company_id: COMPANY,
+        barcode: id,
+        status: 'completed',
+        cloud_url: storage.objectUrl(key),
+        cloud_provider: 'local',
+        storage_driver: 'local',
+        storage_key: key,
+        stored_bytes: 100,
+        ...fields
+    });
+    await adjustStorageUsage(COMPANY, { bytes: 100, recordings: 1 });
+
+    return key;
+}
+
+function deletedDaysAgo(days) {
+    return { status: 'deleted', deleted_from_status: 'completed', deleted_at: new Date(Date.now() - days * DAY_MS).toISOString() };
+}
+
+async function objectExists(key) {
+    return storage.head(key).then(() => true, () => false);
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Purge' });
+    await retentionPolicies.create({ company_id: COMPANY, trash_retention_days: 30 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/recording', require('../src/routes/recording'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('trash', () => {
+    before(async () => {
+        await createRecording('trashed');
+    });
+
+    it('moves a deleted recording to the trash with its purge date', async () => {
+        assert.equal((await request('DELETE', '/api/recording/trashed')).status, 200);
+
+        const list = await request('GET', '/api/recording/list');
+        assert.equal(list.body.recordings.some(recording => recording.id === 'trashed'), false);
+
+        const trash = await request('GET', '/api/recording/trash');
+        const [recording] = trash.body.recordings;
+
+        assert.equal(recording.id, 'trashed');
+        assert.equal(Date.parse(recording.purge_at) - Date.parse(recording.deleted_at), 30 * DAY_MS);
+    });
+
+    it('restores the recording to its previous status', async () => {
+        const res = await request('POST', '/api/recording/trashed/restore');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.recording.status, 'completed');
+        assert.deepEqual((await request('GET', '/api/recording/trash')).body.recordings, []);
+
+        assert.equal((await request('POST', '/api/recording/trashed/restore')).status, 409);
+    });
+});
+
+describe('purge', () => {
+    const keys = {};
+
+    before(async () => {
+        keys.expired = await createRecording('expired', deletedDaysAgo(40));
+        keys.held = await createRecording('held', { ...deletedDaysAgo(40), legal_hold: true, legal_hold_reason: 'dispute' });
+        keys.recent = await createRecording('recent', deletedDaysAgo(5));
+        keys.active = await createRecording('active', { created_at: new Date(Date.now() - 400 * DAY_MS).toISOString() });
+    });
+
+    it('only reports in a dry run', async () => {
+        const report = await runPurge({ companyId: COMPANY });
+
+        assert.deepEqual(report.purged.map(row => row.recording_id), ['expired']);
+        assert.deepEqual(report.held.map(row => [row.recording_id, row.reason]), [['held', 'dispute']]);
+        assert.equal(report.purgedRecordings, 0);
+        assert.ok(await recordings.findOne({ id: 'expired' }));
+        assert.ok(await objectExists(keys.expired));
+    });
+
+    it('deletes the video and row after the grace period and records what it removed', async () => {
+        const usage = await getStorageUsage(COMPANY);
+        const report = await runPurge({ companyId: COMPANY, dryRun: false });
+
+        assert.equal(report.purgedRecordings, 1);
+        assert.deepEqual(report.failed, []);
+        assert.equal(await recordings.findOne({ id: 'expired' }), null);
+        assert.equal(await objectExists(keys.expired), false);
+
+        for (const id of ['held', 'recent', 'active']) {
+            assert.ok(await recordings.findOne({ id }));
+            assert.ok(await objectExists(keys[id]));
+        }
+
+        const remaining = await getStorageUsage(COMPANY);
+        assert.equal(remaining.bytes_stored, usage.bytes_stored - 100);
+        assert.equal(remaining.recording_count, usage.recording_count - 1);
+
+        const { rows } = await auditLogs.page({ resource_id: 'expired' }, { actions: [AUDIT_ACTIONS.RECORDING_PURGE] });
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].metadata.key, keys.expired);
+        assert.equal(rows[0].metadata.deleted_from_status, 'completed');
+    });
+
+    it('keeps a recording restored before the run', async () => {
+        await createRecording('rescued', deletedDaysAgo(40));
+        assert.equal((await request('POST', '/api/recording/rescued/restore')).status, 200);
+
+        const report = await runPurge({ companyId: COMPANY, dryRun: false });
+
+        assert.equal(report.purged.some(row => row.recording_id === 'rescued'), false);
+        assert.equal((await recordings.findOne({ id: 'rescued' })).status, 'completed');
+    });
+});
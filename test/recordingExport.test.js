@@ -0,0 +1,195 @@
+// recordingExport.test.js - 녹화 목록 CSV / XLSX 내보내기 테스트 (메모리 DB)
+//
+// CSV는 인용/수식 방지 규칙을 지키고, XLSX는 올바른 ZIP이어야 하며, 내보내기는 페이지를 넘어 조건에 맞는 녹화 전체를 담아야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+process.env.EXPORT_PAGE_SIZE = '2';
+
+const express = require('express');
+const { companies, workers, recordings } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { createSpreadsheetStream } = require('../src/utils/spreadsheet');
+
+const COMPANY = 'company-a';
+
+let server;
+let baseUrl;
+
+const adminToken = generateToken({ admin_id: 'admin', company_id: COMPANY, username: 'admin', role: ROLES.COMPANY_ADMIN, type: 'admin' });
+
+async function collect(stream) {
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+
+    return Buffer.concat(chunks);
+}
+
+async function* fromArray(rows) {
+    yield* rows;
+}
+
+/**
+ * ZIP 중앙 디렉터리를 읽어 { 이름: 내용 } 반환 (deflate 항목만)
+ */
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    assert.ok(end >= 0, 'missing end of central directory');
+
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(buffer.readUInt32LE(offset), 0x02014B50);
+
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        assert.equal(buffer.readUInt32LE(localOffset), 0x04034B50);
+
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+        assert.equal(content.length, size);
+        files[name] = content.toString('utf8');
+
+        offset += 46 + nameLength;
+    }
+
+    return files;
+}
+
+function exportRecordings(query) {
+    return fetch(`${baseUrl}/api/exports/recordings?${new URLSearchParams(query)}`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+    });
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Company A' });
+    await workers.create({ id: 'worker-1', company_id: COMPANY, username: 'worker-1', worker_name: '김작업', worker_code: 'W-001' });
+
+    for (let i = 1; i <= 5; i++) {
+        await recordings.create({
+            id: `rec-${i}`,
+            company_id: COMPANY,
+            worker_id: 'worker-1',
+            barcode: `ORDER-${i}`,
+            status: 'completed',
+            duration_seconds: i * 10,
+            file_size_bytes: i * 1000,
+            start_time: `2026-01-0${i}T15:30:00.000Z`,
+            created_at: `2026-01-0${i}T15:30:00.000Z`
+        });
+    }
+
+    await recordings.create({ id: 'rec-deleted', company_id: COMPANY, barcode: 'ORDER-DELETED', status: 'deleted' });
+    await recordings.create({ id: 'rec-other', company_id: 'company-b', barcode: 'ORDER-B', status: 'completed' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/exports', require('../src/routes/export'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('CSV', () => {
+    it('quotes special characters and neutralizes formulas', async () => {
+        const csv = (await collect(createSpreadsheetStream('csv', {
+            columns: ['Text', 'Number', 'Empty'],
+            rows: fromArray([
+                ['comma, "quote"', 12.5, null],
+                ['line\nbreak', 0, undefined],
+                ['=HYPERLINK("x")', -1, ''],
+                ['-5', 3, '@sum']
+            ])
+        }))).toString('utf8');
+
+        assert.equal(csv, '\uFEFFText,Number,Empty\r\n'
+            + '"comma, ""quote""",12.5,\r\n'
+            + '"line\nbreak",0,\r\n'
+            + '"\'=HYPERLINK(""x"")",-1,\r\n'
+            + '\'-5,3,\'@sum\r\n');
+    });
+});
+
+describe('XLSX', () => {
+    it('writes a valid package with escaped inline strings and numeric cells', async () => {
+        const files = unzip(await collect(createSpreadsheetStream('xlsx', {
+            columns: ['Text', 'Number'],
+            rows: fromArray([['<b>&"한글"', 42], [null, 7]]),
+            sheetName: 'Recordings'
+        })));
+
+        assert.deepEqual(Object.keys(files), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/worksheets/sheet1.xml'
+        ]);
+
+        assert.match(files['xl/workbook.xml'], /<sheet name="Recordings"/);
+
+        const sheet = files['xl/worksheets/sheet1.xml'];
+        assert.match(sheet, /<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">Text<\/t><\/is><\/c>/);
+        assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;b&gt;&amp;&quot;한글&quot;<\/t><\/is><\/c><c r="B2"><v>42<\/v><\/c>/);
+        assert.match(sheet, /<row r="3"><c r="B3"><v>7<\/v><\/c><\/row>/);
+    });
+});
+
+describe('GET /api/exports/recordings', () => {
+    it('exports every matching recording across pages', async () => {
+        const res = await exportRecordings({ sort: 'created_at', order: 'asc' });
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /attachment; filename="recordings-\d{8}-\d{4}\.csv"/);
+
+        const lines = (await res.text()).trim().split('\r\n');
+
+        assert.equal(lines[0], 'Recording ID,Barcode,Worker,Worker code,Station,Company,Start time,End time,Duration (s),Size (bytes),Status');
+        assert.deepEqual(lines.slice(1).map(line => line.split(',')[0]), ['rec-1', 'rec-2', 'rec-3', 'rec-4', 'rec-5']);
+        assert.equal(lines[1], 'rec-1,ORDER-1,김작업,W-001,,Company A,2026-01-02 00:30:00,,10,1000,completed');
+    });
+
+    it('applies search filters and the requested time zone', async () => {
+        const res = await exportRecordings({ barcode: 'ORDER-3', timezone: 'UTC' });
+        const lines = (await res.text()).trim().split('\r\n');
+
+        assert.equal(lines.length, 2);
+        assert.match(lines[1], /^rec-3,ORDER-3,.*,2026-01-03 15:30:00,/);
+    });
+
+    it('exports XLSX', async () => {
+        const res = await exportRecordings({ format: 'xlsx' });
+
+        assert.equal(res.status, 200);
+
+        const sheet = unzip(Buffer.from(await res.arrayBuffer()))['xl/worksheets/sheet1.xml'];
+        assert.equal((sheet.match(/<row /g) || []).length, 6);
+        assert.doesNotMatch(sheet, /ORDER-DELETED|ORDER-B/);
+    });
+
+    it('rejects unknown formats and time zones', async () => {
+        assert.equal((await exportRecordings({ format: 'pdf' })).status, 400);
+        assert.equal((await exportRecordings({ timezone: 'Mars/Olympus' })).status, 400);
+    });
+});
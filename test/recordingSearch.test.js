@@ -0,0 +1,168 @@
+// recordingSearch.test.js - 녹화 검색 keyset 커서 페이지네이션 테스트 (메모리 DB)
+//
+// 커서로 끝까지 넘기면 모든 녹화가 한 번씩 정렬 순서대로 나와야 하고, 그 사이 새 녹화가 추가돼도 페이지가 밀리지 않아야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, recordings } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+
+const COMPANY = 'company-a';
+const RECORDING_COUNT = 25;
+
+let server;
+let baseUrl;
+
+const adminToken = generateToken({ admin_id: 'admin', company_id: COMPANY, username: 'admin', role: ROLES.COMPANY_ADMIN, type: 'admin' });
+
+async function list(query) {
+    const res = await fetch(`${baseUrl}/api/recording/list?${new URLSearchParams(query)}`, {
+        headers: { Authorization: `Bearer ${adminToken}` }
+    });
+
+    return { status: res.status, body: await res.json() };
+}
+
+// 커서를 따라 마지막 페이지까지 조회 (페이지를 받을 때마다 onPage 실행)
+async function listAll(query, onPage = async () => {}) {
+    const ids = [];
+    let cursor;
+
+    do {
+        const res = await list({ ...query, ...(cursor && { cursor }) });
+        assert.equal(res.status, 200);
+
+        ids.push(...res.body.recordings.map(recording => recording.id));
+        cursor = res.body.pagination.next_cursor;
+
+        await onPage();
+    } while (cursor);
+
+    return ids;
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Company A' });
+
+    // 세 개씩 같은 created_at (동률은 id로 정렬), 일부는 duration 없음
+    for (let i = 0; i < RECORDING_COUNT; i++) {
+        await recordings.create({
+            id: `rec-${String(i).padStart(2, '0')}`,
+            company_id: COMPANY,
+            barcode: `ORDER-${i}`,
+            status: 'completed',
+            duration_seconds: i % 4 === 0 ? null : i % 5,
+            created_at: new Date(Date.UTC(2026, 0, 1, 0, Math.floor(i / 3))).toISOString()
+        });
+    }
+
+    await recordings.create({
+        id: 'rec-deleted',
+        company_id: COMPANY,
+        barcode: 'ORDER-DELETED',
+        status: 'deleted',
+        created_at: new Date(Date.UTC(2026, 0, 1)).toISOString()
+    });
+
+    await recordings.create({ id: 'rec-other', company_id: 'company-b', barcode: 'ORDER-B', status: 'completed' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/recording', require('../src/routes/recording'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function expectedOrder(sort, ascending) {
+    const direction = ascending ? 1 : -1;
+
+    return recordings.list({ company_id: COMPANY }).then(rows => rows
+        .filter(row => row.status !== 'deleted')
+        .sort((a, b) => {
+            const left = a[sort] ?? null;
+            const right = b[sort] ?? null;
+
+            if (left !== right) {
+                if (left === null) return 1;
+                if (right === null) return -1;
+                return (left > right ? 1 : -1) * direction;
+            }
+
+            return (a.id > b.id ? 1 : -1) * direction;
+        })
+        .map(row => row.id));
+}
+
+describe('cursor pagination', () => {
+    it('visits every recording once in sort order, breaking ties by id', async () => {
+        const ids = await listAll({ limit: 7 });
+
+        assert.equal(ids.length, RECORDING_COUNT);
+        assert.deepEqual(ids, await expectedOrder('created_at', false));
+    });
+
+    it('keeps null values last in both directions', async () => {
+        for (const order of ['asc', 'desc']) {
+            const ids = await listAll({ sort: 'duration_seconds', order, limit: 4 });
+
+            assert.deepEqual(ids, await expectedOrder('duration_seconds', order === 'asc'));
+            assert.equal(ids.slice(-7).every(id => Number(id.slice(4)) % 4 === 0), true);
+        }
+    });
+
+    it('does not shift pages when new recordings arrive', async () => {
+        const expected = await expectedOrder('created_at', false);
+        let added = 0;
+
+        const ids = await listAll({ limit: 10 }, async () => {
+            await recordings.create({
+                id: `rec-new-${added++}`,
+                company_id: COMPANY,
+                barcode: 'ORDER-NEW',
+                status: 'completed',
+                created_at: new Date().toISOString()
+            });
+        });
+
+        assert.deepEqual(ids, expected);
+    });
+
+    it('pages with offset when no cursor is given', async () => {
+        const res = await list({ barcode: 'ORDER-1', sort: 'barcode', order: 'asc', limit: 5, page: 2 });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.pagination.total, 11);
+        assert.deepEqual(res.body.recordings.map(recording => recording.barcode), ['ORDER-14', 'ORDER-15', 'ORDER-16', 'ORDER-17', 'ORDER-18']);
+    });
+});
+
+describe('search validation', () => {
+    it('rejects a cursor issued for another sort', async () => {
+        const first = await list({ limit: 5 });
+        const res = await list({ sort: 'barcode', cursor: first.body.pagination.next_cursor });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects a malformed cursor', async () => {
+        assert.equal((await list({ cursor: 'not-a-cursor' })).status, 400);
+    });
+
+    it('keeps deleted recordings in the trash', async () => {
+        assert.equal((await list({ status: 'deleted' })).status, 400);
+
+        const ids = await listAll({ barcode: 'ORDER-DELETED' });
+        assert.deepEqual(ids, []);
+    });
+});
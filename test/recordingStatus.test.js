@@ -0,0 +1,178 @@
+// recordingStatus.test.js - 녹화 상태 전이 테스트 (메모리 DB)
+//
+// 허용된 전이만 가능하고, 상태별 시각은 마지막으로 그 상태가 된 시각이며, 동시 변경은 하나만 성공해야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, recordings } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { RECORDING_STATUSES, canTransition, transitionRecording, restoreRecording } = require('../src/utils/recordingStatus');
+
+const { RECORDING, UPLOADING, PROCESSING, COMPLETED, FAILED, DELETED } = RECORDING_STATUSES;
+const COMPANY = 'company-a';
+
+let server;
+let baseUrl;
+
+const adminToken = generateToken({ admin_id: 'admin', company_id: COMPANY, username: 'admin', role: ROLES.COMPANY_ADMIN, type: 'admin' });
+
+function createRecording(id, fields = {}) {
+    return recordings.create({ id, company_id: COMPANY, barcode: id, status: RECORDING, ...fields });
+}
+
+function patchStatus(id, body) {
+    return fetch(`${baseUrl}/api/recording/${id}/status`, {
+        method: 'PATCH',
+        headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    }).then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Company A' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/recording', require('../src/routes/recording'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('canTransition', () => {
+    it('follows the lifecycle', () => {
+        assert.equal(canTransition(RECORDING, UPLOADING), true);
+        assert.equal(canTransition(UPLOADING, COMPLETED), true);
+        assert.equal(canTransition(FAILED, UPLOADING), true);
+        assert.equal(canTransition(COMPLETED, DELETED), true);
+
+        assert.equal(canTransition(COMPLETED, UPLOADING), false);
+        assert.equal(canTransition(COMPLETED, FAILED), false);
+        assert.equal(canTransition(DELETED, COMPLETED), false);
+    });
+
+    it('allows repeating a status except completed and deleted', () => {
+        assert.equal(canTransition(UPLOADING, UPLOADING), true);
+        assert.equal(canTransition(FAILED, FAILED), true);
+        assert.equal(canTransition(COMPLETED, COMPLETED), false);
+        assert.equal(canTransition(DELETED, DELETED), false);
+    });
+});
+
+describe('transitionRecording', () => {
+    it('records when each status was last entered', async () => {
+        await createRecording('timestamps');
+
+        const { recording: uploading } = await transitionRecording({ id: 'timestamps' }, UPLOADING);
+        assert.ok(uploading.uploading_at);
+        assert.equal(uploading.status_changed_at, uploading.uploading_at);
+
+        // 같은 상태를 다시 적용하면 시각 유지
+        const { recording: repeated } = await transitionRecording({ id: 'timestamps' }, UPLOADING);
+        assert.equal(repeated.uploading_at, uploading.uploading_at);
+
+        await transitionRecording({ id: 'timestamps' }, FAILED, { failureReason: 'network' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const { recording: retried } = await transitionRecording({ id: 'timestamps' }, UPLOADING);
+        assert.ok(retried.uploading_at > uploading.uploading_at);
+    });
+
+    it('rejects transitions outside the lifecycle with 409', async () => {
+        await createRecording('finished', { status: COMPLETED });
+
+        const result = await transitionRecording({ id: 'finished' }, UPLOADING);
+        assert.equal(result.status, 409);
+        assert.equal((await recordings.findOne({ id: 'finished' })).status, COMPLETED);
+    });
+
+    it('requires a failure reason and clears it when the recording recovers', async () => {
+        await createRecording('failing');
+
+        assert.equal((await transitionRecording({ id: 'failing' }, FAILED)).status, 400);
+
+        const { recording: failed } = await transitionRecording({ id: 'failing' }, FAILED, { failureReason: 'disk full' });
+        assert.equal(failed.failure_reason, 'disk full');
+        assert.ok(failed.failed_at);
+
+        const { recording: recovered } = await transitionRecording({ id: 'failing' }, PROCESSING);
+        assert.equal(recovered.failure_reason, null);
+    });
+
+    it('lets only one of two concurrent transitions win', async () => {
+        await createRecording('racing', { status: UPLOADING });
+
+        const results = await Promise.all([
+            transitionRecording({ id: 'racing' }, PROCESSING),
+            transitionRecording({ id: 'racing' }, FAILED, { failureReason: 'timeout' })
+        ]);
+
+        assert.equal(results.filter(result => result.recording).length, 1);
+        assert.deepEqual(results.filter(result => result.error).map(result => result.status), [409]);
+    });
+
+    it('returns 404 outside the match', async () => {
+        await createRecording('scoped');
+
+        assert.equal((await transitionRecording({ id: 'scoped', company_id: 'company-b' }, UPLOADING)).status, 404);
+    });
+});
+
+describe('restoreRecording', () => {
+    it('returns a deleted recording to its previous status', async () => {
+        await createRecording('restored', { status: FAILED, failure_reason: 'camera unplugged' });
+
+        const { recording: deleted } = await transitionRecording({ id: 'restored' }, DELETED);
+        assert.equal(deleted.deleted_from_status, FAILED);
+        assert.equal(deleted.failure_reason, 'camera unplugged');
+
+        const { recording } = await restoreRecording({ id: 'restored' });
+        assert.equal(recording.status, FAILED);
+        assert.equal(recording.failure_reason, 'camera unplugged');
+        assert.equal(recording.deleted_at, null);
+    });
+
+    it('only restores deleted recordings', async () => {
+        await createRecording('active');
+
+        assert.equal((await restoreRecording({ id: 'active' })).status, 409);
+    });
+});
+
+describe('PATCH /:id/status', () => {
+    it('changes the status and requires failure_reason for failed', async () => {
+        await createRecording('patched');
+
+        assert.equal((await patchStatus('patched', { status: FAILED })).status, 400);
+
+        const res = await patchStatus('patched', { status: FAILED, failure_reason: 'upload timed out' });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.recording.status, FAILED);
+    });
+
+    it('refuses completed and deleted', async () => {
+        await createRecording('not-uploaded');
+
+        for (const status of [COMPLETED, DELETED]) {
+            assert.equal((await patchStatus('not-uploaded', { status })).status, 400);
+        }
+
+        assert.equal((await recordings.findOne({ id: 'not-uploaded' })).status, RECORDING);
+    });
+
+    it('answers 409 for a transition outside the lifecycle', async () => {
+        await createRecording('patched-done', { status: COMPLETED });
+
+        assert.equal((await patchStatus('patched-done', { status: UPLOADING })).status, 409);
+    });
+});
@@ -0,0 +1,145 @@
+// retention.test.js - 보존 기간 만료와 법적 보존(legal hold) 테스트 (메모리 DB, 로컬 스토리지)
+//
+// 보존 기간이 지난 녹화는 객체와 행을 삭제하고 사용량에서 빼며, legal hold 녹화는 만료/삭제되지 않아야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.DB_DRIVER = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'packing-server-test-retention');
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, recordings, retentionPolicies } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { getStorage } = require('../src/storage');
+const { adjustStorageUsage, getStorageUsage } = require('../src/utils/storageUsage');
+const { runRetention } = require('../src/jobs/retention');
+
+const COMPANY = 'company-retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const storage = getStorage('local');
+
+let server;
+let baseUrl;
+
+const adminToken = generateToken({ admin_id: 'admin', company_id: COMPANY, username: 'admin', role: ROLES.COMPANY_ADMIN, type: 'admin' });
+
+async function request(method, url, body) {
+    const res = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${adminToken}`, ...(body && { 'Content-Type': 'application/json' }) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+// 로컬 스토리지에 객체를 쓰고 완료된 녹화로 등록 (사용량 반영)
+async function createRecording(id, ageDays, fields = {}) {
+    const key = `recordings/${COMPANY}/2026/01/01/${id}_1767225600000.webm`;
+
+    await storage.writeObject(key, Readable.from([Buffer.alloc(100)]), { contentType: 'video/webm' });
+    await recordings.create({
+        id,
+        company_id: COMPANY,
+        barcode: id,
+        status: 'completed',
+        cloud_url: storage.objectUrl(key),
+        cloud_provider: 'local',
+        storage_driver: 'local',
+        storage_key: key,
+        stored_bytes: 100,
+        created_at: new Date(Date.now() - ageDays * DAY_MS).toISOString(),
+        ...fields
+    });
+    await adjustStorageUsage(COMPANY, { bytes: 100, recordings: 1 });
+
+    return key;
+}
+
+async function objectExists(key) {
+    return storage.head(key).then(() => true, () => false);
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Retention' });
+    await retentionPolicies.create({ company_id: COMPANY, retention_days: 30 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/recording', require('../src/routes/recording'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('retention', () => {
+    const keys = {};
+
+    before(async () => {
+        keys.expired = await createRecording('expired', 60);
+        keys.held = await createRecording('held', 60, { legal_hold: true, legal_hold_reason: 'dispute' });
+        keys.recent = await createRecording('recent', 1);
+    });
+
+    it('only reports in a dry run', async () => {
+        const report = await runRetention({ companyId: COMPANY });
+
+        assert.deepEqual(report.expired.map(row => row.recording_id), ['expired']);
+        assert.deepEqual(report.held.map(row => [row.recording_id, row.reason]), [['held', 'dispute']]);
+        assert.equal(report.deletedRecordings, 0);
+        assert.ok(await recordings.findOne({ id: 'expired' }));
+        assert.ok(await objectExists(keys.expired));
+    });
+
+    it('deletes expired recordings and their objects but keeps held and recent ones', async () => {
+        const report = await runRetention({ companyId: COMPANY, dryRun: false });
+
+        assert.equal(report.deletedRecordings, 1);
+        assert.equal(await recordings.findOne({ id: 'expired' }), null);
+        assert.equal(await objectExists(keys.expired), false);
+
+        for (const id of ['held', 'recent']) {
+            assert.ok(await recordings.findOne({ id }));
+            assert.ok(await objectExists(keys[id]));
+        }
+
+        const usage = await getStorageUsage(COMPANY);
+        assert.equal(usage.bytes_stored, 200);
+        assert.equal(usage.recording_count, 2);
+    });
+});
+
+describe('legal hold', () => {
+    before(async () => {
+        await createRecording('disputed', 1);
+    });
+
+    it('blocks deletion until the hold is released', async () => {
+        assert.equal((await request('PUT', '/api/recording/disputed/legal-hold', { reason: 'customer claim' })).status, 200);
+
+        const blocked = await request('DELETE', '/api/recording/disputed');
+        assert.equal(blocked.status, 409);
+        assert.equal((await recordings.findOne({ id: 'disputed' })).status, 'completed');
+
+        assert.equal((await request('DELETE', '/api/recording/disputed/legal-hold')).status, 200);
+
+        const deleted = await request('DELETE', '/api/recording/disputed');
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.recording.status, 'deleted');
+    });
+
+    it('requires a reason', async () => {
+        assert.equal((await request('PUT', '/api/recording/disputed/legal-hold', {})).status, 400);
+    });
+});
@@ -0,0 +1,185 @@
+// sessions.test.js - 리프레시 토큰 교체, 계정 재조회, 세션 폐기 라우트 테스트 (메모리 DB)
+//
+// 리프레시는 계정을 다시 조회하고, 로그아웃/비밀번호 변경/관리자 폐기 후에는 폐기된 세션을 거부해야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { companies, workers, admins } = require('../src/repositories');
+const { ROLES, authenticateToken } = require('../src/middleware/auth');
+
+const COMPANY = 'company-a';
+const PASSWORD = 'password-1234';
+
+let server;
+let baseUrl;
+
+async function request(method, url, { token, body } = {}) {
+    const headers = {};
+
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+function workerLogin(username, password = PASSWORD) {
+    return request('POST', '/api/auth/worker/login-simple', { body: { username, password } });
+}
+
+function adminLogin(username) {
+    return request('POST', '/api/auth/admin/login', { body: { username, password: PASSWORD } });
+}
+
+function refresh(refreshToken) {
+    return request('POST', '/api/auth/refresh', { body: { refresh_token: refreshToken } });
+}
+
+function claimsOf(token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+}
+
+async function createWorker(id) {
+    await workers.create({
+        id,
+        company_id: COMPANY,
+        username: id,
+        worker_name: id,
+        password_hash: await bcrypt.hash(PASSWORD, 4),
+        is_active: true
+    });
+}
+
+before(async () => {
+    await companies.create({ id: COMPANY, name: 'Company A' });
+
+    for (const id of ['worker-rotate', 'worker-inactive', 'worker-logout', 'worker-password', 'worker-revoked']) {
+        await createWorker(id);
+    }
+
+    for (const id of ['admin-a', 'admin-role']) {
+        await admins.create({
+            id,
+            company_id: COMPANY,
+            username: id,
+            name: id,
+            role: ROLES.COMPANY_ADMIN,
+            password_hash: await bcrypt.hash(PASSWORD, 4),
+            is_active: true
+        });
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.get('/api/me', authenticateToken, (req, res) => res.json({ success: true, user: req.user }));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('refresh', () => {
+    it('returns expires_in in seconds', async () => {
+        const login = await workerLogin('worker-rotate');
+
+        assert.equal(login.status, 200);
+        assert.equal(login.body.expires_in, 15 * 60);
+    });
+
+    it('rotates the refresh token and rejects the previous one', async () => {
+        const login = await workerLogin('worker-rotate');
+
+        const first = await refresh(login.body.refresh_token);
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.refresh_token, login.body.refresh_token);
+        assert.equal(claimsOf(first.body.token).worker_id, 'worker-rotate');
+
+        const reused = await refresh(login.body.refresh_token);
+        assert.equal(reused.status, 401);
+
+        const second = await refresh(first.body.refresh_token);
+        assert.equal(second.status, 200);
+    });
+
+    it('rejects a deactivated account and revokes its session', async () => {
+        const login = await workerLogin('worker-inactive');
+        await workers.update({ id: 'worker-inactive' }, { is_active: false });
+
+        const res = await refresh(login.body.refresh_token);
+        assert.equal(res.status, 401);
+
+        const me = await request('GET', '/api/me', { token: login.body.token });
+        assert.equal(me.status, 401);
+    });
+
+    it('issues the current role instead of the stored claims', async () => {
+        const login = await adminLogin('admin-role');
+        assert.equal(claimsOf(login.body.token).role, ROLES.COMPANY_ADMIN);
+
+        await admins.update({ id: 'admin-role' }, { role: ROLES.SUPERVISOR });
+
+        const res = await refresh(login.body.refresh_token);
+        assert.equal(res.status, 200);
+        assert.equal(claimsOf(res.body.token).role, ROLES.SUPERVISOR);
+        assert.equal(claimsOf(res.body.token).company_id, COMPANY);
+    });
+});
+
+describe('revocation', () => {
+    it('rejects the access and refresh tokens after logout', async () => {
+        const login = await workerLogin('worker-logout');
+
+        assert.equal((await request('GET', '/api/me', { token: login.body.token })).status, 200);
+
+        const logout = await request('POST', '/api/auth/logout', { token: login.body.token });
+        assert.equal(logout.status, 200);
+
+        assert.equal((await request('GET', '/api/me', { token: login.body.token })).status, 401);
+        assert.equal((await refresh(login.body.refresh_token)).status, 401);
+    });
+
+    it('keeps only the current session after a password change', async () => {
+        const current = await workerLogin('worker-password');
+        const other = await workerLogin('worker-password');
+
+        const res = await request('POST', '/api/auth/worker/password', {
+            token: current.body.token,
+            body: { current_password: PASSWORD, new_password: 'new-password-1234' }
+        });
+        assert.equal(res.status, 200);
+
+        assert.equal((await request('GET', '/api/me', { token: current.body.token })).status, 200);
+        assert.equal((await request('GET', '/api/me', { token: other.body.token })).status, 401);
+        assert.equal((await refresh(other.body.refresh_token)).status, 401);
+    });
+
+    it('revokes every session of a worker on admin request', async () => {
+        const sessions = [await workerLogin('worker-revoked'), await workerLogin('worker-revoked')];
+        const admin = await adminLogin('admin-a');
+
+        const res = await request('POST', '/api/auth/workers/worker-revoked/revoke-sessions', { token: admin.body.token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.revoked_sessions, 2);
+
+        for (const session of sessions) {
+            assert.equal((await request('GET', '/api/me', { token: session.body.token })).status, 401);
+            assert.equal((await refresh(session.body.refresh_token)).status, 401);
+        }
+    });
+});
@@ -0,0 +1,164 @@
+// storageQuota.test.js - 회사별 스토리지 용량 한도 테스트 (메모리 DB, 로컬 스토리지)
+//
+// 업로드 시작 시 선언한 크기로, 완료 시 실제 객체 크기로 한도를 확인하고 완료된 업로드만 사용량에 반영해야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+process.env.DB_DRIVER = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'packing-server-test-quota');
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, workers, recordings, uploadPolicies } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { getStorage } = require('../src/storage');
+const { adjustStorageUsage, getStorageUsage, recordingUsageDelta, checkStorageQuota } = require('../src/utils/storageUsage');
+
+const REJECT_COMPANY = 'company-reject';
+const WARN_COMPANY = 'company-warn';
+const QUOTA_BYTES = 1000;
+
+let server;
+let baseUrl;
+
+const tokens = {};
+
+async function request(method, url, { token, body } = {}) {
+    const res = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, ...(body && { 'Content-Type': 'application/json' }) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+function presign(companyId, recordingId, fileSize) {
+    return request('POST', '/api/upload/presigned-url', {
+        token: tokens[companyId],
+        body: { fileName: `${recordingId}.webm`, barcode: recordingId, recording_id: recordingId, fileSize }
+    });
+}
+
+// 클라이언트가 presigned URL로 올린 것처럼 객체 저장
+function putObject(key, bytes) {
+    return getStorage('local').writeObject(key, Readable.from([Buffer.alloc(bytes)]), { contentType: 'video/webm' });
+}
+
+before(async () => {
+    for (const [companyId, mode] of [[REJECT_COMPANY, 'reject'], [WARN_COMPANY, 'warn']]) {
+        await companies.create({ id: companyId, name: companyId });
+        await workers.create({ id: `${companyId}-worker`, company_id: companyId, username: `${companyId}-worker`, worker_name: 'Worker' });
+        await uploadPolicies.create({ company_id: companyId, storage_quota_bytes: QUOTA_BYTES, storage_quota_mode: mode });
+        await adjustStorageUsage(companyId, { bytes: 800, recordings: 1 });
+
+        tokens[companyId] = generateToken({
+            worker_id: `${companyId}-worker`,
+            company_id: companyId,
+            username: `${companyId}-worker`,
+            role: ROLES.WORKER,
+            type: 'worker'
+        });
+    }
+
+    for (const id of ['fits', 'too-large', 'understated']) {
+        await recordings.create({ id, company_id: REJECT_COMPANY, worker_id: `${REJECT_COMPANY}-worker`, barcode: id, status: 'recording' });
+    }
+
+    await recordings.create({ id: 'warned', company_id: WARN_COMPANY, worker_id: `${WARN_COMPANY}-worker`, barcode: 'warned', status: 'recording' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/upload', require('../src/routes/upload'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('checkStorageQuota', () => {
+    const policy = { storage_quota_bytes: QUOTA_BYTES, storage_quota_mode: 'reject' };
+
+    it('allows uploads that fit', () => {
+        assert.equal(checkStorageQuota(policy, { bytes_stored: 800 }, 200), null);
+        assert.equal(checkStorageQuota({ storage_quota_bytes: null }, { bytes_stored: 5000 }, 5000), null);
+    });
+
+    it('rejects uploads over the quota, or only warns in warn mode', () => {
+        assert.equal(checkStorageQuota(policy, { bytes_stored: 800 }, 201).reject, true);
+        assert.equal(checkStorageQuota(policy, { bytes_stored: 1000 }, 0).reject, true);
+        assert.equal(checkStorageQuota({ ...policy, storage_quota_mode: 'warn' }, { bytes_stored: 800 }, 201).reject, false);
+    });
+});
+
+describe('recordingUsageDelta', () => {
+    it('counts a new recording once and a replaced object by the size difference', () => {
+        assert.deepEqual(recordingUsageDelta({ stored_bytes: null }, 300), { bytes: 300, recordings: 1 });
+        assert.deepEqual(recordingUsageDelta({ stored_bytes: 300 }, 250), { bytes: -50, recordings: 0 });
+    });
+});
+
+describe('upload quota', () => {
+    it('requires the declared file size', async () => {
+        const res = await presign(REJECT_COMPANY, 'fits', undefined);
+        assert.equal(res.status, 400);
+    });
+
+    it('rejects an upload whose declared size exceeds the quota', async () => {
+        const res = await presign(REJECT_COMPANY, 'too-large', 300);
+        assert.equal(res.status, 403);
+    });
+
+    it('only warns in warn mode', async () => {
+        const res = await presign(WARN_COMPANY, 'warned', 300);
+        assert.equal(res.status, 200);
+        assert.match(res.body.quotaWarning, /exceed storage quota/);
+    });
+
+    it('rechecks the actual object size on completion', async () => {
+        const start = await presign(REJECT_COMPANY, 'understated', 100);
+        assert.equal(start.status, 200);
+
+        await putObject(start.body.key, 300);
+
+        const res = await request('POST', '/api/upload/complete', {
+            token: tokens[REJECT_COMPANY],
+            body: { key: start.body.key, recording_id: 'understated' }
+        });
+
+        assert.equal(res.status, 403);
+        assert.equal((await recordings.findOne({ id: 'understated' })).status, 'recording');
+        assert.equal((await getStorageUsage(REJECT_COMPANY)).bytes_stored, 800);
+    });
+
+    it('adds completed uploads to the usage', async () => {
+        const start = await presign(REJECT_COMPANY, 'fits', 150);
+        assert.equal(start.status, 200);
+
+        await putObject(start.body.key, 150);
+
+        const res = await request('POST', '/api/upload/complete', {
+            token: tokens[REJECT_COMPANY],
+            body: { key: start.body.key, recording_id: 'fits', fileSize: 150 }
+        });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.recording.stored_bytes, 150);
+
+        const usage = await getStorageUsage(REJECT_COMPANY);
+        assert.equal(usage.bytes_stored, 950);
+        assert.equal(usage.recording_count, 2);
+
+        // 남은 50바이트를 넘는 새 업로드는 거부
+        assert.equal((await presign(REJECT_COMPANY, 'too-large', 100)).status, 403);
+    });
+});
@@ -0,0 +1,203 @@
+// tenantIsolation.test.js - 회사(테넌트) 간 접근 차단 라우트 테스트 (메모리 DB)
+//
+// A 회사의 토큰/API 키로 B 회사의 녹화, 영상, 업로드 세션, 작업자 세션에 접근하면 403 또는 404여야 함
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.DB_DRIVER = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'packing-server-test-storage');
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const { companies, workers, admins, recordings, apiKeys } = require('../src/repositories');
+const { ROLES, generateToken } = require('../src/middleware/auth');
+const { API_KEY_PERMISSIONS } = require('../src/middleware/apikey');
+const { hashToken } = require('../src/utils/secrets');
+const { getStorage } = require('../src/storage');
+
+const COMPANY_A = 'company-a';
+const COMPANY_B = 'company-b';
+const API_KEY_A = 'test-api-key-company-a';
+
+let server;
+let baseUrl;
+
+const tokens = {};
+
+function workerToken(companyId, workerId) {
+    return generateToken({ worker_id: workerId, company_id: companyId, username: workerId, role: ROLES.WORKER, type: 'worker' });
+}
+
+function adminToken(companyId, adminId) {
+    return generateToken({ admin_id: adminId, company_id: companyId, username: adminId, role: ROLES.COMPANY_ADMIN, type: 'admin' });
+}
+
+async function request(method, url, { token, apiKey, body } = {}) {
+    const headers = {};
+
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (apiKey) headers['X-API-Key'] = apiKey;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+before(async () => {
+    for (const companyId of [COMPANY_A, COMPANY_B]) {
+        await companies.create({ id: companyId, name: companyId });
+        await workers.create({ id: `${companyId}-worker`, company_id: companyId, username: `${companyId}-worker`, worker_name: 'Worker' });
+        await admins.create({ id: `${companyId}-admin`, company_id: companyId, username: `${companyId}-admin`, role: ROLES.COMPANY_ADMIN });
+
+        tokens[companyId] = {
+            worker: workerToken(companyId, `${companyId}-worker`),
+            admin: adminToken(companyId, `${companyId}-admin`)
+        };
+    }
+
+    await apiKeys.create({
+        id: 'api-key-a',
+        company_id: COMPANY_A,
+        name: 'Company A WMS',
+        key_hash: hashToken(API_KEY_A),
+        permissions: Object.values(API_KEY_PERMISSIONS)
+    });
+
+    const key = `recordings/${COMPANY_B}/2026/01/01/B-1_1767225600000.mp4`;
+
+    await recordings.create({
+        id: 'recording-b',
+        company_id: COMPANY_B,
+        worker_id: `${COMPANY_B}-worker`,
+        barcode: 'B-1',
+        status: 'completed',
+        cloud_url: getStorage('local').objectUrl(key),
+        cloud_provider: 'local',
+        storage_driver: 'local',
+        storage_key: key
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../src/routes/auth'));
+    app.use('/api/upload', require('../src/routes/upload'));
+    app.use('/api/recording', require('../src/routes/recording'));
+    app.use('/api/video', require('../src/routes/video'));
+    app.use('/api/cloudinary', require('../src/routes/cloudinary'));
+
+    await new Promise(resolve => {
+        server = app.listen(0, resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('recording', () => {
+    it('returns the recording to its own company', async () => {
+        const res = await request('GET', '/api/recording/recording-b', { token: tokens[COMPANY_B].admin });
+        assert.equal(res.status, 200);
+    });
+
+    it('hides another company\'s recording from tokens and API keys', async () => {
+        for (const auth of [{ token: tokens[COMPANY_A].admin }, { token: tokens[COMPANY_A].worker }, { apiKey: API_KEY_A }]) {
+            const res = await request('GET', '/api/recording/recording-b', auth);
+            assert.equal(res.status, 404);
+        }
+    });
+});
+
+describe('video', () => {
+    it('signs a playback URL for its own company', async () => {
+        const res = await request('GET', '/api/video/url/recording-b', { token: tokens[COMPANY_B].admin });
+        assert.equal(res.status, 200);
+    });
+
+    for (const route of ['url', 'stream']) {
+        it(`denies /${route} for another company's recording`, async () => {
+            for (const auth of [{ token: tokens[COMPANY_A].admin }, { token: tokens[COMPANY_A].worker }, { apiKey: API_KEY_A }]) {
+                const res = await request('GET', `/api/video/${route}/recording-b`, auth);
+                assert.equal(res.status, 404);
+            }
+        });
+    }
+
+    it('lists only the caller\'s company recordings', async () => {
+        for (const auth of [{ token: tokens[COMPANY_A].admin }, { apiKey: API_KEY_A }]) {
+            const res = await request('GET', '/api/video/list', auth);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.recordings.map(recording => recording.id), []);
+        }
+    });
+
+    it('does not list recordings to workers', async () => {
+        const res = await request('GET', '/api/video/list', { token: tokens[COMPANY_A].worker });
+        assert.equal(res.status, 403);
+    });
+});
+
+describe('multipart upload', () => {
+    const key = `recordings/${COMPANY_B}/2026/01/01/B-2_1767225600000.mp4`;
+
+    const requests = {
+        'part-url': { key, uploadId: 'upload-b', partNumber: 1 },
+        complete: { key, uploadId: 'upload-b', parts: [{ PartNumber: 1, ETag: '"etag"' }], recording_id: 'recording-b' },
+        abort: { key, uploadId: 'upload-b' }
+    };
+
+    for (const [route, body] of Object.entries(requests)) {
+        it(`rejects /multipart/${route} with another company's key`, async () => {
+            const res = await request('POST', `/api/upload/multipart/${route}`, { token: tokens[COMPANY_A].worker, body });
+            assert.equal(res.status, 403);
+        });
+    }
+});
+
+describe('cloudinary upload session', () => {
+    let sessionId;
+
+    before(async () => {
+        const res = await request('POST', '/api/cloudinary/start-upload', {
+            token: tokens[COMPANY_B].worker,
+            body: { fileName: 'b.mp4', fileSize: 1024, totalChunks: 1, recordingId: 'recording-b' }
+        });
+
+        assert.equal(res.status, 200);
+        sessionId = res.body.sessionId;
+    });
+
+    it('hides another company\'s upload status', async () => {
+        const res = await request('GET', `/api/cloudinary/upload-status/${sessionId}`, { token: tokens[COMPANY_A].worker });
+        assert.equal(res.status, 404);
+    });
+
+    it('does not cancel another company\'s upload', async () => {
+        const res = await request('DELETE', `/api/cloudinary/cancel-upload/${sessionId}`, { token: tokens[COMPANY_A].worker });
+        assert.equal(res.status, 404);
+
+        const status = await request('GET', `/api/cloudinary/upload-status/${sessionId}`, { token: tokens[COMPANY_B].worker });
+        assert.equal(status.status, 200);
+    });
+});
+
+describe('worker sessions', () => {
+    it('revokes sessions of its own company\'s worker', async () => {
+        const res = await request('POST', `/api/auth/workers/${COMPANY_B}-worker/revoke-sessions`, { token: tokens[COMPANY_B].admin });
+        assert.equal(res.status, 200);
+    });
+
+    it('does not revoke another company\'s worker sessions', async () => {
+        const res = await request('POST', `/api/auth/workers/${COMPANY_B}-worker/revoke-sessions`, { token: tokens[COMPANY_A].admin });
+        assert.equal(res.status, 404);
+    });
+});